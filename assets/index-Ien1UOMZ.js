@@ -1,54 +1,132 @@
-import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b as Z,c as z,L as T,d as D,e as B,H as K,T as I,f as v,M as C,g as x,h as J,B as Q,i as O,j as H,k as $,l as N,m as ee,n as te,o as R,p as oe,q as ie}from"./three-Bmxrupip.js";import{g as d}from"./gsap-xHO-obUW.js";import{i as se}from"./vendor-CFRTidej.js";(function(){const e=document.createElement("link").relList;if(e&&e.supports&&e.supports("modulepreload"))return;for(const o of document.querySelectorAll('link[rel="modulepreload"]'))i(o);new MutationObserver(o=>{for(const n of o)if(n.type==="childList")for(const s of n.addedNodes)s.tagName==="LINK"&&s.rel==="modulepreload"&&i(s)}).observe(document,{childList:!0,subtree:!0});function t(o){const n={};return o.integrity&&(n.integrity=o.integrity),o.referrerPolicy&&(n.referrerPolicy=o.referrerPolicy),o.crossOrigin==="use-credentials"?n.credentials="include":o.crossOrigin==="anonymous"?n.credentials="omit":n.credentials="same-origin",n}function i(o){if(o.ep)return;o.ep=!0;const n=t(o);fetch(o.href,n)}})();const ne={"grande-barriere":"https://page-collection-les-ombres-de-la-mer.vercel.app/",abysses:"https://page-collection-les-ombres-de-la-mer.vercel.app/",arctique:"https://page-collection-les-ombres-de-la-mer.vercel.app/",plastique:"https://page-collection-les-ombres-de-la-mer.vercel.app/","triangle-corail":"https://page-collection-les-ombres-de-la-mer.vercel.app/",requins:"https://page-collection-les-ombres-de-la-mer.vercel.app/"},ae="https://page-collection-les-ombres-de-la-mer.vercel.app/";function re(l){return ne[l]||ae}class le{constructor(e){this.options=e,this.container=document.getElementById(e.containerId),this.scene=null,this.camera=null,this.renderer=null,this.globe=null,this.videoElement=null,this.videoTexture=null,this.hotspotObjects=[],this.raycaster=new L,this.mouse=new U,this.clock=new W,this.currentVideoPath="/public/videos/globe-video.webm",this.alternateVideoPath="/public/videos/globe-video-aberration.webm",this.isAlternateVideo=!1,this.orbitParams={isOrbiting:!0,baseSpeed:4e-4,currentSpeed:4e-4,maxSpeed:.002,accelerationFactor:1.3,decelerationFactor:.9,ellipseMajorAxis:12,ellipseMinorAxis:8,inclination:Math.PI/6,orbitAngle:0,zoomLevel:1,maxZoomLevel:1.1,minZoomLevel:.6,inHotspotMode:!1,orbitHistory:[]},this.celestialParams={sunPosition:new y(100,20,100),moonPosition:new y(-70,30,-50)},this._savedState=null,this.init()}init(){this.scene=new _;const e=new q(16777215,1.2);this.scene.add(e);const t=new k(16777215,.5);t.position.set(5,10,7),this.scene.add(t),this.scene.fog=new A(0,15e-5),this.camera=new X(60,window.innerWidth/window.innerHeight,.1,1e3),this.updateCameraPosition();try{this.renderer=new Y({antialias:!0,alpha:!0,logarithmicDepthBuffer:!0,powerPreference:"high-performance"}),this.renderer.setSize(window.innerWidth,window.innerHeight),this.renderer.setPixelRatio(Math.min(window.devicePixelRatio,2)),this.renderer.shadowMap.enabled=!0,this.renderer.shadowMap.type=Z;const i=this.renderer.getContext();console.log("WebGL Version:",i.getParameter(i.VERSION)),console.log("WebGL Vendor:",i.getParameter(i.VENDOR)),console.log("Max Texture Size:",i.getParameter(i.MAX_TEXTURE_SIZE)),this.container.appendChild(this.renderer.domElement)}catch(i){console.error("Erreur lors de la création du renderer WebGL:",i),this.handleWebGLError();return}this.createSkybox(),this.setupLighting(),this.createGlobe(),this.createCelestialBodies(),this.createOrbitPath(),window.addEventListener("resize",this.onWindowResize.bind(this)),this.container.addEventListener("click",this.onMouseClick.bind(this)),document.addEventListener("keydown",this.onKeyDown.bind(this)),this.addLogo()}handleWebGLError(){const e=document.createElement("div");e.style.cssText=`
+import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b as Z,c as z,L as T,d as D,e as B,H as K,T as I,f as v,M as C,g as x,h as J,B as Q,i as O,j as H,k as $,l as N,m as ee,n as te,o as R,p as oe,q as ie,t as Ge,v as Oe}from"./three-FX4ZpXiM.js";import{g as d}from"./gsap-xHO-obUW.js";import{i as se}from"./vendor-CFRTidej.js";(function(){const e=document.createElement("link").relList;if(e&&e.supports&&e.supports("modulepreload"))return;for(const o of document.querySelectorAll('link[rel="modulepreload"]'))i(o);new MutationObserver(o=>{for(const n of o)if(n.type==="childList")for(const s of n.addedNodes)s.tagName==="LINK"&&s.rel==="modulepreload"&&i(s)}).observe(document,{childList:!0,subtree:!0});function t(o){const n={};return o.integrity&&(n.integrity=o.integrity),o.referrerPolicy&&(n.referrerPolicy=o.referrerPolicy),o.crossOrigin==="use-credentials"?n.credentials="include":o.crossOrigin==="anonymous"?n.credentials="omit":n.credentials="same-origin",n}function i(o){if(o.ep)return;o.ep=!0;const n=t(o);fetch(o.href,n)}})();const ae="https://page-collection-les-ombres-de-la-mer.vercel.app/",ne={url:new URL("../data/routing.json",import.meta.url).href,modes:["same-tab","new-tab","panel","overlay"],schemes:["http:","https:"],defaults:{mode:"panel",url:ae,params:{},fallback:ae},routes:{},load(l=ne.url){return fetch(l).then(e=>{if(!e.ok)throw new Error(`HTTP ${e.status}`);return e.json()}).then(e=>(ne.configure(e),console.log(`Routage: ${Object.keys(ne.routes).length} destinations chargées depuis ${l}`),ne.routes)).catch(e=>(console.warn(`Routage: configuration ${l} indisponible, destinations par défaut`,e),ne.routes))},configure(l){ne.defaults={...ne.defaults,...l.defaults||{},params:{...ne.defaults.params,...l.defaults&&l.defaults.params||{}}},ne.routes=l.routes||{}},buildUrl(l,e,t){if(!l)return null;try{const i=new URL(l,window.location.href);return ne.schemes.includes(i.protocol)?(Object.entries(e||{}).forEach(([o,n])=>{i.searchParams.set(o,String(n).replace(/\{id\}/g,t))}),i.href):(console.warn(`Routage: schéma ${i.protocol} refusé pour ${t}: ${l}`),null)}catch{return console.warn(`Routage: URL invalide pour ${t}: ${l}`),null}}},Le={key:"mondes-immerges:session",maxAge:18e5,save(l){try{return sessionStorage.setItem(Le.key,JSON.stringify({...l,savedAt:Date.now()})),!0}catch(e){return console.warn("Session: sauvegarde impossible",e),!1}},load(){try{const l=sessionStorage.getItem(Le.key);sessionStorage.removeItem(Le.key);const e=l&&JSON.parse(l);return e&&Date.now()-e.savedAt<Le.maxAge?e:null}catch(l){return console.warn("Session: état illisible, ignoré",l),null}}};function re(l){const e=ne.routes[l]||{},t={...ne.defaults.params,...e.params||{}},i=e.mode||ne.defaults.mode;return{id:l,mode:ne.modes.includes(i)?i:(console.warn(`Routage: mode inconnu "${i}" pour ${l}`),"panel"),url:ne.buildUrl(e.url===void 0?ne.defaults.url:e.url,t,l)||ne.buildUrl(e.fallback||ne.defaults.fallback,t,l)}}function Te(l=new Date){const e=Math.PI/180,t=l.getTime()/864e5+24405875e-1-2451545,i=(357.529+.98560028*t)*e,o=280.459+.98564736*t,n=(o+1.915*Math.sin(i)+.02*Math.sin(2*i))*e,s=(23.439-36e-8*t)*e,a=Math.atan2(Math.cos(s)*Math.sin(n),Math.cos(n))/e,r=Math.asin(Math.sin(s)*Math.sin(n))/e,c=(18.697374558+24.06570982441908*t)*15,p=((a-c)%360+540)%360-180;return{lat:r,lng:p,declination:r,hourAngle:-p}}const Ye={locale:"fr",fallback:"fr",supported:["fr","en","es"],names:{fr:"Français",en:"English",es:"Español"},storageKey:"mondes-immerges:locale",listeners:[],catalogs:{fr:{"app.title":"Mondes Immergés | National Geographic","common.close":"Fermer","common.retry":"Réessayer","common.unavailable":"Non disponible","welcome.title":"MONDES IMMERGÉS","welcome.subtitle":"Voyage scientifique dans les profondeurs des océans","welcome.explore":"EXPLORER","info.title":"À propos de Mondes Immergés","info.intro":"Une exploration interactive scientifique des écosystèmes marins de notre planète, présentée par National Geographic.","info.data":"Ce projet utilise des données satellites haute précision et des relevés scientifiques pour offrir une visualisation immersive des océans du monde et de leurs écosystèmes critiques.","hud.systemActive":"SYSTÈME: ACTIF","hud.mission":"MISSION: EXPLORATION OCÉANIQUE","hud.orbit":"ORBITE","hud.altitude":"ALTITUDE","hud.groundSpeed":"VITESSE SOL","hud.heading":"CAP","hud.sunElevation":"ÉLÉV. SOLAIRE","hud.date":"DATE","hud.time":"HEURE UTC","hud.status":"STATUT","hud.operational":"OPÉRATIONNEL","hud.orbitFixed":"FIXÉE","hud.orbitFast":"ACCÉLÉRÉE","hud.orbitSlow":"RALENTIE","hud.orbitNormal":"NORMALE","hud.coordFormat":"Cliquer pour basculer décimal / DMS","hud.language":"Langue","hud.reducedMotion":"MOUVEMENT RÉDUIT","hud.theme":"Thème","hud.simulated":"SIMULÉ","theme.natgeo":"NAT GEO","theme.contrast":"CONTRASTE","theme.light":"CLAIR","coord.N":"N","coord.S":"S","coord.E":"E","coord.W":"W","startup.initializing":"INITIALISATION DU SYSTÈME...","startup.prefix":"SYSTÈME","startup.messages":["Initialisation du système de navigation...","Chargement des modules cartographiques...","Calibration des capteurs océanographiques...","Établissement de la liaison satellite...","Chargement des données bathymétriques...","Analyse des courants marins...","Détection des points d'intérêt...","Optimisation de l'interface scientifique...","Calcul de l'orbite ellipsoïdale...","Système opérationnel. Bienvenue à bord."],"notify.welcome":"Bienvenue dans l'exploration des Mondes Immergés","notify.orbitSpeedReset":"Vitesse d'orbite normalisée","notify.backToGlobe":"Retour à l'exploration globale","notify.viewReset":"Vue réinitialisée","notify.orbitTle":"Orbite TLE: {name}","notify.orbitEllipse":"Orbite elliptique","notify.aberrationOn":"Mode Aberration Activé","notify.aberrationOff":"Mode Normal Activé","notify.hotspotsUnavailable":"Points d'intérêt indisponibles","notify.invalidHotspots":{one:"{count} point d'intérêt invalide ignoré",other:"{count} points d'intérêt invalides ignorés"},"notify.resume":"Reprise de l'exploration","notify.resumeVisited":{one:"Reprise de l'exploration: {count} zone visitée",other:"Reprise de l'exploration: {count} zones visitées"},"notify.exploring":"Exploration de: {title}","notify.exported":"Export {format}: {title}","notify.language":"Langue: {language}","notify.motionReduced":"Mouvement réduit activé","notify.motionFull":"Animations rétablies","notify.theme":"Thème: {theme}","overlay.newTab":"OUVRIR DANS UN NOUVEL ONGLET","a11y.hotspotList":"Points d'intérêt","a11y.explore":"Explorer {title}","history.button":"JOURNAL","history.title":"HISTORIQUE DES NOTIFICATIONS","history.empty":"Aucune notification","history.clear":"Effacer","history.unread":{one:"{count} notification non lue",other:"{count} notifications non lues"},"layers.title":"CALQUES DE DONNÉES","layers.opacity":"Opacité","layers.blending":"Mode de fusion","layers.blend.normal":"Normal","layers.blend.additive":"Addition","layers.blend.multiply":"Multiplication","layers.blend.subtractive":"Soustraction","layers.ocean":"Océans (vidéo)","layers.aberration":"Aberration chromatique","layers.graticule":"Graticule 15°","panel.gps":"GPS","panel.compare":"COMPARER","panel.readMore":"LIRE LA SUITE","panel.moreInfo":"INFORMATIONS COMPLÉMENTAIRES","panel.resources":"RESSOURCES SCIENTIFIQUES","panel.cite":"CITER CES SOURCES (APA)","panel.videoUnavailable":"Vidéo non disponible","panel.noDetails":"Informations détaillées non disponibles pour cette zone.","panel.sourceNatGeo":"Étude scientifique de référence (National Geographic)","panel.sourceNoaa":"Base de données océanographiques (NOAA)","panel.sourceUnesco":"Conservation marine (UNESCO)","panel.evolution":{one:"Évolution sur {count} an",other:"Évolution sur {count} ans"},"export.csv":"DONNÉES CSV","export.json":"DONNÉES JSON","export.apa":"CITATIONS APA","export.bibtex":"BIBTEX","cite.noDate":"s.d.","cite.retrieved":"Consulté le {date}, sur {url}","cite.accessed":"Consulté le {date}","units.metric":"UNITÉS: MÉTRIQUES","units.imperial":"UNITÉS: IMPÉRIALES","quantity.approx":"env. {value}","quantity.upTo":"jusqu'à {value}","quantity.atLeast":"plus de {value}","quantity.min":"min. {value}","quantity.max":"max. {value}","quantity.avg":"moy. {value}","quantity.compact":"{value} de {unit}","quantity.compactElided":"{value} d'{unit}","field.position":"Position","field.depth":"Profondeur","field.averageDepth":"Profondeur moyenne","field.temperature":"Température de l'eau","field.biodiversity":"Biodiversité","field.conservationStatus":"Statut de conservation","field.area":"Superficie","field.salinity":"Salinité","field.phValue":"pH","field.iceExtent":"Étendue de glace","field.iceThickness":"Épaisseur de glace","field.annualInput":"Apport annuel","field.economicValue":"Valeur économique","field.discoveryYear":"Année de découverte","field.winter":"Hiver","field.summer":"Été","field.unclassified":"Non classifiée","field.undetermined":"Non déterminé","chart.value":"Valeur","chart.index":"indice","chart.year":"ANNÉE","chart.measured":"MESURÉ","chart.projection":"PROJECTION","chart.projected":"projection","chart.healthIndex":"Indice de santé","chart.discoveryIndex":"Indice d'exploration","chart.iceExtent":"Étendue minimale de glace","chart.plasticAmount":"Accumulation de plastique","chart.coralCover":"Couverture corallienne","chart.sharkPopulation":"Population relative","compare.title":"COMPARAISON DES ZONES","compare.label":"Comparaison des zones","compare.close":"Fermer la comparaison","compare.noSharedFields":"Aucun champ commun entre ces zones.","compare.noSeries":"Pas de série temporelle comparable.","compare.selectTwo":"Sélectionnez au moins deux zones à comparer.","compare.evolution":"ÉVOLUTION COMPARÉE","compare.chartLabel":"Évolution comparée, base 100 en {year}","compare.axis":"INDICE (BASE 100 EN {year})","compare.zeroBaseline":"Valeur nulle en {year}, indice base 100 impossible: {titles}","error.webgl.title":"Erreur d'initialisation 3D","error.webgl.message":"Impossible d'initialiser le rendu WebGL.","error.webgl.check":"Veuillez vérifier que votre navigateur supporte WebGL.","error.unsupported.title":"WebGL Non Supporté","error.unsupported.message":"Votre navigateur ne supporte pas WebGL ou l'accélération matérielle, requis pour cette expérience immersive 3D.","error.unsupported.solutions":"Solutions recommandées:","error.unsupported.tips":["🔄 Mettre à jour votre navigateur vers la dernière version","⚙️ Activer l'accélération matérielle dans les paramètres","🌐 Utiliser Chrome, Firefox, Safari ou Edge récent","🖥️ Vérifier que vos pilotes graphiques sont à jour","🔌 Désactiver temporairement les extensions bloquant WebGL"],"error.unsupported.test":"Test WebGL","error.app.title":"Erreur d'Application","error.app.message":"Une erreur s'est produite lors de l'initialisation de l'application.","error.app.details":"Détails techniques","error.app.reload":"Recharger la page"},en:{"app.title":"Submerged Worlds | National Geographic","common.close":"Close","common.retry":"Retry","common.unavailable":"Not available","welcome.title":"SUBMERGED WORLDS","welcome.subtitle":"A scientific journey into the depths of the oceans","welcome.explore":"EXPLORE","info.title":"About Submerged Worlds","info.intro":"An interactive scientific exploration of our planet's marine ecosystems, presented by National Geographic.","info.data":"This project uses high-precision satellite data and scientific surveys to offer an immersive visualisation of the world's oceans and their critical ecosystems.","hud.systemActive":"SYSTEM: ACTIVE","hud.mission":"MISSION: OCEAN EXPLORATION","hud.orbit":"ORBIT","hud.altitude":"ALTITUDE","hud.groundSpeed":"GROUND SPEED","hud.heading":"HEADING","hud.sunElevation":"SUN ELEV.","hud.date":"DATE","hud.time":"UTC TIME","hud.status":"STATUS","hud.operational":"OPERATIONAL","hud.orbitFixed":"LOCKED","hud.orbitFast":"ACCELERATED","hud.orbitSlow":"SLOWED","hud.orbitNormal":"NORMAL","hud.coordFormat":"Click to toggle decimal / DMS","hud.language":"Language","hud.reducedMotion":"REDUCED MOTION","hud.theme":"Theme","hud.simulated":"SIMULATED","theme.natgeo":"NAT GEO","theme.contrast":"CONTRAST","theme.light":"LIGHT","coord.N":"N","coord.S":"S","coord.E":"E","coord.W":"W","startup.initializing":"SYSTEM INITIALISING...","startup.prefix":"SYSTEM","startup.messages":["Initialising navigation system...","Loading mapping modules...","Calibrating oceanographic sensors...","Establishing satellite link...","Loading bathymetric data...","Analysing ocean currents...","Detecting points of interest...","Optimising scientific interface...","Computing ellipsoidal orbit...","System operational. Welcome aboard."],"notify.welcome":"Welcome to the exploration of Submerged Worlds","notify.orbitSpeedReset":"Orbit speed normalised","notify.backToGlobe":"Back to global exploration","notify.viewReset":"View reset","notify.orbitTle":"TLE orbit: {name}","notify.orbitEllipse":"Elliptical orbit","notify.aberrationOn":"Aberration Mode On","notify.aberrationOff":"Normal Mode On","notify.hotspotsUnavailable":"Points of interest unavailable","notify.invalidHotspots":{one:"{count} invalid point of interest skipped",other:"{count} invalid points of interest skipped"},"notify.resume":"Resuming exploration","notify.resumeVisited":{one:"Resuming exploration: {count} zone visited",other:"Resuming exploration: {count} zones visited"},"notify.exploring":"Exploring: {title}","notify.exported":"{format} export: {title}","notify.language":"Language: {language}","notify.motionReduced":"Reduced motion on","notify.motionFull":"Animations restored","notify.theme":"Theme: {theme}","overlay.newTab":"OPEN IN A NEW TAB","a11y.hotspotList":"Points of interest","a11y.explore":"Explore {title}","history.button":"LOG","history.title":"NOTIFICATION HISTORY","history.empty":"No notifications","history.clear":"Clear","history.unread":{one:"{count} unread notification",other:"{count} unread notifications"},"layers.title":"DATA LAYERS","layers.opacity":"Opacity","layers.blending":"Blend mode","layers.blend.normal":"Normal","layers.blend.additive":"Additive","layers.blend.multiply":"Multiply","layers.blend.subtractive":"Subtractive","layers.ocean":"Oceans (video)","layers.aberration":"Chromatic aberration","layers.graticule":"15° graticule","panel.gps":"GPS","panel.compare":"COMPARE","panel.readMore":"READ MORE","panel.moreInfo":"FURTHER INFORMATION","panel.resources":"SCIENTIFIC RESOURCES","panel.cite":"CITE THESE SOURCES (APA)","panel.videoUnavailable":"Video unavailable","panel.noDetails":"Detailed information is not available for this zone.","panel.sourceNatGeo":"Reference scientific study (National Geographic)","panel.sourceNoaa":"Oceanographic database (NOAA)","panel.sourceUnesco":"Marine conservation (UNESCO)","panel.evolution":{one:"Trend over {count} year",other:"Trend over {count} years"},"export.csv":"CSV DATA","export.json":"JSON DATA","export.apa":"APA CITATIONS","export.bibtex":"BIBTEX","cite.noDate":"n.d.","cite.retrieved":"Retrieved {date}, from {url}","cite.accessed":"Accessed {date}","units.metric":"UNITS: METRIC","units.imperial":"UNITS: IMPERIAL","quantity.approx":"approx. {value}","quantity.upTo":"up to {value}","quantity.atLeast":"over {value}","quantity.min":"min. {value}","quantity.max":"max. {value}","quantity.avg":"avg. {value}","quantity.compact":"{value} {unit}","quantity.compactElided":"{value} {unit}","unit.tonnes/an":"tonnes/yr","unit.tonnes courtes/an":"short tons/yr","unit.tn/an":"tn/yr","unit.t/an":"t/yr","unit.particules/km²":"particles/km²","unit.particules/mi²":"particles/mi²","unit.ans":"years","unit.années":"years","unit.espèces":"species","unit.individus":"individuals","unit.USD/an":"USD/yr","field.position":"Position","field.depth":"Depth","field.averageDepth":"Average depth","field.temperature":"Water temperature","field.biodiversity":"Biodiversity","field.conservationStatus":"Conservation status","field.area":"Area","field.salinity":"Salinity","field.phValue":"pH","field.iceExtent":"Ice extent","field.iceThickness":"Ice thickness","field.annualInput":"Annual input","field.economicValue":"Economic value","field.discoveryYear":"Year of discovery","field.winter":"Winter","field.summer":"Summer","field.unclassified":"Unclassified","field.undetermined":"Undetermined","chart.value":"Value","chart.index":"index","chart.year":"YEAR","chart.measured":"MEASURED","chart.projection":"PROJECTION","chart.projected":"projected","chart.healthIndex":"Health index","chart.discoveryIndex":"Exploration index","chart.iceExtent":"Minimum ice extent","chart.plasticAmount":"Plastic accumulation","chart.coralCover":"Coral cover","chart.sharkPopulation":"Relative population","compare.title":"ZONE COMPARISON","compare.label":"Zone comparison","compare.close":"Close comparison","compare.noSharedFields":"These zones have no fields in common.","compare.noSeries":"No comparable time series.","compare.selectTwo":"Select at least two zones to compare.","compare.evolution":"COMPARED TRENDS","compare.chartLabel":"Compared trends, base 100 in {year}","compare.axis":"INDEX (BASE 100 IN {year})","compare.zeroBaseline":"Zero value in {year}, cannot index to 100: {titles}","error.webgl.title":"3D initialisation error","error.webgl.message":"WebGL rendering could not be initialised.","error.webgl.check":"Please check that your browser supports WebGL.","error.unsupported.title":"WebGL Not Supported","error.unsupported.message":"Your browser does not support WebGL or hardware acceleration, which this immersive 3D experience requires.","error.unsupported.solutions":"Recommended solutions:","error.unsupported.tips":["🔄 Update your browser to the latest version","⚙️ Enable hardware acceleration in the settings","🌐 Use a recent Chrome, Firefox, Safari or Edge","🖥️ Check that your graphics drivers are up to date","🔌 Temporarily disable extensions that block WebGL"],"error.unsupported.test":"WebGL test","error.app.title":"Application Error","error.app.message":"An error occurred while initialising the application.","error.app.details":"Technical details","error.app.reload":"Reload the page"},es:{"app.title":"Mundos Sumergidos | National Geographic","common.close":"Cerrar","common.retry":"Reintentar","common.unavailable":"No disponible","welcome.title":"MUNDOS SUMERGIDOS","welcome.subtitle":"Un viaje científico a las profundidades de los océanos","welcome.explore":"EXPLORAR","info.title":"Acerca de Mundos Sumergidos","info.intro":"Una exploración científica interactiva de los ecosistemas marinos de nuestro planeta, presentada por National Geographic.","info.data":"Este proyecto utiliza datos satelitales de alta precisión y estudios científicos para ofrecer una visualización inmersiva de los océanos del mundo y de sus ecosistemas críticos.","hud.systemActive":"SISTEMA: ACTIVO","hud.mission":"MISIÓN: EXPLORACIÓN OCEÁNICA","hud.orbit":"ÓRBITA","hud.altitude":"ALTITUD","hud.groundSpeed":"VELOCIDAD SUELO","hud.heading":"RUMBO","hud.sunElevation":"ELEV. SOLAR","hud.date":"FECHA","hud.time":"HORA UTC","hud.status":"ESTADO","hud.operational":"OPERATIVO","hud.orbitFixed":"FIJA","hud.orbitFast":"ACELERADA","hud.orbitSlow":"RALENTIZADA","hud.orbitNormal":"NORMAL","hud.coordFormat":"Haga clic para alternar decimal / DMS","hud.language":"Idioma","hud.reducedMotion":"MOVIMIENTO REDUCIDO","hud.theme":"Tema","hud.simulated":"SIMULADO","theme.natgeo":"NAT GEO","theme.contrast":"CONTRASTE","theme.light":"CLARO","coord.N":"N","coord.S":"S","coord.E":"E","coord.W":"O","startup.initializing":"INICIALIZANDO EL SISTEMA...","startup.prefix":"SISTEMA","startup.messages":["Inicializando el sistema de navegación...","Cargando los módulos cartográficos...","Calibrando los sensores oceanográficos...","Estableciendo el enlace por satélite...","Cargando los datos batimétricos...","Analizando las corrientes marinas...","Detectando los puntos de interés...","Optimizando la interfaz científica...","Calculando la órbita elipsoidal...","Sistema operativo. Bienvenido a bordo."],"notify.welcome":"Bienvenido a la exploración de los Mundos Sumergidos","notify.orbitSpeedReset":"Velocidad orbital normalizada","notify.backToGlobe":"Volviendo a la exploración global","notify.viewReset":"Vista restablecida","notify.orbitTle":"Órbita TLE: {name}","notify.orbitEllipse":"Órbita elíptica","notify.aberrationOn":"Modo Aberración Activado","notify.aberrationOff":"Modo Normal Activado","notify.hotspotsUnavailable":"Puntos de interés no disponibles","notify.invalidHotspots":{one:"{count} punto de interés no válido omitido",other:"{count} puntos de interés no válidos omitidos"},"notify.resume":"Reanudando la exploración","notify.resumeVisited":{one:"Reanudando la exploración: {count} zona visitada",other:"Reanudando la exploración: {count} zonas visitadas"},"notify.exploring":"Explorando: {title}","notify.exported":"Exportación {format}: {title}","notify.language":"Idioma: {language}","notify.motionReduced":"Movimiento reducido activado","notify.motionFull":"Animaciones restablecidas","notify.theme":"Tema: {theme}","overlay.newTab":"ABRIR EN UNA PESTAÑA NUEVA","a11y.hotspotList":"Puntos de interés","a11y.explore":"Explorar {title}","history.button":"REGISTRO","history.title":"HISTORIAL DE NOTIFICACIONES","history.empty":"Sin notificaciones","history.clear":"Borrar","history.unread":{one:"{count} notificación sin leer",other:"{count} notificaciones sin leer"},"layers.title":"CAPAS DE DATOS","layers.opacity":"Opacidad","layers.blending":"Modo de fusión","layers.blend.normal":"Normal","layers.blend.additive":"Adición","layers.blend.multiply":"Multiplicación","layers.blend.subtractive":"Sustracción","layers.ocean":"Océanos (vídeo)","layers.aberration":"Aberración cromática","layers.graticule":"Retícula de 15°","panel.gps":"GPS","panel.compare":"COMPARAR","panel.readMore":"LEER MÁS","panel.moreInfo":"INFORMACIÓN ADICIONAL","panel.resources":"RECURSOS CIENTÍFICOS","panel.cite":"CITAR ESTAS FUENTES (APA)","panel.videoUnavailable":"Vídeo no disponible","panel.noDetails":"No hay información detallada disponible para esta zona.","panel.sourceNatGeo":"Estudio científico de referencia (National Geographic)","panel.sourceNoaa":"Base de datos oceanográficos (NOAA)","panel.sourceUnesco":"Conservación marina (UNESCO)","panel.evolution":{one:"Evolución en {count} año",other:"Evolución en {count} años"},"export.csv":"DATOS CSV","export.json":"DATOS JSON","export.apa":"CITAS APA","export.bibtex":"BIBTEX","cite.noDate":"s.f.","cite.retrieved":"Recuperado el {date}, de {url}","cite.accessed":"Consultado el {date}","units.metric":"UNIDADES: MÉTRICAS","units.imperial":"UNIDADES: IMPERIALES","quantity.approx":"aprox. {value}","quantity.upTo":"hasta {value}","quantity.atLeast":"más de {value}","quantity.min":"mín. {value}","quantity.max":"máx. {value}","quantity.avg":"media {value}","quantity.compact":"{value} de {unit}","quantity.compactElided":"{value} de {unit}","unit.tonnes/an":"toneladas/año","unit.tonnes courtes/an":"toneladas cortas/año","unit.tn/an":"tn/año","unit.t/an":"t/año","unit.particules/km²":"partículas/km²","unit.particules/mi²":"partículas/mi²","unit.ans":"años","unit.années":"años","unit.espèces":"especies","unit.individus":"individuos","unit.USD/an":"USD/año","field.position":"Posición","field.depth":"Profundidad","field.averageDepth":"Profundidad media","field.temperature":"Temperatura del agua","field.biodiversity":"Biodiversidad","field.conservationStatus":"Estado de conservación","field.area":"Superficie","field.salinity":"Salinidad","field.phValue":"pH","field.iceExtent":"Extensión del hielo","field.iceThickness":"Espesor del hielo","field.annualInput":"Aporte anual","field.economicValue":"Valor económico","field.discoveryYear":"Año de descubrimiento","field.winter":"Invierno","field.summer":"Verano","field.unclassified":"Sin clasificar","field.undetermined":"Sin determinar","chart.value":"Valor","chart.index":"índice","chart.year":"AÑO","chart.measured":"MEDIDO","chart.projection":"PROYECCIÓN","chart.projected":"proyección","chart.healthIndex":"Índice de salud","chart.discoveryIndex":"Índice de exploración","chart.iceExtent":"Extensión mínima del hielo","chart.plasticAmount":"Acumulación de plástico","chart.coralCover":"Cobertura coralina","chart.sharkPopulation":"Población relativa","compare.title":"COMPARACIÓN DE ZONAS","compare.label":"Comparación de zonas","compare.close":"Cerrar la comparación","compare.noSharedFields":"Estas zonas no tienen ningún campo en común.","compare.noSeries":"No hay series temporales comparables.","compare.selectTwo":"Seleccione al menos dos zonas para comparar.","compare.evolution":"EVOLUCIÓN COMPARADA","compare.chartLabel":"Evolución comparada, base 100 en {year}","compare.axis":"ÍNDICE (BASE 100 EN {year})","compare.zeroBaseline":"Valor nulo en {year}, índice base 100 imposible: {titles}","error.webgl.title":"Error de inicialización 3D","error.webgl.message":"No se pudo inicializar el renderizado WebGL.","error.webgl.check":"Compruebe que su navegador es compatible con WebGL.","error.unsupported.title":"WebGL No Compatible","error.unsupported.message":"Su navegador no es compatible con WebGL o con la aceleración por hardware, necesarios para esta experiencia inmersiva en 3D.","error.unsupported.solutions":"Soluciones recomendadas:","error.unsupported.tips":["🔄 Actualice su navegador a la última versión","⚙️ Active la aceleración por hardware en la configuración","🌐 Utilice una versión reciente de Chrome, Firefox, Safari o Edge","🖥️ Compruebe que sus controladores gráficos están actualizados","🔌 Desactive temporalmente las extensiones que bloquean WebGL"],"error.unsupported.test":"Prueba WebGL","error.app.title":"Error de la Aplicación","error.app.message":"Se ha producido un error al inicializar la aplicación.","error.app.details":"Detalles técnicos","error.app.reload":"Recargar la página"}},normalize(l){const e=String(l||"").trim().split(/[-_]/).filter(Boolean);return e.length===0?null:[e[0].toLowerCase(),...e.slice(1).map(t=>t.length===2?t.toUpperCase():t)].join("-")},resolve(l){const e=Ye.normalize(l);return e&&Ye.supported.includes(e.split("-")[0])?e:null},chain(l=Ye.locale){const e=(Ye.normalize(l)||"").split("-").filter(Boolean),t=e.map((i,o)=>e.slice(0,e.length-o).join("-"));return t.includes(Ye.fallback)?t:[...t,Ye.fallback]},detect(){const l=[new URLSearchParams(window.location.search).get("lang")];try{l.push(localStorage.getItem(Ye.storageKey))}catch{}return l.concat(navigator.languages||[],navigator.language).map(e=>Ye.resolve(e)).find(Boolean)||Ye.fallback},setLocale(l,e=!0){const t=Ye.resolve(l)||Ye.fallback;if(Ye.locale=t,document.documentElement.lang=t,e)try{localStorage.setItem(Ye.storageKey,t)}catch{}return Ye.apply(),Ye.listeners.forEach(i=>i(t)),t},onChange(l){return Ye.listeners.push(l),()=>{Ye.listeners=Ye.listeners.filter(e=>e!==l)}},lookup(l,e=Ye.locale){const t=Ye.chain(e).find(i=>Ye.catalogs[i]&&Ye.catalogs[i][l]!==void 0);return t?Ye.catalogs[t][l]:void 0},has(l){return Ye.lookup(l)!==void 0},localize(l,e=Ye.locale){if(!l||typeof l!="object")return l;const t=Ye.chain(e).find(i=>typeof l[i]=="string"&&l[i].length>0);return t?l[t]:Object.values(l).find(i=>typeof i=="string")||""},plural(l){return Number.isFinite(l)?new Intl.PluralRules(Ye.locale).select(l):"other"},t(l,e={}){let t=Ye.lookup(l);return t===void 0?(console.warn(`i18n: clé manquante "${l}"`),l):Array.isArray(t)?t:(t&&typeof t=="object"&&(t=t[Ye.plural(e.count)]!==void 0?t[Ye.plural(e.count)]:t.other),String(t).replace(/\{(\w+)\}/g,(i,o)=>e[o]===void 0?i:typeof e[o]=="number"?Ye.number(e[o]):e[o]))},number(l,e={}){return new Intl.NumberFormat(Ye.locale,e).format(l)},date(l,e={}){return new Intl.DateTimeFormat(Ye.locale,e).format(l)},apply(l=document){l.querySelectorAll("[data-i18n]").forEach(e=>{let t={};try{t=e.dataset.i18nParams?JSON.parse(e.dataset.i18nParams):{}}catch{}e.textContent=Ye.t(e.dataset.i18n,t)}),l.querySelectorAll("[data-i18n-label]").forEach(e=>{e.setAttribute("aria-label",Ye.t(e.dataset.i18nLabel))}),l.querySelectorAll("[data-i18n-title]").forEach(e=>{e.title=Ye.t(e.dataset.i18nTitle)}),l===document&&(document.title=Ye.t("app.title"))}},He={regions:{},hidden:`
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            margin: -1px;
+            padding: 0;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+            border: 0;
+        `,region(l="polite"){if(He.regions[l]&&He.regions[l].isConnected)return He.regions[l];const e=document.createElement("div");return e.className=`live-region live-region-${l}`,e.setAttribute("role",l==="assertive"?"alert":"status"),e.setAttribute("aria-live",l),e.setAttribute("aria-atomic","true"),e.style.cssText=He.hidden,document.body.appendChild(e),He.regions[l]=e},announce(l,e="polite"){const t=He.region(e),i=String(l).trim();t.textContent="",setTimeout(()=>{t.textContent=i},100)}},We={storageKey:"mondes-immerges:motion",preference:"auto",media:null,listeners:[],motionProps:["x","y","z","scale","scaleX","scaleY","rotation","top","bottom","left","right","width","height","attr","progress","fov","zoomLevel"],init(){try{const l=localStorage.getItem(We.storageKey);(l==="reduce"||l==="full")&&(We.preference=l)}catch{}return window.matchMedia&&(We.media=window.matchMedia("(prefers-reduced-motion: reduce)"),We.media.addEventListener&&We.media.addEventListener("change",()=>{We.preference==="auto"&&We.notify()})),We.apply(),We.reduced()},reduced(){return We.preference==="reduce"||We.preference==="auto"&&!!We.media&&We.media.matches},set(l){We.preference=l==="reduce"||l==="full"?l:"auto";try{We.preference==="auto"?localStorage.removeItem(We.storageKey):localStorage.setItem(We.storageKey,We.preference)}catch{}return We.notify(),We.reduced()},toggle(){return We.set(We.reduced()?"full":"reduce")},onChange(l){return We.listeners.push(l),()=>{We.listeners=We.listeners.filter(e=>e!==l)}},notify(){const l=We.reduced();We.apply(),We.listeners.forEach(e=>e(l))},apply(){document.documentElement.classList.toggle("reduced-motion",We.reduced())},vars(l){if(!We.reduced())return l;const e=We.motionProps.some(t=>l[t]!==void 0);return{...l,duration:e?0:Math.min(l.duration!==void 0?l.duration:.5,.3),ease:"none",repeat:0,yoyo:!1}}},je={storageKey:"mondes-immerges:theme",theme:"natgeo",fallback:"natgeo",listeners:[],style:null,themes:{natgeo:{"accent-color":"#ffcc00","accent-rgb":"255, 204, 0","surface-rgb":"0, 10, 30","surface-raised-rgb":"0, 40, 80","backdrop-rgb":"0, 0, 0","ui-text":"#ffffff","ui-text-soft":"#e0e0e0","ui-text-muted":"#aaaaaa","on-accent":"#000000","info-color":"#66ccff","mono-font":"'Roboto Mono', monospace"},contrast:{"accent-color":"#ffff00","accent-rgb":"255, 255, 0","surface-rgb":"0, 0, 0","surface-raised-rgb":"0, 0, 0","backdrop-rgb":"0, 0, 0","ui-text":"#ffffff","ui-text-soft":"#ffffff","ui-text-muted":"#ffffff","on-accent":"#000000","info-color":"#00ffff"},light:{"accent-color":"#7a5c00","accent-rgb":"122, 92, 0","surface-rgb":"250, 248, 240","surface-raised-rgb":"235, 230, 215","backdrop-rgb":"255, 255, 255","ui-text":"#111111","ui-text-soft":"#2b2b2b","ui-text-muted":"#555555","on-accent":"#ffffff","info-color":"#005a8c"}},legacy:{"primary-color":"var(--accent-color)","primary-color-bright":"var(--accent-color)","nat-geo-yellow":"var(--accent-color)","secondary-color":"var(--ui-text)","text-color":"var(--ui-text)","dark-color":"rgb(var(--surface-rgb))","hud-color":"rgba(var(--accent-rgb), 0.85)","scan-color":"rgba(var(--accent-rgb), 0.1)","scan-border":"rgba(var(--accent-rgb), 0.7)","ui-dark-bg":"rgba(var(--backdrop-rgb), 0.85)","ui-medium-bg":"rgba(var(--backdrop-rgb), 0.7)","ui-light-bg":"rgba(var(--backdrop-rgb), 0.5)","border-subtle":"1px solid rgba(var(--accent-rgb), 0.3)","border-strong":"1px solid rgba(var(--accent-rgb), 0.7)","glow-effect":"0 0 10px rgba(var(--accent-rgb), 0.5)"},install(){je.style||(je.style=document.createElement("style"),je.style.id="theme-tokens",document.head.prepend(je.style));const l=e=>Object.entries(e).map(([t,i])=>`--${t}: ${i};`).join(" ");je.style.textContent=[...Object.entries(je.themes).map(([e,t])=>e===je.fallback?`:root { ${l(t)} }`:`:root[data-theme="${e}"] { ${l(t)} }`),`:root[data-theme]:not([data-theme="${je.fallback}"]) { ${l(je.legacy)} }`].join(`
+`)},register(l,e){return je.themes[l]={...e},je.style&&je.install(),je.listeners.forEach(t=>t(je.theme)),l},resolve(l){return typeof l=="string"&&/^[a-z0-9]+(-[a-z0-9]+)*$/.test(l)?l:null},detect(){const l=je.resolve(new URLSearchParams(window.location.search).get("theme"));if(l)return l;try{const e=localStorage.getItem(je.storageKey);if(je.themes[e])return e}catch{}return window.matchMedia&&window.matchMedia("(prefers-contrast: more)").matches?"contrast":je.fallback},setTheme(l,e=!0){const t=je.resolve(l)||je.fallback;if(je.theme=t,document.documentElement.dataset.theme=t,e&&je.themes[t])try{localStorage.setItem(je.storageKey,t)}catch{}return je.listeners.forEach(i=>i(t)),t},onChange(l){return je.listeners.push(l),()=>{je.listeners=je.listeners.filter(e=>e!==l)}},color(l,e){const t=getComputedStyle(document.documentElement).getPropertyValue(`--${l}`).trim()||je.themes[je.fallback][l];return e===void 0?t:`rgba(${t}, ${e})`}},qe={maxVisible:3,historyLimit:50,types:{info:{icon:"i",color:"#2196F3"},success:{icon:"✓",color:"#4CAF50"},warning:{icon:"!",color:"#FF9800"},error:{icon:"✗",color:"#F44336"}},container:null,visible:[],queue:[],history:[],unread:0,listeners:[],seq:0,mount(l=document.getElementById("main-container")||document.body){return qe.container||(qe.container=document.createElement("div"),qe.container.className="notification-container",qe.container.style.cssText=`
+            position: absolute;
+            bottom: 30px;
+            right: 30px;
+            display: flex;
+            flex-direction: column;
+            align-items: flex-end;
+            gap: 10px;
+            z-index: 100;
+            pointer-events: none;
+            max-width: 400px;
+        `),l.appendChild(qe.container),qe.container},show(l,e="info",t=3e3,i={}){const o=String(l??""),n=qe.types[e]?e:"info",s=i.key||`${n}:${o}`,a=[...qe.visible,...qe.queue].find(c=>c.key===s);if(qe.record(o,n,s),a)return a.count++,a.duration=t,a.element&&(qe.update(a),qe.arm(a)),a.id;const r={id:++qe.seq,key:s,message:o,type:n,duration:t,actions:Array.isArray(i.actions)?i.actions:[],count:1,element:null,timer:null};return qe.visible.length<qe.maxVisible?qe.render(r):qe.queue.push(r),r.id},record(l,e,t){const i=qe.history[0];i&&i.key===t?(i.count++,i.time=new Date):(qe.history.unshift({key:t,message:l,type:e,count:1,time:new Date}),qe.history.length>qe.historyLimit&&(qe.history.length=qe.historyLimit)),qe.unread++,qe.notify()},render(l){qe.container&&qe.container.isConnected||qe.mount();const e=qe.types[l.type],t=document.createElement("div"),i=document.createElement("div"),o=document.createElement("div"),n=document.createElement("span"),s=document.createElement("button");if(t.classList.add("notification",`notification-${l.type}`),t.dataset.id=l.id,l.actions.length||t.setAttribute("aria-hidden","true"),t.style.cssText=`
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 12px;
+            background-color: rgba(var(--surface-rgb), 0.85);
+            color: var(--ui-text);
+            padding: 12px 16px;
+            border-radius: 6px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+            font-family: var(--mono-font);
+            font-size: 14px;
+            max-width: 100%;
+            pointer-events: all;
+            transform: translateX(50px);
+            opacity: 0;
+            border-left: 3px solid ${e.color};
+            backdrop-filter: blur(5px);
+        `,i.className="notification-icon",i.textContent=e.icon,i.style.cssText=`
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            width: 24px;
+            height: 24px;
+            border-radius: 50%;
+            background-color: ${e.color};
+            color: white;
+            font-weight: bold;
+            flex-shrink: 0;
+        `,o.className="notification-message",o.textContent=l.message,o.style.cssText=`
+            flex: 1;
+            line-height: 1.4;
+        `,n.className="notification-count",n.style.cssText=`
+            display: none;
+            padding: 0 6px;
+            border-radius: 8px;
+            background-color: rgba(var(--accent-rgb), 0.25);
+            color: var(--accent-color);
+            font-size: 11px;
+        `,s.className="notification-close",s.textContent="×",s.setAttribute("aria-label",Ye.t("common.close")),l.actions.length||(s.tabIndex=-1),s.style.cssText=`
+            width: auto;
+            height: auto;
+            padding: 0 4px;
+            border: none;
+            box-shadow: none;
+            background: none;
+            color: var(--ui-text-muted);
+            font-size: 16px;
+            cursor: pointer;
+        `,s.addEventListener("click",()=>qe.dismiss(l.id)),t.append(i,o,n,s),l.actions.length){const a=document.createElement("div");a.className="notification-actions",a.style.cssText=`
+            display: flex;
+            justify-content: flex-end;
+            gap: 6px;
+            flex-basis: 100%;
+        `,l.actions.forEach(r=>{const c=document.createElement("button");c.textContent=String(r.label??""),c.style.cssText=`
+                width: auto;
+                height: auto;
+                padding: 2px 8px;
+                border: 1px solid rgba(var(--accent-rgb), 0.5);
+                border-radius: 3px;
+                box-shadow: none;
+                background-color: transparent;
+                color: var(--accent-color);
+                font-size: 11px;
+                letter-spacing: 1px;
+                cursor: pointer;
+            `,c.addEventListener("click",()=>{typeof r.onClick=="function"&&r.onClick(l.id),r.dismiss!==!1&&qe.dismiss(l.id)}),a.appendChild(c)}),t.appendChild(a)}return t.addEventListener("mouseenter",()=>clearTimeout(l.timer)),t.addEventListener("mouseleave",()=>qe.arm(l)),l.element=t,qe.visible.push(l),qe.container.appendChild(t),He.announce(l.message,l.type==="error"?"assertive":"polite"),d.fromTo(t,{opacity:0,x:50},We.vars({opacity:1,x:0,duration:.4,ease:"power2.out"})),qe.arm(l),t},update(l){const e=l.element.querySelector(".notification-count");e.textContent=`×${l.count}`,e.style.display=l.count>1?"inline-block":"none"},arm(l){clearTimeout(l.timer),l.duration>0&&(l.timer=setTimeout(()=>qe.dismiss(l.id),l.duration))},dismiss(l){const e=qe.visible.find(t=>t.id===l);return e?(clearTimeout(e.timer),qe.visible=qe.visible.filter(t=>t!==e),d.to(e.element,We.vars({opacity:0,x:50,duration:.4,ease:"power2.in",onComplete:()=>{e.element.remove()}})),qe.queue.length&&qe.render(qe.queue.shift()),!0):(qe.queue=qe.queue.filter(t=>t.id!==l),!1)},clear(){qe.queue=[],qe.visible.slice().forEach(l=>qe.dismiss(l.id))},clearHistory(){qe.history=[],qe.unread=0,qe.notify()},markRead(){qe.unread&&(qe.unread=0,qe.notify())},onChange(l){return qe.listeners.push(l),()=>{qe.listeners=qe.listeners.filter(e=>e!==l)}},notify(){qe.listeners.forEach(l=>l(qe.history))}},ze={storageKey:"mondes-immerges:debug",debug:!1,tags:{a:["href","target","rel","hreflang"],abbr:[],b:[],blockquote:["cite"],br:[],cite:[],code:[],div:[],em:[],h3:[],h4:[],h5:[],hr:[],i:[],li:[],ol:["start"],p:[],q:["cite"],small:[],span:[],strong:[],sub:[],sup:[],time:["datetime"],u:[],ul:[]},attributes:["class","dir","lang","title"],urlAttributes:["href","cite"],schemes:["http:","https:","mailto:"],dropped:["script","style","iframe","frame","object","embed","template","noscript","svg","math","form","textarea","select"],init(){const l=new URLSearchParams(window.location.search).get("debug");if(l!==null)ze.debug=l!=="0"&&l!=="false";else try{ze.debug=localStorage.getItem(ze.storageKey)==="1"}catch{}return ze.debug},report(l,e){ze.debug&&console.warn(`Assainissement (${e}): ${l}`)},escape(l){return l==null?"":String(l).replace(/[&<>"']/g,e=>({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"})[e])},url(l){const e=String(l??"").trim();if(!e)return null;try{const t=new URL(e,window.location.href);return ze.schemes.includes(t.protocol)?t.href:null}catch{return null}},external(l){try{return new URL(l,window.location.href).origin!==window.location.origin}catch{return!1}},sanitize(l,e="contenu"){if(l==null||l==="")return"";const t=new DOMParser().parseFromString(String(l),"text/html").body,i=o=>{[...o.childNodes].forEach(n=>{if(n.nodeType===Node.TEXT_NODE)return;if(n.nodeType!==Node.ELEMENT_NODE)return void n.remove();const s=n.tagName.toLowerCase();if(!ze.tags[s])return ze.dropped.includes(s)?(ze.report(`élément <${s}> supprimé`,e),void n.remove()):(ze.report(`balise <${s}> retirée`,e),i(n),void n.replaceWith(...n.childNodes));[...n.attributes].forEach(a=>{const r=a.name.toLowerCase();if(!ze.tags[s].includes(r)&&!ze.attributes.includes(r))return ze.report(`attribut ${r} retiré de <${s}>`,e),n.removeAttribute(a.name);if(!ze.urlAttributes.includes(r))return;const c=ze.url(a.value);c?n.setAttribute(a.name,c):(ze.report(`URL refusée dans <${s} ${r}>: ${a.value}`,e),n.removeAttribute(a.name))}),s==="a"&&(n.hasAttribute("target")||n.hasAttribute("href")&&ze.external(n.getAttribute("href")))&&(n.setAttribute("target","_blank"),n.setAttribute("rel","noopener")),i(n)})};return i(t),t.innerHTML},link(l,e,t="lien"){const i=ze.url(l);return i?`<a href="${ze.escape(i)}" target="_blank" rel="noopener">${ze.escape(e)}</a>`:(ze.report(`URL refusée: ${l}`,t),ze.escape(e))}},Pe={radius:2,hotspotRadius:2.1,earthRadiusKm:6371,normalizeLng(l){return((l+180)%360+360)%360-180},toVector(l,e,t=Pe.radius,i=new y){const o=l*(Math.PI/180),n=e*(Math.PI/180);return i.set(t*Math.cos(o)*Math.cos(n),t*Math.sin(o),-t*Math.cos(o)*Math.sin(n))},toLatLng(l){const e=l.length()||1;return{lat:Math.asin(Math.max(-1,Math.min(1,l.y/e)))*(180/Math.PI),lng:Pe.normalizeLng(Math.atan2(-l.z,l.x)*(180/Math.PI))}},altitudeToDistance(l){return Pe.radius*(1+l/Pe.earthRadiusKm)},distanceToAltitude(l){return(l/Pe.radius-1)*Pe.earthRadiusKm},distance(l,e){const t=Math.PI/180,i=(e.lat-l.lat)*t,o=(e.lng-l.lng)*t,n=Math.sin(i/2)**2+Math.cos(l.lat*t)*Math.cos(e.lat*t)*Math.sin(o/2)**2;return 2*Pe.earthRadiusKm*Math.asin(Math.min(1,Math.sqrt(n)))},formatCoordinate(l,e,t="decimal"){const i=Ye.t(`coord.${e==="lat"?l>=0?"N":"S":l>=0?"E":"W"}`),o=Math.abs(l);if(t!=="dms")return`${Ye.number(o,{minimumFractionDigits:4,maximumFractionDigits:4})}° ${i}`;let n=Math.floor(o),s=Math.floor((o-n)*60),a=((o-n)*60-s)*60;return a>=59.95&&(a=0,s++),s>=60&&(s=0,n++),`${n}°${String(s).padStart(2,"0")}′${Ye.number(a,{minimumIntegerDigits:2,minimumFractionDigits:1,maximumFractionDigits:1})}″ ${i}`}},Ue={xke:60/Math.sqrt(6378.135**3/398600.8),radius:6378.135,j2:.001082616,j3:-253881e-11,j4:-165597e-11,parse(l){const e=l.split(/\r?\n/).map(i=>i.trimEnd()).filter(Boolean),t=[];for(let i=0;i<e.length;i++){const o=e[i],n=e[i+1];if(!o.startsWith("1 ")||!n||!n.startsWith("2 "))continue;const s=parseInt(o.slice(18,20),10),a=Math.PI/180;t.push({name:i>0&&!/^[12] /.test(e[i-1])?e[i-1].replace(/^0 /,"").trim():o.slice(2,7).trim(),satnum:o.slice(2,7).trim(),epoch:Date.UTC(s<57?2e3+s:1900+s,0,1)/864e5+24405875e-1+parseFloat(o.slice(20,32))-1,bstar:parseFloat(`${o[53]}.${o.slice(54,59)}e${o.slice(59,61)}`),inclo:parseFloat(n.slice(8,16))*a,nodeo:parseFloat(n.slice(17,25))*a,ecco:parseFloat(`.${n.slice(26,33)}`),argpo:parseFloat(n.slice(34,42))*a,mo:parseFloat(n.slice(43,51))*a,no:parseFloat(n.slice(52,63))*2*Math.PI/1440}),i++}return t},init(l){const e=Ue.j3/Ue.j2,t={...l},i=l.ecco*l.ecco,o=1-i,n=Math.sqrt(o),s=Math.cos(l.inclo),a=s*s,r=Math.pow(Ue.xke/l.no,2/3),c=.75*Ue.j2*(3*a-1)/(n*o);let p=c/(r*r);const u=r*(1-p*p-p*(1/3+134*p*p/81));if(p=c/(u*u),t.no=l.no/(1+p),2*Math.PI/t.no>=225)throw new Error(`Orbite géostationnaire ou profonde non supportée: ${l.name}`);const m=Math.pow(Ue.xke/t.no,2/3),h=m*o,E=1-5*a,w=m*(1-l.ecco),M=(w-1)*Ue.radius;let g=78/Ue.radius+1,b=Math.pow(42/Ue.radius,4);if(M<156){const Lt=M<98?20:M-78;b=Math.pow((120-Lt)/Ue.radius,4),g=Lt/Ue.radius+1}const S=1/(h*h),f=1/(m-g),P=m*l.ecco*f,G=P*P,F=l.ecco*P,tt=Math.abs(1-G),it=b*Math.pow(f,4),ot=it/Math.pow(tt,3.5),nt=-E-a-a,st=1-a,at=Math.sin(l.inclo),rt=ot*t.no*(m*(1+1.5*G+F*(4+G))+.375*Ue.j2*f/tt*nt*(8+3*G*(8+G))),ct=l.ecco>1e-4?-2*it*f*e*t.no*at/l.ecco:0,pt=a*a,ut=1.5*Ue.j2*S*t.no,mt=.5*ut*Ue.j2*S,ht=-.46875*Ue.j4*S*S*t.no,Et=-ut*s;if(Object.assign(t,{ao:m,eta:P,con41:nt,x1mth2:st,x7thm1:7*a-1,sinio:at,cosio:s,isimp:w<220/Ue.radius+1,cc1:l.bstar*rt,cc4:2*t.no*ot*m*o*(P*(2+.5*G)+l.ecco*(.5+2*G)-Ue.j2*f/(m*tt)*(-3*nt*(1-2*F+G*(1.5-.5*F))+.75*st*(2*G-F*(1+G))*Math.cos(2*l.argpo))),cc5:2*ot*m*o*(1+2.75*(G+F)+F*G),mdot:t.no+.5*ut*n*nt+.0625*mt*n*(13-78*a+137*pt),argpdot:-.5*ut*E+.0625*mt*(7-114*a+395*pt)+ht*(3-36*a+49*pt),nodedot:Et+(.5*mt*(4-19*a)+2*ht*(3-7*a))*s,omgcof:l.bstar*ct*Math.cos(l.argpo),xmcof:l.ecco>1e-4?-(2/3)*it*l.bstar/F:0,nodecf:3.5*o*Et*l.bstar*rt,t2cof:1.5*l.bstar*rt,xlcof:-.25*e*at*(3+5*s)/(Math.abs(s+1)>15e-13?1+s:15e-13),aycof:-.5*e*at,delmo:Math.pow(1+P*Math.cos(l.mo),3),sinmao:Math.sin(l.mo)}),!t.isimp){const Lt=t.cc1*t.cc1,Ut=4*m*f*Lt,Wt=Ut*f*t.cc1/3,Xt=(17*m+g)*Wt,Yt=.5*Wt*m*f*(221*m+31*g)*t.cc1;Object.assign(t,{d2:Ut,d3:Xt,d4:Yt,t3cof:Ut+2*Lt,t4cof:.25*(3*Xt+t.cc1*(12*Ut+10*Lt)),t5cof:.2*(3*Yt+12*t.cc1*Xt+6*Ut*Ut+15*Lt*(2*Ut+Lt))})}return t},propagate(l,e){const t=2*Math.PI,i=l.mo+l.mdot*e,o=l.argpo+l.argpdot*e,n=e*e;let s=o,a=i,r=l.nodeo+l.nodedot*e+l.nodecf*n,c=1-l.cc1*e,p=l.bstar*l.cc4*e,u=l.t2cof*n;if(!l.isimp){const Xt=l.omgcof*e+l.xmcof*(Math.pow(1+l.eta*Math.cos(i),3)-l.delmo),Yt=n*e,Zt=Yt*e;a=i+Xt,s=o-Xt,c-=l.d2*n+l.d3*Yt+l.d4*Zt,p+=l.bstar*l.cc5*(Math.sin(a)-l.sinmao),u+=l.t3cof*Yt+Zt*(l.t4cof+e*l.t5cof)}const m=Math.pow(Ue.xke/l.no,2/3)*c*c,h=Ue.xke/Math.pow(m,1.5);let E=l.ecco-p;if(E>=1||E<-.001)return null;E<1e-6&&(E=1e-6),a+=l.no*u,r=(r%t+t)%t,s=(s%t+t)%t,a=((((a+s+r)%t+t)%t-s-r)%t+t)%t;const M=E*Math.cos(s),g=1/(m*(1-E*E)),b=E*Math.sin(s)+g*l.aycof,S=((a+s+r+g*l.xlcof*M-r)%t+t)%t;let f=S,P=9999.9,G=0,F=1;for(let Xt=1;Math.abs(P)>=1e-12&&Xt<=10;Xt++)G=Math.sin(f),F=Math.cos(f),P=(S-b*F+M*G-f)/(1-F*M-G*b),Math.abs(P)>=.95&&(P=P>0?.95:-.95),f+=P;const tt=M*F+b*G,it=M*G-b*F,ot=M*M+b*b,nt=m*(1-ot);if(nt<0)return null;const st=m*(1-tt),at=Math.sqrt(m)*it/st,rt=Math.sqrt(nt)/st,ct=Math.sqrt(1-ot),pt=it/(1+ct),ut=m/st*(G-b-M*pt),mt=m/st*(F-M+b*pt),ht=2*mt*ut,Et=1-2*ut*ut,Mt=.5*Ue.j2/nt,gt=Mt/nt,bt=st*(1-1.5*gt*ct*l.con41)+.5*Mt*l.x1mth2*Et;if(bt<1)return null;const St=Math.atan2(ut,mt)-.25*gt*l.x7thm1*ht,ft=r+1.5*gt*l.cosio*ht,Pt=l.inclo+1.5*gt*l.cosio*l.sinio*Et,Gt=at-h*Mt*l.x1mth2*ht/Ue.xke,Ft=rt+h*Mt*(l.x1mth2*Et+1.5*l.con41)/Ue.xke,wt=Math.sin(St),yt=Math.cos(St),vt=Math.sin(ft),xt=Math.cos(ft),zt=Math.sin(Pt),kt=Math.cos(Pt),qt=-vt*kt,jt=xt*kt,Lt=[qt*wt+xt*yt,jt*wt+vt*yt,zt*wt],Ut=[qt*yt-xt*wt,jt*yt-vt*wt,zt*yt],Wt=Ue.radius*Ue.xke/60;return{position:{x:bt*Lt[0]*Ue.radius,y:bt*Lt[1]*Ue.radius,z:bt*Lt[2]*Ue.radius},velocity:{x:(Gt*Lt[0]+Ft*Ut[0])*Wt,y:(Gt*Lt[1]+Ft*Ut[1])*Wt,z:(Gt*Lt[2]+Ft*Ut[2])*Wt}}},gmst(l){const e=(l-2451545)/36525;return((-62e-7*e*e*e+.093104*e*e+(876600*3600+8640184812866e-6)*e+67310.54841)*(Math.PI/180)/240%(2*Math.PI)+2*Math.PI)%(2*Math.PI)},locate(l,e=new Date,t){const i=e.getTime()/864e5+24405875e-1,o=Ue.propagate(l,(i-l.epoch)*1440);if(!o)return null;const n=t!==void 0?t:Ue.gmst(i),s=Math.cos(n),a=Math.sin(n),{x:r,y:c,z:p}=o.position,u=Math.hypot(r,c,p);return{...o,lat:Math.asin(p/u)*(180/Math.PI),lng:Pe.normalizeLng(Math.atan2(c*s-r*a,r*s+c*a)*(180/Math.PI)),altitude:u-Pe.earthRadiusKm,distance:u}}},Qe={system:"metric",storageKey:"mondes-immerges:units",qualifiers:["approx","upTo","atLeast"],defaults:{depth:"m",temperature:"°C",iceThickness:"m",phValue:"pH",area:"km²",salinity:"‰",discoveryYear:"année"},units:{m:{imperial:{unit:"ft",factor:3.28084}},"°C":{imperial:{unit:"°F",factor:1.8,offset:32}},"km²":{imperial:{unit:"mi²",factor:.386102}},"kg/km²":{imperial:{unit:"lb/mi²",factor:5.71015}},"particules/km²":{imperial:{unit:"particules/mi²",factor:2.58999}},"t/an":{label:"tonnes/an",imperial:{unit:"tn/an",label:"tonnes courtes/an",factor:1.10231}},atm:{imperial:{unit:"psi",factor:14.6959}},pH:{},"‰":{},"%":{},ans:{compactLabel:"années"},année:{label:"",grouping:!1},"USD/an":{},espèces:{},individus:{}},aliases:{atmosphères:"atm","tonnes/an":"t/an",années:"ans",an:"ans",espèce:"espèces"},multipliers:{million:1e6,milliard:1e9,billion:1e9},locale(){return Ye.locale},label(l){return l&&Ye.has(`unit.${l}`)?Ye.t(`unit.${l}`):l||""},parseNumber(l){const e=String(l).replace(/\s/g,"").replace("−","-"),t=Number(/^-?\d{1,3}(,\d{3})+$/.test(e)?e.replace(/,/g,""):e.replace(",","."));return Number.isFinite(t)?t:null},parse(l,e){const t=Qe.defaults[e]||null;if(typeof l=="number")return Number.isFinite(l)?{value:l,unit:t,qualifier:null}:null;if(l&&typeof l=="object"){const s={unit:l.unit||null,qualifier:l.qualifier||null};return["value","min","max","avg"].forEach(m=>{if(l[m]===void 0)return;const h=typeof l[m]=="number"?{value:l[m]}:Qe.parse(l[m]);h&&Number.isFinite(h.value)&&(s[m]=h.value,!s.unit&&h.unit&&(s.unit=h.unit))}),l.note&&(s.note=l.note),s.unit||(s.unit=t),["value","min","max","avg"].some(m=>s[m]!==void 0)?s:null}if(typeof l!="string")return null;const i=l.trim().match(/^(environ\s+|~\s*|jusqu['’]à\s+|plus de\s+)?([-−]?(?:\d[\d\s.,]*\d|\d))(?:\s*[-–]\s*([-−]?(?:\d[\d\s.,]*\d|\d)))?(\+)?(?:\s+(millions?|milliards?|billions?))?(?:\s*(?:de\s+|d['’]))?\s*(.*)$/i);if(!i)return null;const E=Qe.parseNumber(i[2]),w=i[3]?Qe.parseNumber(i[3]):0;if(E===null||w===null)return null;const o=Qe.multipliers[(i[5]||"").toLowerCase().replace(/s$/,"")]||1,n=(i[1]||"").trim().toLowerCase(),[a,...r]=i[6].split(/\s+/),c=Qe.aliases[a]||a,p={unit:Qe.units[c]?c:t,qualifier:/^(environ|~)/.test(n)?"approx":/^jusqu/.test(n)?"upTo":n==="plus de"||i[4]?"atLeast":null},u=(Qe.units[c]?r:i[6].split(/\s+/)).join(" ").trim();return i[3]?(p.min=E*o,p.max=w*o):p.value=E*o,u&&(p.note=u),p},convert(l,e=Qe.system){const t=Qe.units[l.unit],i=e==="imperial"&&t&&t.imperial;if(!i)return{...l,label:t&&t.label!==void 0?t.label:l.unit};const o={...l,unit:i.unit,label:i.label||i.unit};return["value","min","max","avg"].forEach(n=>{l[n]!==void 0&&(o[n]=l[n]*i.factor+(i.offset||0))}),o},magnitude(l){return l?l.avg!==void 0?l.avg:l.value!==void 0?l.value:l.min!==void 0&&l.max!==void 0?(l.min+l.max)/2:l.max!==void 0?l.max:l.min:NaN},compare(l,e){const t=Qe.magnitude(l),i=Qe.magnitude(e);return l&&e&&l.unit!==e.unit?NaN:Number.isNaN(t)?1:Number.isNaN(i)?-1:t-i},formatNumber(l,e=!0){const t=Math.abs(l);return new Intl.NumberFormat(Qe.locale(),t>=1e6&&e?{notation:"compact",compactDisplay:"long",maximumFractionDigits:1}:{maximumFractionDigits:t<10?2:t<1e3?1:0,useGrouping:e}).format(l)},format(l,e=Qe.system){if(!l)return"";const t=Qe.convert(l,e),i=Qe.label(t.label),s=Qe.units[t.unit]||{},o=a=>{const r=Qe.formatNumber(a,s.grouping!==!1);if(!i)return r;if(Math.abs(a)<1e6||!/^[a-zà-ÿ]/.test(i))return`${r} ${i}`;const c=Qe.label(s.compactLabel)||i;return Ye.t(/^[aeiouyéèêh]/.test(c)?"quantity.compactElided":"quantity.compact",{value:r,unit:c})};let n=t.min!==void 0&&t.max!==void 0?`${Qe.formatNumber(t.min,s.grouping!==!1)}–${o(t.max)}`:t.max!==void 0?Ye.t("quantity.max",{value:o(t.max)}):t.min!==void 0?Ye.t("quantity.min",{value:o(t.min)}):t.value!==void 0?o(t.value):t.avg!==void 0?o(t.avg):"";return t.avg!==void 0&&n!==o(t.avg)&&(n+=` (${Ye.t("quantity.avg",{value:o(t.avg)})})`),Qe.qualifiers.includes(t.qualifier)&&(n=Ye.t(`quantity.${t.qualifier}`,{value:n})),t.note&&(n+=` ${t.note}`),n},html(l,e){const t=Qe.parse(l,e);return t?`<span class="quantity" data-quantity="${ze.escape(JSON.stringify(t))}">${ze.escape(Qe.format(t))}</span>`:ze.escape(l)},refresh(l=document){l.querySelectorAll(".quantity[data-quantity]").forEach(e=>{try{e.textContent=Qe.format(JSON.parse(e.dataset.quantity))}catch(t){console.warn("Quantité illisible:",e.dataset.quantity,t)}}),l.querySelectorAll(".unit-toggle").forEach(e=>{e.textContent=Ye.t(Qe.system==="imperial"?"units.imperial":"units.metric")})},setSystem(l){Qe.system=l==="imperial"?"imperial":"metric";try{localStorage.setItem(Qe.storageKey,Qe.system)}catch{}return Qe.refresh(),Qe.system},toggleSystem(){return Qe.setSystem(Qe.system==="imperial"?"metric":"imperial")},restore(){try{Qe.system=localStorage.getItem(Qe.storageKey)==="imperial"?"imperial":"metric"}catch{}return Qe.system}};class Ke{constructor(e={}){this.globeManager=e.globeManager,this.format=e.format||"decimal",this.sampleInterval=e.sampleInterval||1e3,this.previous=null,this.state={lat:0,lng:0,altitude:0,groundSpeed:0,heading:0,sunElevation:0}}sample(e=new Date){const t=this.globeManager;if(!t||!t.camera)return this.state;const i=t.orbitParams.mode==="tle"&&t.satelliteState,o=i?t.satelliteState:t.globe?t.getLatLngAt(t.camera.position):Pe.toLatLng(t.camera.position),n=e.getTime(),s=this.previous;if(Object.assign(this.state,{lat:o.lat,lng:o.lng,altitude:i?t.satelliteState.altitude:Pe.distanceToAltitude(t.camera.position.length()),sunElevation:this.sunElevation(o,e)}),!s||n-s.time>=this.sampleInterval){if(s&&n>s.time){const a=Pe.distance(s,o);this.state.groundSpeed=a/((n-s.time)/1e3),a>.001&&(this.state.heading=this.heading(s,o))}this.previous={lat:o.lat,lng:o.lng,time:n}}return this.state}heading(e,t){const i=Math.PI/180,o=(t.lng-e.lng)*i,n=Math.sin(o)*Math.cos(t.lat*i),s=Math.cos(e.lat*i)*Math.sin(t.lat*i)-Math.sin(e.lat*i)*Math.cos(t.lat*i)*Math.cos(o);return(Math.atan2(n,s)/i+360)%360}sunElevation(e,t=new Date){return 90-Pe.distance(e,Te(t))/Pe.earthRadiusKm*(180/Math.PI)}formatCoordinate(e,t,i=this.format){return Pe.formatCoordinate(e,t,i)}toggleFormat(){return this.format=this.format==="dms"?"decimal":"dms"}}const De={normal:1,additive:2,subtractive:3,multiply:4},Ne=[{id:"ocean",title:"Océans (vidéo)",type:"video",src:"/public/videos/globe-video.webm",base:!0},{id:"aberration",title:"Aberration chromatique",type:"video",src:"/public/videos/globe-video-aberration.webm",base:!0,visible:!1},{id:"graticule",title:"Graticule 15°",type:"procedural",visible:!1,opacity:.6,blending:"additive",generator:(l,e,t)=>{l.strokeStyle=je.color("accent-rgb",.8),l.lineWidth=2;for(let i=0;i<=360;i+=15){const o=i/360*e;l.beginPath(),l.moveTo(o,0),l.lineTo(o,t),l.stroke()}for(let i=0;i<=180;i+=15){const o=i/180*t;l.beginPath(),l.moveTo(0,o),l.lineTo(e,o),l.stroke()}}}];class Fe{constructor(e){this.globeManager=e.globeManager,this.parent=e.parent,this.geometry=e.geometry,this.radiusStep=e.radiusStep||75e-5,this.layers=[],this.listeners=[],this.activeBase=null,this.defaultBase=null,this._syncPair=null}addLayer(e){if(this.getLayer(e.id))return console.warn(`Calque déjà existant: ${e.id}`),this.getLayer(e.id);const t={id:e.id,title:e.title||e.id,type:e.type||"image",src:e.src||null,generator:e.generator||null,opacity:e.opacity!==void 0?e.opacity:1,blending:De[e.blending]?e.blending:"normal",visible:e.visible!==!1,base:!!(e.mesh||e.base),ready:!1,texture:null,videoElement:null,mesh:null};if(e.mesh)t.mesh=e.mesh,t.texture=e.mesh.material.uniforms?e.mesh.material.uniforms.map.value:e.mesh.material.map,t.videoElement=e.videoElement||null,t.ready=!0,t.visible=!0,this.activeBase=t,this.defaultBase=t;else if(t.base)t.mesh=this.defaultBase?this.defaultBase.mesh:this.parent,t.texture=this.createTexture(t),t.visible=!1;else{t.texture=this.createTexture(t);const i=new C({map:t.texture,transparent:!0,opacity:t.opacity,blending:De[t.blending],premultipliedAlpha:t.blending==="multiply",side:O,depthTest:!0,depthWrite:!1,toneMapped:!1});this.globeManager.applyNightShading(i),t.mesh=new x(this.geometry,i),t.mesh.userData.layerId=t.id,this.parent.add(t.mesh)}return t.base||(t.mesh.material.opacity=t.opacity),t.base?this.layers.splice(this.layers.filter(i=>i.base).length,0,t):this.layers.push(t),this.applyOrder(),this.applyVisibility(t),console.log(`Calque ajouté: ${t.id} (${t.type})`),this.notify(),t}createTexture(e){const t=()=>{e.ready=!0,this.applyVisibility(e)};let i;if(e.type==="video"){const o=document.createElement("video");o.src=e.src,o.loop=!0,o.muted=!0,o.playsInline=!0,o.preload="auto",o.crossOrigin="anonymous",o.addEventListener("canplay",t,{once:!0}),o.addEventListener("error",n=>{console.error(`Erreur lors du chargement du calque vidéo ${e.id}:`,n)}),e.videoElement=o,i=new z(o),i.minFilter=T,i.magFilter=T,i.format=D,o.load()}else if(e.type==="procedural"){const o=document.createElement("canvas");o.width=e.width||2048,o.height=o.width/2;const n=o.getContext("2d");e.generator&&e.generator(n,o.width,o.height),i=new I().load(o.toDataURL(),t)}else i=new I().load(e.src,t,void 0,o=>{console.error(`Erreur lors du chargement du calque ${e.id}:`,o)});return i.colorSpace=B,i}regenerate(){this.layers.forEach(e=>{if(e.type!=="procedural"||e.base)return;const t=e.texture;e.texture=this.createTexture(e),e.mesh.material.map=e.texture,e.mesh.material.needsUpdate=!0,t&&t.dispose()})}getLayer(e){return this.layers.find(t=>t.id===e)||null}getLayers(){return this.layers.slice()}removeLayer(e){const t=this.getLayer(e);!t||t.base||(this.parent.remove(t.mesh),t.mesh.material.dispose(),t.texture&&t.texture.dispose(),t.videoElement&&(t.videoElement.pause(),t.videoElement.removeAttribute("src")),this.layers.splice(this.layers.indexOf(t),1),this.applyOrder(),this.notify())}setVisible(e,t,i={}){const o=this.getLayer(e);if(!o)return!1;if(o.base){const n=t?o:o===this.activeBase?this.defaultBase:null;if(!n||n===this.activeBase)return this.notify(),o.visible;this.layers.forEach(s=>{s.base&&(s.visible=s===n)}),n.ready?this.activateBase(n,i):n.pendingTransition=i}else o.visible=!!t,this.applyVisibility(o);return this.notify(),o.visible}toggleLayer(e,t={}){const i=this.getLayer(e);return i?this.setVisible(e,!i.visible,t):!1}activateBase(e,t={}){const i=this.activeBase;if(this.activeBase=e,!i||i===e)return Promise.resolve();const o=i.videoElement,n=e.videoElement;return n&&(o&&o.duration&&n.duration&&(n.currentTime=o.currentTime%n.duration),n.play().catch(s=>{console.error(`Impossible de lire le calque ${e.id}:`,s)})),this._syncPair=o&&n?[o,n]:null,this.globeManager.transitionGlobeTexture(e.texture,t).then(()=>{this._syncPair=null,this.activeBase!==i&&o&&o!==(this.activeBase&&this.activeBase.videoElement)&&o.pause()})}setOpacity(e,t){const i=this.getLayer(e);i&&(i.opacity=Math.min(Math.max(t,0),1),i.mesh.material.opacity=i.opacity,i.mesh.material.uniforms&&i.mesh.material.uniforms.opacity&&(i.mesh.material.uniforms.opacity.value=i.opacity),this.notify("opacity"))}setBlendMode(e,t){const i=this.getLayer(e);!i||!De[t]||(i.blending=t,i.mesh.material.blending=De[t],i.mesh.material.premultipliedAlpha=t==="multiply",i.mesh.material.needsUpdate=!0,this.notify())}moveLayer(e,t){const i=this.getLayer(e);if(!i||i.base)return;const o=this.layers.filter(n=>n.base).length;this.layers.splice(this.layers.indexOf(i),1),this.layers.splice(Math.min(Math.max(t,o),this.layers.length),0,i),this.applyOrder(),this.notify()}applyOrder(){this.layers.forEach((e,t)=>{e.base||(e.mesh.scale.setScalar(1+t*this.radiusStep),e.mesh.renderOrder=1+t*.01)})}applyVisibility(e){if(e.base){e.pendingTransition&&e.ready&&(e.visible&&this.activateBase(e,e.pendingTransition),e.pendingTransition=null);return}e.mesh.visible=e.visible&&e.ready,e.videoElement&&!e.base&&(e.visible?e.videoElement.play().catch(t=>{console.error(`Impossible de lire le calque ${e.id}:`,t)}):e.videoElement.pause())}update(){if(this._syncPair){const[e,t]=this._syncPair;Math.abs(e.currentTime-t.currentTime)>.1&&t.duration&&(t.currentTime=e.currentTime%t.duration)}this.layers.forEach(e=>{e.visible&&e.videoElement&&e.videoElement.paused&&!e.videoElement.ended&&e.videoElement.readyState>=2&&e.videoElement.play().catch(t=>{console.error("Erreur lors de la reprise de la vidéo:",t)})})}onChange(e){this.listeners.push(e)}notify(e="layers"){this.listeners.forEach(t=>t(this.getLayers(),e))}}class le{constructor(e){this.options=e,this.container=document.getElementById(e.containerId),this.scene=null,this.camera=null,this.renderer=null,this.globe=null,this.videoElement=null,this.videoTexture=null,this.hotspotObjects=[],this.raycaster=new L,this.mouse=new U,this.clock=new W,this.currentVideoPath="/public/videos/globe-video.webm",this.alternateVideoPath="/public/videos/globe-video-aberration.webm",this.isAlternateVideo=!1,this.layerManager=null,this.pickParams={radiusPx:24,minKm:25,maxKm:2500},this.transitionParams={mode:"crossfade",duration:1.2,wipeSoftness:.08},this._globeTransition=null,this._flight=null,this._overlay=null,this._fade=null,this.orbitParams={isOrbiting:!0,baseSpeed:4e-4,currentSpeed:4e-4,maxSpeed:.002,accelerationFactor:1.3,decelerationFactor:.9,ellipseMajorAxis:12,ellipseMinorAxis:8,inclination:Math.PI/6,orbitAngle:0,zoomLevel:1,maxZoomLevel:1.1,minZoomLevel:.6,inHotspotMode:!1,orbitHistory:[],mode:"ellipse"},this.satelliteParams={live:"https://celestrak.org/NORAD/elements/gp.php?CATNR={catnr}&FORMAT=TLE",catalog:{"SENTINEL-3A":"41335","SENTINEL-3B":"43437","JASON-3":"41240"},url:new URL("../data/ocean-satellites.tle",import.meta.url).href,defaultSatellite:"SENTINEL-3A"},this.satellite=null,this.satelliteState=null,this.trackParams={showOrbit:!0,showTrail:!0,showGroundTrack:!0,groundTrackLength:600,groundTrackStep:.25},this.orbitPath=null,this.orbitTrail=null,this.groundTrack=null,this.groundTrackPoints=[],this._orbitPathKey="",this.celestialParams={sunPosition:new y(100,20,100),moonPosition:new y(-70,30,-50),sunDistance:143,sunUpdateInterval:1e3,nightIntensity:.18,terminatorWidth:.12},this.sunDirection=new y(1,0,0),this._sunLocalDirection=new y(1,0,0),this._sunUpdatedAt=0,this.nightUniforms={sunDirection:{value:this.sunDirection},nightIntensity:{value:this.celestialParams.nightIntensity},terminatorWidth:{value:this.celestialParams.terminatorWidth}},this._savedState=null,this.init()}init(){this.scene=new _;const e=new q(16777215,1.2);this.scene.add(e);const t=new k(16777215,.5);t.position.set(5,10,7),this.scene.add(t),this.scene.fog=new A(0,15e-5),this.camera=new X(60,window.innerWidth/window.innerHeight,.1,1e3),this.updateCameraPosition();try{this.renderer=new Y({antialias:!0,alpha:!0,logarithmicDepthBuffer:!0,powerPreference:"high-performance"}),this.renderer.setSize(window.innerWidth,window.innerHeight),this.renderer.setPixelRatio(Math.min(window.devicePixelRatio,2)),this.renderer.shadowMap.enabled=!0,this.renderer.shadowMap.type=Z;const i=this.renderer.getContext();console.log("WebGL Version:",i.getParameter(i.VERSION)),console.log("WebGL Vendor:",i.getParameter(i.VENDOR)),console.log("Max Texture Size:",i.getParameter(i.MAX_TEXTURE_SIZE)),this.container.appendChild(this.renderer.domElement)}catch(i){console.error("Erreur lors de la création du renderer WebGL:",i),this.handleWebGLError();return}this.createSkybox(),this.setupLighting(),this.createGlobe(),this.options.satellite&&this.setOrbitMode("tle",this.options.satellite),this.createCelestialBodies(),this.updateSunPosition(),this.createOrbitPath(),window.addEventListener("resize",this.onWindowResize.bind(this)),window.addEventListener("pageshow",this.onPageShow.bind(this)),this.container.addEventListener("click",this.onMouseClick.bind(this)),document.addEventListener("keydown",this.onKeyDown.bind(this)),this.addLogo()}handleWebGLError(){const e=document.createElement("div");e.style.cssText=`
             position: fixed;
             top: 50%;
             left: 50%;
             transform: translate(-50%, -50%);
-            background-color: rgba(0, 0, 0, 0.9);
-            color: #ffcc00;
+            background-color: rgba(var(--backdrop-rgb), 0.9);
+            color: var(--accent-color);
             padding: 30px;
             border-radius: 10px;
             text-align: center;
-            font-family: 'Roboto Mono', monospace;
+            font-family: var(--mono-font);
             z-index: 10000;
-            border: 2px solid #ffcc00;
+            border: 2px solid var(--accent-color);
             max-width: 500px;
         `,e.innerHTML=`
-            <h2>Erreur d'initialisation 3D</h2>
-            <p>Impossible d'initialiser le rendu WebGL.</p>
-            <p>Veuillez vérifier que votre navigateur supporte WebGL.</p>
-            <button onclick="location.reload()" style="background: #ffcc00; color: #000; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; font-family: inherit; margin-top: 10px;">
-                Réessayer
+            <h2>${Ye.t("error.webgl.title")}</h2>
+            <p>${Ye.t("error.webgl.message")}</p>
+            <p>${Ye.t("error.webgl.check")}</p>
+            <button onclick="location.reload()" style="background: var(--accent-color); color: var(--on-accent); border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; font-family: inherit; margin-top: 10px;">
+                ${Ye.t("common.retry")}
             </button>
-        `,this.container.appendChild(e)}onKeyDown(e){e.key==="Enter"&&this.switchVideoTexture()}switchVideoTexture(){if(!this.videoElement||!this.videoTexture){console.warn("Vidéo ou texture non initialisée");return}console.log("=== CHANGEMENT DE TEXTURE VIDÉO ==="),this.isAlternateVideo=!this.isAlternateVideo;const e=this.isAlternateVideo?this.alternateVideoPath:this.currentVideoPath;console.log(`Passage à: ${e}`);const t=document.createElement("video");t.src=e,t.loop=!0,t.muted=!0,t.autoplay=!0,t.playsInline=!0,t.crossOrigin="anonymous",t.addEventListener("canplaythrough",()=>{console.log("Nouvelle vidéo prête"),this.videoElement.pause();const i=new z(t);i.minFilter=T,i.magFilter=T,i.format=D,i.colorSpace=B,this.globe&&this.globe.material&&(this.videoTexture&&this.videoTexture.dispose(),this.globe.material.map=i,this.globe.material.needsUpdate=!0,this.videoElement=t,this.videoTexture=i,console.log("Texture du globe mise à jour avec succès"),this.createVideoSwitchEffect())}),t.addEventListener("error",i=>{console.error("Erreur lors du chargement de la nouvelle vidéo:",i),console.log("Tentative de retour à la vidéo précédente..."),this.isAlternateVideo=!this.isAlternateVideo}),t.load(),t.play().catch(i=>{console.error("Erreur lors de la lecture de la nouvelle vidéo:",i)})}createVideoSwitchEffect(){const e=document.createElement("div");e.style.cssText=`
-            position: absolute;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background-color: rgba(255, 204, 0, 0.3);
-            pointer-events: none;
-            z-index: 50;
-            opacity: 0;
-        `,this.container.appendChild(e),d.timeline().to(e,{opacity:1,duration:.1,ease:"power2.out"}).to(e,{opacity:0,duration:.3,ease:"power2.out",onComplete:()=>{e.remove()}}),this.showVideoSwitchNotification()}showVideoSwitchNotification(){const e=document.createElement("div");e.textContent=this.isAlternateVideo?"Mode Aberration Activé":"Mode Normal Activé",e.style.cssText=`
+        `,this.container.appendChild(e)}onKeyDown(e){e.key==="Enter"&&!(e.target&&/^(INPUT|SELECT|TEXTAREA|BUTTON)$/.test(e.target.tagName))&&this.switchVideoTexture({mode:e.shiftKey?"wipe":"crossfade"})}switchVideoTexture(e={}){if(!this.layerManager||!this.layerManager.getLayer("aberration")){console.warn("Calque aberration non initialisé");return}console.log("=== CHANGEMENT DE TEXTURE VIDÉO ==="),this.isAlternateVideo=this.layerManager.toggleLayer("aberration",e),console.log(`Passage à: ${this.isAlternateVideo?this.alternateVideoPath:this.currentVideoPath}`),this.showVideoSwitchNotification()}transitionGlobeTexture(e,t={}){if(!this.globe||!this.globe.material.uniforms)return Promise.resolve();const i=this.globe.material.uniforms,o=t.mode||this.transitionParams.mode,n=t.duration!==void 0?t.duration:this.transitionParams.duration;if(this._globeTransition&&this._globeTransition.progress(1),i.nextMap.value=e,i.transitionMode.value=o==="wipe"?1:0,i.mixFactor.value=0,o==="wipe"){const s=t.origin?t.origin.clone():this.globe.worldToLocal(this.camera.position.clone());i.wipeOrigin.value.copy(s).normalize()}return console.log(`Transition du globe (${o}, ${n}s)`),new Promise(s=>{this._globeTransition=d.to(i.mixFactor,We.vars({value:1,duration:n,ease:o==="wipe"?"power1.inOut":"power2.inOut",onComplete:()=>{i.map.value=e,i.mixFactor.value=0,i.nextMap.value=null,this._globeTransition=null,s()}}))})}showVideoSwitchNotification(){const e=document.createElement("div");e.textContent=Ye.t(this.isAlternateVideo?"notify.aberrationOn":"notify.aberrationOff"),e.style.cssText=`
             position: absolute;
             top: 50%;
             left: 50%;
             transform: translate(-50%, -50%);
-            background-color: rgba(0, 10, 30, 0.9);
-            color: #ffcc00;
+            background-color: rgba(var(--surface-rgb), 0.9);
+            color: var(--accent-color);
             padding: 15px 25px;
             border-radius: 8px;
-            font-family: 'Roboto Mono', monospace;
+            font-family: var(--mono-font);
             font-size: 16px;
             font-weight: bold;
             text-align: center;
-            border: 2px solid #ffcc00;
-            box-shadow: 0 0 20px rgba(255, 204, 0, 0.5);
+            border: 2px solid var(--accent-color);
+            box-shadow: 0 0 20px rgba(var(--accent-rgb), 0.5);
             z-index: 100;
             pointer-events: none;
             opacity: 0;
             letter-spacing: 1px;
-        `,this.container.appendChild(e),d.timeline().to(e,{opacity:1,scale:1.1,duration:.3,ease:"back.out(1.7)"}).to(e,{scale:1,duration:.2}).to(e,{opacity:0,scale:.9,duration:.5,delay:1.5,ease:"power2.in",onComplete:()=>{e.remove()}})}addLogo(){const e=document.createElement("div");e.style.cssText=`
+        `,this.container.appendChild(e),d.timeline().to(e,We.vars({opacity:1,scale:1.1,duration:.3,ease:"back.out(1.7)"})).to(e,We.vars({scale:1,duration:.2})).to(e,We.vars({opacity:0,scale:.9,duration:.5,delay:1.5,ease:"power2.in",onComplete:()=>{e.remove()}}))}addLogo(){const e=document.createElement("div");e.style.cssText=`
             position: absolute;
             top: 20px;
             left: 50%;
@@ -58,7 +136,88 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             height: 40px;
             width: auto;
             filter: drop-shadow(0 0 5px rgba(0, 0, 0, 0.5));
-        `,e.appendChild(t),this.container.appendChild(e)}setupLighting(){const e=new q(4210768,.5);this.scene.add(e);const t=new k(16777215,1);t.position.copy(this.celestialParams.sunPosition),t.castShadow=!0,t.shadow.mapSize.width=2048,t.shadow.mapSize.height=2048,this.scene.add(t),this.sunLight=t;const i=new K(35071,65416,.6);this.scene.add(i)}createCelestialBodies(){const e=new I,t=e.load("/public/images/sun-texture.jpg"),i=new v(3,32,32),o=new C({map:t,transparent:!0,opacity:.95}),n=new x(i,o);n.position.copy(this.celestialParams.sunPosition),this.scene.add(n);const s=e.load("/public/images/moon-texture.jpg"),a=new v(1.5,32,32),r=new J({map:s}),c=new x(a,r);c.position.copy(this.celestialParams.moonPosition),this.scene.add(c),this.sun=n,this.moon=c}createOrbitPath(){const e=[];for(let n=0;n<=100;n++){const s=n/100*Math.PI*2,a=this.orbitParams.ellipseMajorAxis,r=this.orbitParams.ellipseMinorAxis,c=this.orbitParams.inclination;let p=a*Math.cos(s),u=r*Math.sin(s);const m=u*Math.sin(c);u=u*Math.cos(c),e.push(new y(p,m,u))}new Q().setFromPoints(e);const i=new v(.2,16,16),o=new C({color:16763904,transparent:!0,opacity:.9});this.cameraMarker=new x(i,o),this.scene.add(this.cameraMarker)}createGlobe(){const e=document.createElement("video");e.src=this.currentVideoPath,e.loop=!0,e.muted=!0,e.autoplay=!0,e.playsInline=!0,e.crossOrigin="anonymous",this.videoElement=e,e.addEventListener("ended",()=>{e.play()}),setInterval(()=>{e.paused&&!e.ended&&(console.log("Vidéo en pause, relance..."),e.play().catch(c=>{console.error("Impossible de relancer la vidéo:",c)}))},1e3),this.videoTexture=new z(e),this.videoTexture.minFilter=T,this.videoTexture.magFilter=T,this.videoTexture.format=D,this.videoTexture.colorSpace=B;const t=new v(1.99,64,64),i=new C({color:0,transparent:!0,opacity:0,colorWrite:!1,depthWrite:!0,side:O}),o=new x(t,i);o.renderOrder=0,this.scene.add(o),this.depthSphere=o;const n=new v(2,64,64),s=new C({map:this.videoTexture,transparent:!0,opacity:1,side:O,depthTest:!0,depthWrite:!1,color:16777215,toneMapped:!1});this.globe=new x(n,s),this.globe.castShadow=!0,this.globe.receiveShadow=!0,this.globe.renderOrder=1,this.scene.add(this.globe),this.createAtmosphere();const a=new v(2.02,64,64),r=new C({color:16777215,transparent:!0,opacity:.4,alphaTest:.1,depthTest:!0,depthWrite:!1});this.clouds=new x(a,r),this.clouds.renderOrder=2,this.scene.add(this.clouds),e.play().catch(c=>{console.error("Erreur lors de la lecture de la vidéo:",c),this.handleVideoError()})}createAtmosphere(){const e=new v(2.08,64,64),t=new H({vertexShader:`
+        `,e.appendChild(t),this.container.appendChild(e)}setupLighting(){const e=new q(4210768,.5);this.scene.add(e);const t=new k(16777215,1);t.position.copy(this.celestialParams.sunPosition),t.castShadow=!0,t.shadow.mapSize.width=2048,t.shadow.mapSize.height=2048,this.scene.add(t),this.sunLight=t;const i=new K(35071,65416,.6);this.scene.add(i)}createCelestialBodies(){const e=new I,t=e.load("/public/images/sun-texture.jpg"),i=new v(3,32,32),o=new C({map:t,transparent:!0,opacity:.95}),n=new x(i,o);n.position.copy(this.celestialParams.sunPosition),this.scene.add(n);const s=e.load("/public/images/moon-texture.jpg"),a=new v(1.5,32,32),r=new J({map:s}),c=new x(a,r);c.position.copy(this.celestialParams.moonPosition),this.scene.add(c),this.sun=n,this.moon=c}createOrbitPath(){const e=[];for(let n=0;n<=100;n++){const s=n/100*Math.PI*2,a=this.orbitParams.ellipseMajorAxis,r=this.orbitParams.ellipseMinorAxis,c=this.orbitParams.inclination;let p=a*Math.cos(s),u=r*Math.sin(s);const m=u*Math.sin(c);u=u*Math.cos(c),e.push(new y(p,m,u))}const t=new Q().setFromPoints(e);this.orbitPath=new Ge(t,new Oe({color:16763904,transparent:!0,opacity:.35,depthWrite:!1})),this.orbitPath.visible=this.trackParams.showOrbit,this.scene.add(this.orbitPath);const i=new v(.2,16,16),o=new C({color:16763904,transparent:!0,opacity:.9});this.cameraMarker=new x(i,o),this.scene.add(this.cameraMarker),this.createOrbitTrail()}createOrbitTrail(){const e=new Q().setFromPoints(Array.from({length:100},()=>new y));e.setDrawRange(0,0),this.orbitTrail=new Ge(e,new H({vertexShader:`
+                #include <common>
+                #include <logdepthbuf_pars_vertex>
+                uniform float count;
+                varying float vFade;
+                void main() {
+                    vFade = float(gl_VertexID) / max(count - 1.0, 1.0);
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    #include <logdepthbuf_vertex>
+                }
+            `,fragmentShader:`
+                #include <common>
+                #include <logdepthbuf_pars_fragment>
+                uniform vec3 color;
+                uniform float opacity;
+                varying float vFade;
+                void main() {
+                    #include <logdepthbuf_fragment>
+                    gl_FragColor = vec4(color, vFade * vFade * opacity);
+                }
+            `,uniforms:{color:{value:new R(16763904)},opacity:{value:.9},count:{value:0}},transparent:!0,depthWrite:!1,blending:N})),this.orbitTrail.frustumCulled=!1,this.orbitTrail.visible=this.trackParams.showTrail,this.scene.add(this.orbitTrail)}createGroundTrack(){const e=new Q().setFromPoints(Array.from({length:this.trackParams.groundTrackLength},()=>new y));e.setDrawRange(0,0),this.groundTrack=new Ge(e,new Oe({color:6737151,transparent:!0,opacity:.7,depthWrite:!1})),this.groundTrack.frustumCulled=!1,this.groundTrack.renderOrder=2,this.groundTrack.visible=this.trackParams.showGroundTrack,this.globe.add(this.groundTrack)}updateOrbitPath(){const e=this.orbitParams,t=e.mode==="tle"&&this.satellite?`tle:${Math.floor(Date.now()/1e3)}`:`${e.zoomLevel.toFixed(3)}:${e.inclination.toFixed(3)}`;if(!this.orbitPath||t===this._orbitPathKey)return;this._orbitPathKey=t;const i=this.orbitPath.geometry.attributes.position;if(e.mode==="tle"&&this.satellite){const o=this.satellite.record,n=Date.now(),s=Ue.gmst(n/864e5+24405875e-1),a=2*Math.PI/o.no,r=new y;for(let c=0;c<i.count;c++){const p=Ue.locate(o,new Date(n+c/(i.count-1)*a*6e4),s);p&&(this.getWorldPositionAt(p.lat,p.lng,Pe.altitudeToDistance(p.altitude),r),i.setXYZ(c,r.x,r.y,r.z))}i.needsUpdate=!0,this.orbitPath.geometry.computeBoundingSphere();return}for(let o=0;o<i.count;o++){const n=o/(i.count-1)*Math.PI*2,s=e.ellipseMajorAxis*e.zoomLevel*Math.cos(n),a=e.ellipseMinorAxis*e.zoomLevel*Math.sin(n);i.setXYZ(o,s,a*Math.sin(e.inclination),a*Math.cos(e.inclination))}i.needsUpdate=!0,this.orbitPath.geometry.computeBoundingSphere()}updateOrbitTrail(){if(!this.orbitTrail)return;const e=this.orbitParams.orbitHistory,t=this.orbitTrail.geometry.attributes.position;e.slice(-t.count).forEach((i,o)=>{t.setXYZ(o,i.x,i.y,i.z)}),t.needsUpdate=!0,this.orbitTrail.geometry.setDrawRange(0,Math.min(e.length,t.count)),this.orbitTrail.material.uniforms.count.value=Math.min(e.length,t.count)}updateGroundTrack(){if(!this.groundTrack)return;const e=this.getLatLngAt(this.camera.position),t=this.groundTrackPoints,i=t[t.length-1];if(i&&Pe.distance(i,e)<this.trackParams.groundTrackStep*111.2)return;t.push(e),t.length>this.trackParams.groundTrackLength&&t.shift();const o=this.groundTrack.geometry.attributes.position,n=new y;t.forEach((s,a)=>{Pe.toVector(s.lat,s.lng,Pe.radius*1.003,n),o.setXYZ(a,n.x,n.y,n.z)}),o.needsUpdate=!0,this.groundTrack.geometry.setDrawRange(0,t.length)}fetchTle(e){return fetch(e).then(t=>{if(!t.ok)throw new Error(`HTTP ${t.status} pour ${e}`);return t.text()}).then(t=>Ue.parse(t))}loadSatellite(e=this.satelliteParams.defaultSatellite){const t=String(e).toUpperCase(),i=this.satelliteParams.catalog[t]||(/^\d{1,5}$/.test(t)?t:null);return(i?this.fetchTle(this.satelliteParams.live.replace("{catnr}",i)).then(o=>{const n=o.find(s=>s.satnum===i);if(!n)throw new Error(`NORAD ${i} absent de la réponse CelesTrak`);return{...n,simulated:!1}}).catch(o=>(console.warn(`TLE CelesTrak indisponible pour ${e}, éléments simulés utilisés:`,o),null)):Promise.resolve(null)).then(o=>o||this.fetchTle(this.satelliteParams.url).then(n=>{const s=n.find(a=>a.name.toUpperCase()===t);if(!s)throw new Error(`Satellite ${e} absent de ${this.satelliteParams.url}`);return{...s,satnum:null,simulated:!0}})).then(o=>(this.satellite={name:o.name,satnum:o.satnum,simulated:o.simulated,record:Ue.init(o)},console.log(`Satellite chargé: ${o.name}${o.satnum?` (NORAD ${o.satnum})`:""}, période ${(2*Math.PI/this.satellite.record.no).toFixed(1)} min${o.simulated?", éléments simulés":""}`),this.satellite)).catch(o=>(console.warn("Impossible de charger le TLE:",o),null))}setOrbitMode(e,t){if(e==="tle"&&(!this.satellite||t&&t!==this.satellite.name))return this.loadSatellite(t).then(o=>o?this.setOrbitMode("tle"):this.orbitParams.mode);const i=e==="tle"?"tle":"ellipse";return this.orbitParams.mode=i,this.orbitParams.orbitHistory=[],this.groundTrackPoints=[],this._orbitPathKey="",i==="tle"?this.updateSatellitePosition():this._updateCameraPositionManual(),this.updateSatelliteId(),this.onOrbitModeChange&&this.onOrbitModeChange(i),console.log(`Mode d'orbite: ${i==="tle"?`${this.satellite.name} (TLE/SGP4)`:"ellipse"}`),Promise.resolve(i)}updateSatellitePosition(e=new Date){const t=Ue.locate(this.satellite.record,e);if(!t){console.warn(`Propagation SGP4 impossible pour ${this.satellite.name}`),this.setOrbitMode("ellipse");return}this.satelliteState=t,this.getWorldPositionAt(t.lat,t.lng,Pe.altitudeToDistance(t.altitude),this.camera.position),this.camera.lookAt(0,0,0),this.cameraMarker&&this.cameraMarker.position.copy(this.camera.position),this.orbitParams.orbitHistory.push(this.camera.position.clone()),this.orbitParams.orbitHistory.length>100&&this.orbitParams.orbitHistory.shift()}isTracking(){return this.orbitParams.mode==="tle"&&!!this.satellite}satelliteLabel(){return this.satellite?this.satellite.simulated?`${this.satellite.name} (${Ye.t("hud.simulated")})`:this.satellite.name:""}updateSatelliteId(){const e=document.getElementById("sat-id");e&&(e.textContent=this.isTracking()?this.satellite.satnum?`${this.satelliteLabel()} / NORAD ${this.satellite.satnum}`:this.satelliteLabel():"NGS-OCEAN-0923")}setTrackVisibility(e={}){Object.assign(this.trackParams,e),this.orbitPath&&(this.orbitPath.visible=this.trackParams.showOrbit),this.orbitTrail&&(this.orbitTrail.visible=this.trackParams.showTrail),this.groundTrack&&(this.groundTrack.visible=this.trackParams.showGroundTrack)}createGlobe(){const e=document.createElement("video");e.src=this.currentVideoPath,e.loop=!0,e.muted=!0,e.autoplay=!0,e.playsInline=!0,e.crossOrigin="anonymous",this.videoElement=e,e.addEventListener("ended",()=>{e.play()}),setInterval(()=>{e.paused&&!e.ended&&(console.log("Vidéo en pause, relance..."),e.play().catch(c=>{console.error("Impossible de relancer la vidéo:",c)}))},1e3),this.videoTexture=new z(e),this.videoTexture.minFilter=T,this.videoTexture.magFilter=T,this.videoTexture.format=D,this.videoTexture.colorSpace=B;const t=new v(1.99,64,64),i=new C({color:0,transparent:!0,opacity:0,colorWrite:!1,depthWrite:!0,side:O}),o=new x(t,i);o.renderOrder=0,this.scene.add(o),this.depthSphere=o;const n=new v(2,64,64),s=this.createGlobeMaterial(this.videoTexture);this.globe=new x(n,s),this.globe.castShadow=!0,this.globe.receiveShadow=!0,this.globe.renderOrder=1,this.scene.add(this.globe),this.createLayers(),this.createGroundTrack(),this.createAtmosphere();const a=new v(2.02,64,64),r=new C({color:16777215,transparent:!0,opacity:.4,alphaTest:.1,depthTest:!0,depthWrite:!1});this.clouds=new x(a,r),this.clouds.renderOrder=2,this.scene.add(this.clouds),e.play().catch(c=>{console.error("Erreur lors de la lecture de la vidéo:",c),this.handleVideoError()})}createGlobeMaterial(e){return new H({vertexShader:`
+                #include <common>
+                #include <logdepthbuf_pars_vertex>
+                varying vec2 vUv;
+                varying vec3 vLocalNormal;
+                varying vec3 vSunNormal;
+                void main() {
+                    vUv = uv;
+                    vLocalNormal = normal;
+                    vSunNormal = normalize(mat3(modelMatrix) * normal);
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    #include <logdepthbuf_vertex>
+                }
+            `,fragmentShader:`
+                #ifdef GL_ES
+                precision mediump float;
+                #endif
+                
+                #include <common>
+                #include <logdepthbuf_pars_fragment>
+                uniform sampler2D map;
+                uniform sampler2D nextMap;
+                uniform float mixFactor;
+                uniform int transitionMode;
+                uniform vec3 wipeOrigin;
+                uniform float wipeSoftness;
+                uniform float opacity;
+                uniform vec3 sunDirection;
+                uniform float nightIntensity;
+                uniform float terminatorWidth;
+                varying vec2 vUv;
+                varying vec3 vLocalNormal;
+                varying vec3 vSunNormal;
+                
+                void main() {
+                    #include <logdepthbuf_fragment>
+                    vec4 current = texture2D(map, vUv);
+                    vec4 next = texture2D(nextMap, vUv);
+                    
+                    float blend = mixFactor;
+                    if (transitionMode == 1) {
+                        float angle = acos(clamp(dot(normalize(vLocalNormal), wipeOrigin), -1.0, 1.0)) / PI;
+                        float edge = mixFactor * (1.0 + wipeSoftness);
+                        blend = 1.0 - smoothstep(edge - wipeSoftness, edge, angle);
+                    }
+                    
+                    vec4 color = mix(current, next, blend);
+                    float daylight = smoothstep(-terminatorWidth, terminatorWidth, dot(normalize(vSunNormal), sunDirection));
+                    color.rgb *= mix(nightIntensity, 1.0, daylight);
+                    
+                    gl_FragColor = vec4(color.rgb, color.a * opacity);
+                    #include <colorspace_fragment>
+                }
+            `,uniforms:{map:{value:e},nextMap:{value:null},mixFactor:{value:0},transitionMode:{value:0},wipeOrigin:{value:new y(0,0,1)},wipeSoftness:{value:this.transitionParams.wipeSoftness},opacity:{value:1},...this.nightUniforms},transparent:!0,side:O,depthTest:!0,depthWrite:!1,toneMapped:!1})}createLayers(){this.layerManager=new Fe({globeManager:this,parent:this.globe,geometry:this.globe.geometry});const e=this.options.layers||Ne;this.layerManager.addLayer({...e.find(t=>t.base)||Ne[0],mesh:this.globe,videoElement:this.videoElement}),e.filter(t=>!t.base).forEach(t=>this.layerManager.addLayer(t))}applyNightShading(e){e.onBeforeCompile=t=>{Object.assign(t.uniforms,this.nightUniforms),t.vertexShader=t.vertexShader.replace("#include <common>",`#include <common>
+                varying vec3 vSunNormal;`).replace("#include <begin_vertex>",`#include <begin_vertex>
+                vSunNormal = normalize(mat3(modelMatrix) * normal);`),t.fragmentShader=t.fragmentShader.replace("#include <common>",`#include <common>
+                uniform vec3 sunDirection;
+                uniform float nightIntensity;
+                uniform float terminatorWidth;
+                varying vec3 vSunNormal;`).replace("#include <opaque_fragment>",`#include <opaque_fragment>
+                float daylight = smoothstep(-terminatorWidth, terminatorWidth, dot(normalize(vSunNormal), sunDirection));
+                gl_FragColor.rgb *= mix(nightIntensity, 1.0, daylight);`)}}updateSunPosition(e=new Date){if(e.getTime()-this._sunUpdatedAt>=this.celestialParams.sunUpdateInterval){const i=Te(e);Pe.toVector(i.lat,i.lng,1,this._sunLocalDirection),this._sunUpdatedAt=e.getTime(),this.subSolarPoint=i}this.sunDirection.copy(this._sunLocalDirection),this.globe&&this.sunDirection.applyQuaternion(this.globe.quaternion);const t=this.celestialParams.sunPosition.copy(this.sunDirection).multiplyScalar(this.celestialParams.sunDistance);this.sunLight&&this.sunLight.position.copy(t),this.sun&&this.sun.position.copy(t)}createAtmosphere(){const e=new v(2.08,64,64),t=new H({vertexShader:`
                 varying vec3 vNormal;
                 varying vec3 vWorldPosition;
                 void main() {
@@ -88,7 +247,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                     
                     gl_FragColor = vec4(atmosphereColor, intensity * 0.3);
                 }
-            `,uniforms:{cameraPosition:{value:new y}},blending:N,side:$,transparent:!0}),i=new x(e,t);this.scene.add(i),this.atmosphere=i,this.updateAtmosphereUniforms=()=>{this.atmosphere&&this.atmosphere.material.uniforms&&this.atmosphere.material.uniforms.cameraPosition.value.copy(this.camera.position)}}createSkybox(){new I().load("/public/images/night-sky.png",i=>{this.renderer.toneMapping=ee,this.renderer.toneMappingExposure=.3;const o=new te(i.image.height);o.fromEquirectangularTexture(this.renderer,i),this.scene.background=o.texture,this.scene.fog=new A(17,8e-5)},void 0,i=>{console.error("Erreur lors du chargement de la texture du ciel:",i),this.scene.background=new R(17)})}updateCameraPosition(){if(!this.orbitParams.isOrbiting)return;const e=this.orbitParams.ellipseMajorAxis*this.orbitParams.zoomLevel,t=this.orbitParams.ellipseMinorAxis*this.orbitParams.zoomLevel;let i=e*Math.cos(this.orbitParams.orbitAngle),o=t*Math.sin(this.orbitParams.orbitAngle);const n=this.orbitParams.inclination,s=o*Math.sin(n);o=o*Math.cos(n),this.camera.position.set(i,s,o),this.camera.lookAt(0,0,0),this.cameraMarker&&this.cameraMarker.position.set(i,s,o),this.orbitParams.orbitAngle+=this.orbitParams.currentSpeed,this.orbitParams.orbitHistory.push(new y(i,s,o)),this.orbitParams.orbitHistory.length>100&&this.orbitParams.orbitHistory.shift()}_updateCameraPositionManual(){const e=this.orbitParams.ellipseMajorAxis*this.orbitParams.zoomLevel,t=this.orbitParams.ellipseMinorAxis*this.orbitParams.zoomLevel;let i=e*Math.cos(this.orbitParams.orbitAngle),o=t*Math.sin(this.orbitParams.orbitAngle);const n=this.orbitParams.inclination,s=o*Math.sin(n);o=o*Math.cos(n),this.camera.position.set(i,s,o),this.camera.lookAt(0,0,0),this.cameraMarker&&this.cameraMarker.position.copy(this.camera.position)}addHotspots(e){this.hotspotObjects.forEach(t=>{this.scene.remove(t),t.userData.labelContainer&&document.body.removeChild(t.userData.labelContainer)}),this.hotspotObjects=[],e.forEach(t=>{const{position:i,title:o}=t,n=i.lat*(Math.PI/180),s=i.lng*(Math.PI/180),a=2.1,r=a*Math.cos(n)*Math.cos(s),c=a*Math.sin(n),p=a*Math.cos(n)*Math.sin(s);console.log(`Hotspot ${o}: GPS(${i.lat}, ${i.lng}) -> 3D(${r.toFixed(2)}, ${c.toFixed(2)}, ${p.toFixed(2)})`);const u=new v(.05,16,16),m=new C({color:16763904,transparent:!0,opacity:.8}),h=new x(u,m);h.position.set(r,c,p),h.userData={hotspot:t};const E=new v(.08,16,16),w=new C({color:16763904,transparent:!0,opacity:.5,side:$}),M=new x(E,w);h.add(M),this.addHotspotLabel(h,o,new y(r,c,p)),this.scene.add(h),this.hotspotObjects.push(h)})}addHotspotLabel(e,t,i){const o=document.createElement("div");o.className="hotspot-label-container",o.style.cssText=`
+            `,uniforms:{cameraPosition:{value:new y}},blending:N,side:$,transparent:!0}),i=new x(e,t);this.scene.add(i),this.atmosphere=i,this.updateAtmosphereUniforms=()=>{this.atmosphere&&this.atmosphere.material.uniforms&&this.atmosphere.material.uniforms.cameraPosition.value.copy(this.camera.position)}}createSkybox(){new I().load("/public/images/night-sky.png",i=>{this.renderer.toneMapping=ee,this.renderer.toneMappingExposure=.3;const o=new te(i.image.height);o.fromEquirectangularTexture(this.renderer,i),this.scene.background=o.texture,this.scene.fog=new A(17,8e-5)},void 0,i=>{console.error("Erreur lors du chargement de la texture du ciel:",i),this.scene.background=new R(17)})}updateCameraPosition(){if(!this.orbitParams.isOrbiting)return;if(this.orbitParams.mode==="tle"&&this.satellite){this.updateSatellitePosition();return}if(We.reduced())return;const e=this.orbitParams.ellipseMajorAxis*this.orbitParams.zoomLevel,t=this.orbitParams.ellipseMinorAxis*this.orbitParams.zoomLevel;let i=e*Math.cos(this.orbitParams.orbitAngle),o=t*Math.sin(this.orbitParams.orbitAngle);const n=this.orbitParams.inclination,s=o*Math.sin(n);o=o*Math.cos(n),this.camera.position.set(i,s,o),this.camera.lookAt(0,0,0),this.cameraMarker&&this.cameraMarker.position.set(i,s,o),this.orbitParams.orbitAngle+=this.orbitParams.currentSpeed,this.orbitParams.orbitHistory.push(new y(i,s,o)),this.orbitParams.orbitHistory.length>100&&this.orbitParams.orbitHistory.shift()}_updateCameraPositionManual(){if(this.orbitParams.mode==="tle"&&this.satellite){this.updateSatellitePosition();return}const e=this.orbitParams.ellipseMajorAxis*this.orbitParams.zoomLevel,t=this.orbitParams.ellipseMinorAxis*this.orbitParams.zoomLevel;let i=e*Math.cos(this.orbitParams.orbitAngle),o=t*Math.sin(this.orbitParams.orbitAngle);const n=this.orbitParams.inclination,s=o*Math.sin(n);o=o*Math.cos(n),this.camera.position.set(i,s,o),this.camera.lookAt(0,0,0),this.cameraMarker&&this.cameraMarker.position.copy(this.camera.position)}addHotspots(e){this.hotspotObjects.forEach(t=>{t.parent&&t.parent.remove(t),t.userData.labelContainer&&document.body.removeChild(t.userData.labelContainer)}),this.hotspotObjects=[],e.forEach(t=>{const i=t.position,o=Ye.localize(t.title),n=Pe.toVector(i.lat,i.lng,Pe.hotspotRadius);console.log(`Hotspot ${o}: GPS(${i.lat}, ${i.lng}) -> 3D(${n.x.toFixed(2)}, ${n.y.toFixed(2)}, ${n.z.toFixed(2)})`);const u=new v(.05,16,16),m=new C({color:je.color("accent-color"),transparent:!0,opacity:.8}),h=new x(u,m);h.position.copy(n),h.userData={hotspot:t};const E=new v(.08,16,16),w=new C({color:je.color("accent-color"),transparent:!0,opacity:.5,side:$}),M=new x(E,w);h.add(M),h.userData.halo=M,(this.globe||this.scene).add(h),this.addHotspotLabel(h,o,h.getWorldPosition(new y)),this.hotspotObjects.push(h)}),this.renderHotspotList()}refreshHotspotLabels(){this.hotspotObjects.forEach(e=>{e.userData.label&&(e.userData.label.textContent=Ye.localize(e.userData.hotspot.title))}),this.renderHotspotList()}applyTheme(){const e=je.color("accent-color");this.hotspotObjects.forEach(t=>{t.material.color.set(e),t.userData.halo&&t.userData.listItem!==document.activeElement&&t.userData.halo.material.color.set(e)}),this.layerManager&&this.layerManager.regenerate()}renderHotspotList(){this.hotspotList||(this.hotspotList=document.createElement("nav"),this.hotspotList.className="hotspot-list",this.hotspotList.style.cssText=He.hidden,document.body.appendChild(this.hotspotList));const e=document.createElement("ul");this.hotspotObjects.forEach(t=>{const i=document.createElement("li"),o=document.createElement("button");o.type="button",o.textContent=Ye.localize(t.userData.hotspot.title),o.setAttribute("aria-label",Ye.t("a11y.explore",{title:o.textContent})),o.addEventListener("click",()=>this.activateHotspot(t.userData.hotspot)),o.addEventListener("focus",()=>this.setHotspotFocus(t,!0)),o.addEventListener("blur",()=>{this.setHotspotFocus(t,!1),t.userData.visible||(i.hidden=!0)}),t.userData.listItem=o,i.hidden=!t.userData.visible,i.appendChild(o),e.appendChild(i)}),this.hotspotList.setAttribute("aria-label",Ye.t("a11y.hotspotList")),this.hotspotList.replaceChildren(e)}setHotspotFocus(e,t){const i=e.userData.halo,o=t?1.8:1;d.to(e.scale,We.vars({x:o,y:o,z:o,duration:.2,ease:"power2.out"})),i&&(i.material.color.set(t?je.color("ui-text"):je.color("accent-color")),i.material.opacity=t?.9:.5),e.userData.label.style.outline=t?"2px solid var(--ui-text)":"",e.userData.label.style.outlineOffset=t?"2px":""}addHotspotLabel(e,t,i){const o=document.createElement("div");o.className="hotspot-label-container",o.style.cssText=`
             position: absolute;
             top: 0;
             left: 0;
@@ -97,41 +256,72 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             pointer-events: none;
             overflow: hidden;
             z-index: 10;
-        `;const n=document.createElement("div");n.className="hotspot-label",n.textContent=t,n.style.cssText=`
+        `;const n=document.createElement("div");n.className="hotspot-label",n.textContent=t,n.setAttribute("aria-hidden","true"),n.style.cssText=`
             position: absolute;
-            background-color: rgba(0, 0, 0, 0.7);
-            color: #ffcc00;
+            background-color: rgba(var(--backdrop-rgb), 0.7);
+            color: var(--accent-color);
             padding: 5px 10px;
             border-radius: 4px;
-            font-family: 'Roboto Mono', monospace;
+            font-family: var(--mono-font);
             font-size: 12px;
             white-space: nowrap;
             opacity: 0;
             transition: opacity 0.3s ease;
-            border: 1px solid rgba(255, 204, 0, 0.7);
+            border: 1px solid rgba(var(--accent-rgb), 0.7);
             z-index: 11;
             box-shadow: 0 0 10px rgba(0, 0, 0, 0.5);
             backdrop-filter: blur(2px);
             text-shadow: 0 0 2px rgba(0, 0, 0, 0.8);
         `;const s=document.createElement("div");s.className="connector-line",s.style.cssText=`
             position: absolute;
-            background: linear-gradient(to right, rgba(255, 204, 0, 0.9), rgba(255, 204, 0, 0.3));
+            background: linear-gradient(to right, rgba(var(--accent-rgb), 0.9), rgba(var(--accent-rgb), 0.3));
             height: 1.5px;
             transform-origin: 0 0;
             opacity: 0;
             transition: opacity 0.3s ease;
             z-index: 10;
-            box-shadow: 0 0 4px rgba(255, 204, 0, 0.5);
-        `,o.appendChild(n),o.appendChild(s),document.body.appendChild(o),e.userData.label=n,e.userData.connector=s,e.userData.labelContainer=o,e.userData.worldPosition=i.clone();const a=r=>{const c=new y().copy(r).project(this.camera);if(c.z>1||c.x<-1||c.x>1||c.y<-1||c.y>1)return!1;const p=new y().subVectors(r,this.camera.position).normalize(),m=new L(this.camera.position,p).intersectObject(this.globe);if(m.length>0){const h=m[0].distance,E=this.camera.position.distanceTo(r);return h>E-.1}return!0};e.onBeforeRender=()=>{if(!e.userData.label||!e.userData.connector)return;if(a(e.userData.worldPosition)&&!this.orbitParams.inHotspotMode){const c=e.userData.worldPosition.clone();c.project(this.camera);const p=(c.x*.5+.5)*window.innerWidth,u=(-c.y*.5+.5)*window.innerHeight,m=window.innerWidth/2,h=window.innerHeight/2,E=Math.sqrt(Math.pow(p-m,2)+Math.pow(u-h,2)),w=Math.atan2(u-h,p-m),M=Math.min(m,h)*.6;let g,b;if(E<M){const S=M+60+Math.sin(w*5)*20;g=m+Math.cos(w)*S,b=h+Math.sin(w)*S;const f=20;g<f&&(g=f),g>window.innerWidth-f&&(g=window.innerWidth-f),b<f&&(b=f),b>window.innerHeight-f&&(b=window.innerHeight-f)}else{const S=t.length*8,f=25+S*.25,P=10;p+f+S>window.innerWidth-20?g=p-f-S:g=p+f,u-P-30<20?b=u+P:b=u-P}e.userData.label.style.left=`${g}px`,e.userData.label.style.top=`${b}px`,e.userData.label.style.opacity="1",s.style.left=`${p}px`,s.style.top=`${u}px`;const G=Math.sqrt(Math.pow(g-p,2)+Math.pow(b-u,2)),F=Math.atan2(b-u,g-p);s.style.width=`${G}px`,s.style.transform=`rotate(${F}rad)`,s.style.opacity="1",s.style.animation="pulseConnector 2s infinite alternate"}else e.userData.label.style.opacity="0",s.style.opacity="0"}}onMouseClick(e){if(this.orbitParams.inHotspotMode)return;this.mouse.x=e.clientX/window.innerWidth*2-1,this.mouse.y=-(e.clientY/window.innerHeight)*2+1,this.raycaster.setFromCamera(this.mouse,this.camera);const t=this.raycaster.intersectObject(this.globe);if(t.length>0){const o=t[0].point,s=Math.acos(o.y/2),a=Math.atan2(o.z,o.x),r=90-s*180/Math.PI,c=a*180/Math.PI-180;console.log(`Clic sur le globe à lat: ${r.toFixed(2)}, lng: ${c.toFixed(2)}`);const p=this._findNearestHotspot(r,c,10);if(p){console.log(`Hotspot trouvé: ${p.title}`),this.activateHotspot(p);return}}const i=this.raycaster.intersectObjects(this.hotspotObjects);if(i.length>0){const o=i[0].object.userData.hotspot;console.log(`Hotspot sélectionné par raycasting: ${o.title}`),this.activateHotspot(o)}}_findNearestHotspot(e,t,i){let o=null,n=i;const s=this.hotspotObjects.map(a=>a.userData.hotspot).filter(Boolean);for(const a of s){const r=a.position.lat,c=a.position.lng,p=Math.sqrt(Math.pow(r-e,2)+Math.pow(c-t,2));p<n&&(n=p,o=a)}return o}activateHotspot(e){if(this.orbitParams.inHotspotMode)return;console.log(`=== ACTIVATION HOTSPOT: ${e.title} ===`);const t=e.position.lat*(Math.PI/180),i=e.position.lng*(Math.PI/180),o=2.1,n=o*Math.cos(t)*Math.cos(i),s=o*Math.sin(t),a=o*Math.cos(t)*Math.sin(i),r=new y(n,s,a);this.createScanEffect(e.position),this.orbitParams.isOrbiting=!1;const u=r.clone().normalize().multiplyScalar(3.5);d.to(this.camera.position,{x:u.x,y:u.y,z:u.z,duration:1.5,ease:"power2.inOut",onUpdate:()=>{this.camera.lookAt(0,0,0)},onComplete:()=>{this.orbitParams.inHotspotMode=!0,this._redirectToExternalPage(e)}}),d.to(this.camera,{fov:40,duration:1.5,ease:"power2.inOut",onUpdate:()=>{this.camera.updateProjectionMatrix()}})}_redirectToExternalPage(e){console.log("=== REDIRECTION VERS PAGE EXTERNE ===");const t=document.createElement("div");t.style.cssText=`
+            box-shadow: 0 0 4px rgba(var(--accent-rgb), 0.5);
+        `,o.appendChild(n),o.appendChild(s),document.body.appendChild(o),e.userData.label=n,e.userData.connector=s,e.userData.labelContainer=o,e.userData.worldPosition=i.clone();const a=r=>{const c=new y().copy(r).project(this.camera);if(c.z>1||c.x<-1||c.x>1||c.y<-1||c.y>1)return!1;const p=new y().subVectors(r,this.camera.position).normalize(),m=new L(this.camera.position,p).intersectObject(this.globe,!1);if(m.length>0){const h=m[0].distance,E=this.camera.position.distanceTo(r);return h>E-.1}return!0};e.onBeforeRender=()=>{if(!e.userData.label||!e.userData.connector)return;if(e.getWorldPosition(e.userData.worldPosition),a(e.userData.worldPosition)&&!this.orbitParams.inHotspotMode){const c=e.userData.worldPosition.clone();c.project(this.camera);const p=(c.x*.5+.5)*window.innerWidth,u=(-c.y*.5+.5)*window.innerHeight,m=window.innerWidth/2,h=window.innerHeight/2,E=Math.sqrt(Math.pow(p-m,2)+Math.pow(u-h,2)),w=Math.atan2(u-h,p-m),M=Math.min(m,h)*.6;let g,b;if(E<M){const S=M+60+Math.sin(w*5)*20;g=m+Math.cos(w)*S,b=h+Math.sin(w)*S;const f=20;g<f&&(g=f),g>window.innerWidth-f&&(g=window.innerWidth-f),b<f&&(b=f),b>window.innerHeight-f&&(b=window.innerHeight-f)}else{const S=t.length*8,f=25+S*.25,P=10;p+f+S>window.innerWidth-20?g=p-f-S:g=p+f,u-P-30<20?b=u+P:b=u-P}e.userData.label.style.left=`${g}px`,e.userData.label.style.top=`${b}px`,e.userData.label.style.opacity="1",s.style.left=`${p}px`,s.style.top=`${u}px`;const G=Math.sqrt(Math.pow(g-p,2)+Math.pow(b-u,2)),F=Math.atan2(b-u,g-p);s.style.width=`${G}px`,s.style.transform=`rotate(${F}rad)`,s.style.opacity="1",s.style.animation="pulseConnector 2s infinite alternate",e.userData.visible||(e.userData.visible=!0,e.userData.listItem&&(e.userData.listItem.parentNode.hidden=!1))}else e.userData.label.style.opacity="0",s.style.opacity="0",e.userData.visible&&(e.userData.visible=!1,e.userData.listItem&&e.userData.listItem!==document.activeElement&&(e.userData.listItem.parentNode.hidden=!0))}}onMouseClick(e){if(this.orbitParams.inHotspotMode)return;this.mouse.x=e.clientX/window.innerWidth*2-1,this.mouse.y=-(e.clientY/window.innerHeight)*2+1,this.raycaster.setFromCamera(this.mouse,this.camera);const t=this.raycaster.intersectObjects(this.hotspotObjects);if(t.length>0){let o=t[0].object;for(;o&&!o.userData.hotspot;)o=o.parent;if(o){const n=o.userData.hotspot,s=Pe.toLatLng(o.position);console.log(`Hotspot sélectionné par raycasting: ${Ye.localize(n.title)} (lat: ${s.lat.toFixed(2)}, lng: ${s.lng.toFixed(2)})`),this.activateHotspot(n);return}}const i=this.raycaster.intersectObject(this.globe,!1);if(i.length>0){const{lat:o,lng:n}=this.getLatLngAt(i[0].point);console.log(`Clic sur le globe à lat: ${o.toFixed(2)}, lng: ${n.toFixed(2)}`);const s=this._findNearestHotspot(o,n,this.getPickRadiusKm());s&&(console.log(`Hotspot trouvé: ${Ye.localize(s.title)}`),this.activateHotspot(s))}}flyTo(e={}){if(typeof e.lat!="number"||typeof e.lng!="number")return console.warn("flyTo: coordonnées invalides",e),Promise.resolve(!1);this.cancelFlight();const t=this.camera.position.length(),i=this.camera.position.clone().normalize(),o=e.altitude!==void 0?Pe.altitudeToDistance(Math.max(e.altitude,0)):t,n=e.duration!==void 0?e.duration:2,s=this.getWorldPositionAt(e.lat,e.lng,1).normalize(),a=Pe.radius*.6*(i.angleTo(s)/Math.PI),r={progress:0},c=new y,p=new y;return console.log(`Vol vers lat: ${e.lat.toFixed(2)}, lng: ${e.lng.toFixed(2)} (${n}s)`),new Promise(u=>{this._flight={resolve:u,wasOrbiting:this.orbitParams.isOrbiting,resumeOrbit:!!e.resumeOrbit,tween:null},this.orbitParams.isOrbiting=!1,this._flight.tween=d.to(r,We.vars({progress:1,duration:n,ease:e.ease||"power2.inOut",onUpdate:()=>{const m=r.progress,h=i.angleTo(this.getWorldPositionAt(e.lat,e.lng,1,s).normalize());c.crossVectors(i,s),c.lengthSq()<1e-10&&c.crossVectors(i,Math.abs(i.y)<.9?new y(0,1,0):new y(1,0,0)),p.copy(i).applyAxisAngle(c.normalize(),h*m),this.camera.position.copy(p).multiplyScalar(t+(o-t)*m+Math.sin(Math.PI*m)*a),this.camera.lookAt(0,0,0),this.cameraMarker&&this.cameraMarker.position.copy(this.camera.position)},onComplete:()=>{const m=this._flight;this._flight=null,this.syncOrbitToCamera(),m.resumeOrbit&&(this.orbitParams.isOrbiting=m.wasOrbiting),u(!0)}}))})}cancelFlight(){if(!this._flight)return!1;const e=this._flight;return this._flight=null,e.tween&&e.tween.kill(),this.syncOrbitToCamera(),e.resumeOrbit&&(this.orbitParams.isOrbiting=e.wasOrbiting),console.log("Vol interrompu"),e.resolve(!1),!0}syncOrbitToCamera(){const e=this.orbitParams,t=this.camera.position;let i=Math.atan2(t.y,t.z),o=Math.hypot(t.y,t.z);Math.abs(i)>Math.PI/2&&(i-=Math.sign(i)*Math.PI,o=-o);const n=Math.atan2(o/e.ellipseMinorAxis,t.x/e.ellipseMajorAxis);e.inclination=i,e.orbitAngle+=Math.atan2(Math.sin(n-e.orbitAngle),Math.cos(n-e.orbitAngle)),e.zoomLevel=t.length()/Math.hypot(e.ellipseMajorAxis*Math.cos(n),e.ellipseMinorAxis*Math.sin(n))}getLatLngAt(e){return Pe.toLatLng(this.globe.worldToLocal(e.clone()))}getWorldPositionAt(e,t,i=Pe.radius,o=new y){return Pe.toVector(e,t,i,o),this.globe?this.globe.localToWorld(o):o}getPickRadiusKm(){const e=Math.max(this.camera.position.length()-Pe.radius,.01),t=2*e*Math.tan(this.camera.fov*Math.PI/360)/window.innerHeight,i=t*Pe.earthRadiusKm/Pe.radius*this.pickParams.radiusPx;return Math.min(Math.max(i,this.pickParams.minKm),this.pickParams.maxKm)}_findNearestHotspot(e,t,i){let o=null,n=i;const s=this.hotspotObjects.map(a=>a.userData.hotspot).filter(Boolean);for(const a of s){const r=Pe.distance({lat:e,lng:t},a.position);r<n&&(n=r,o=a)}return o&&console.log(`Hotspot le plus proche: ${Ye.localize(o.title)} (${n.toFixed(0)} km)`),o}activateHotspot(e){if(this.orbitParams.inHotspotMode)return;console.log(`=== ACTIVATION HOTSPOT: ${Ye.localize(e.title)} ===`);const t=this.orbitParams.isOrbiting,i=()=>{this.camera.updateProjectionMatrix()};this.createScanEffect(e.position),this.orbitParams.isOrbiting=!1,this.flyTo({lat:e.position.lat,lng:e.position.lng,altitude:Pe.distanceToAltitude(3.5),duration:1.5}).then(o=>{o?(this.orbitParams.inHotspotMode=!0,this.openDestination(e)):(d.killTweensOf(this.camera,"fov"),d.to(this.camera,We.vars({fov:60,duration:.6,ease:"power2.out",onUpdate:i})),this.orbitParams.isOrbiting=t)}),d.to(this.camera,We.vars({fov:40,duration:1.5,ease:"power2.inOut",onUpdate:i}))}openDestination(e){const t=re(e.id);if(t.mode==="panel"||!t.url){this.onHotspotSelect?this.onHotspotSelect(e):t.url&&this._redirectToExternalPage(t.url);return}this.openExternalPage(e,t)}openExternalPage(e,t=re(e.id)){if(t.url)switch(console.log(`Destination ${e.id}: ${t.mode} -> ${t.url}`),t.mode){case"new-tab":{const i=window.open(t.url,"_blank");i?(i.opener=null,this.exitHotspotMode()):(console.warn("Ouverture bloquée par le navigateur, panneau affiché"),this.onHotspotSelect&&this.onHotspotSelect(e));break}case"overlay":this._openOverlay(e,t.url);break;default:this._redirectToExternalPage(t.url)}}_openOverlay(e,t){this._closeOverlay();const i=document.createElement("div");i.className="destination-overlay",i.style.cssText=`
            position: fixed;
            top: 0;
            left: 0;
            width: 100%;
            height: 100%;
-           background-color: rgba(0, 0, 0, 0);
+           background-color: rgba(var(--backdrop-rgb), 0.85);
+           z-index: 9999;
+           display: flex;
+           flex-direction: column;
+           opacity: 0;
+       `;const o=document.createElement("div");o.style.cssText=`
+           display: flex;
+           justify-content: space-between;
+           align-items: center;
+           padding: 10px 20px;
+           border-bottom: 1px solid rgba(var(--accent-rgb), 0.5);
+           font-family: var(--mono-font);
+           color: var(--accent-color);
+           letter-spacing: 1px;
+       `,o.innerHTML=`
+           <span>${ze.escape(Ye.localize(e.title).toUpperCase())}</span>
+           <span>
+               <a href="${ze.escape(t)}" target="_blank" rel="noopener" style="color: var(--ui-text); margin-right: 20px; font-size: 0.8rem;">${Ye.t("overlay.newTab")}</a>
+               <button class="overlay-close" aria-label="${Ye.t("common.close")}" style="background: none; border: none; color: var(--ui-text); font-size: 1.5rem; cursor: pointer;">×</button>
+           </span>
+       `;const n=document.createElement("iframe");n.src=t,n.title=Ye.localize(e.title),n.style.cssText=`
+           flex: 1;
+           width: 100%;
+           border: none;
+           background-color: #000;
+       `,i.appendChild(o),i.appendChild(n),document.body.appendChild(i),o.querySelector(".overlay-close").addEventListener("click",()=>{this.exitHotspotMode()}),this._overlay=i,d.to(i,We.vars({opacity:1,duration:.5,ease:"power2.out"}))}_closeOverlay(){if(!this._overlay)return;const e=this._overlay;this._overlay=null,d.to(e,We.vars({opacity:0,duration:.4,ease:"power2.in",onComplete:()=>e.remove()}))}_redirectToExternalPage(e){console.log("=== REDIRECTION VERS PAGE EXTERNE ===");const t=document.createElement("div");t.style.cssText=`
+           position: fixed;
+           top: 0;
+           left: 0;
+           width: 100%;
+           height: 100%;
+           background-color: rgba(var(--backdrop-rgb), 0);
            z-index: 9999;
            pointer-events: none;
-       `,document.body.appendChild(t),d.to(t,{backgroundColor:"rgba(0, 0, 0, 1)",duration:1,ease:"power2.inOut",onComplete:()=>{const i=re(e.id);console.log(`Redirection vers: ${i}`),window.location.href=i}})}createScanEffect(e){const t=(90-e.lat)*(Math.PI/180),i=(e.lng+180)*(Math.PI/180),o=-(2.1*Math.sin(t)*Math.cos(i)),n=2.1*Math.cos(t),s=2.1*Math.sin(t)*Math.sin(i),a=new oe(0,.3,32),r=new H({uniforms:{color:{value:new R(16763904)},time:{value:0}},vertexShader:`
+       `,document.body.appendChild(t),this._fade=t,d.to(t,We.vars({backgroundColor:"rgba(0, 0, 0, 1)",duration:1,ease:"power2.inOut",onComplete:()=>{this.onBeforeNavigate&&this.onBeforeNavigate(),console.log(`Redirection vers: ${e}`),window.location.href=e}}))}createScanEffect(e){const t=Pe.toVector(e.lat,e.lng,Pe.hotspotRadius),a=new oe(0,.3,32),r=new H({uniforms:{color:{value:new R(je.color("accent-color"))},time:{value:0}},vertexShader:`
                varying vec2 vUv;
                void main() {
                    vUv = uv;
@@ -154,18 +344,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                    
                    gl_FragColor = vec4(color, alpha);
                }
-           `,side:ie,transparent:!0,blending:N,depthWrite:!1}),c=new x(a,r);c.position.set(o,n,s),c.lookAt(0,0,0),this.scene.add(c);let p=performance.now();const u=()=>{const m=(performance.now()-p)/1e3;r.uniforms.time.value=m,m<2?requestAnimationFrame(u):(this.scene.remove(c),c.geometry.dispose(),r.dispose())};u(),d.to(c.scale,{x:4,y:4,z:1,duration:2,ease:"power1.out"}),d.to(r.uniforms.color.value,{r:1,g:.8,b:.2,duration:2,ease:"power1.out"})}exitHotspotMode(){this.orbitParams.inHotspotMode&&(console.log("Sortie du mode hotspot"),this.orbitParams.inHotspotMode=!1,d.to(this.camera,{fov:60,duration:1,ease:"power2.out",onUpdate:()=>{this.camera.updateProjectionMatrix()}}),setTimeout(()=>{this.orbitParams.isOrbiting=!0,this.orbitParams.currentSpeed=this.orbitParams.baseSpeed},500))}exitHotspotModeExternal(){this.exitHotspotMode()}handleVideoError(){console.log("Tentative de résolution de l'erreur vidéo..."),new I().load("/public/images/video-placeholder.jpg",t=>{this.globe&&this.globe.material&&(console.log("Application de la texture de secours"),this.globe.material.uniforms&&this.globe.material.uniforms.map?this.globe.material.uniforms.map.value=t:this.globe.material.map=t,this.globe.material.needsUpdate=!0)})}zoom(e){const t=e?.85:1.15,i=this.orbitParams.zoomLevel*t;this.orbitParams.zoomLevel=Math.min(Math.max(i,this.orbitParams.minZoomLevel),this.orbitParams.maxZoomLevel),d.to(this.camera.position,{x:this.camera.position.x*t,y:this.camera.position.y*t,z:this.camera.position.z*t,duration:.5,ease:"back.out(1.2)",onUpdate:()=>{this.camera.lookAt(0,0,0)}})}resetView(){this.orbitParams.zoomLevel=1,this.orbitParams.currentSpeed=this.orbitParams.baseSpeed;const e=this.orbitParams.ellipseMajorAxis,t=this.orbitParams.ellipseMinorAxis,i=this.orbitParams.inclination,o=this.orbitParams.orbitAngle,n=e*Math.cos(o),s=t*Math.sin(o),a=s*Math.sin(i),r=s*Math.cos(i);d.to(this.camera.position,{x:n,y:a,z:r,duration:1,ease:"elastic.out(1, 0.7)",onUpdate:()=>{this.camera.lookAt(0,0,0)}})}onWindowResize(){this.camera.aspect=window.innerWidth/window.innerHeight,this.camera.updateProjectionMatrix(),this.renderer.setSize(window.innerWidth,window.innerHeight)}setHotspotSelectCallback(e){this.onHotspotSelect=e}setHotspotExitCallback(e){this.onHotspotExit=e}animate(){requestAnimationFrame(this.animate.bind(this)),this.clock.getDelta();const e=this.clock.getElapsedTime()*1e3;this.orbitParams.isOrbiting&&!this.orbitParams.inHotspotMode&&this.updateCameraPosition(),this.updateSkyboxTime&&this.updateSkyboxTime(e),this.updateAtmosphereUniforms&&this.updateAtmosphereUniforms(),this.hotspotObjects.forEach(t=>{if(t.children.length>0){const i=t.children[0],o=1+.2*Math.sin(e*.003);i.scale.set(o,o,o)}t.userData.label&&t.userData.worldPosition&&t.onBeforeRender()}),this.clouds&&(this.clouds.rotation.y+=1e-4),this.globe&&!this.orbitParams.inHotspotMode&&(this.globe.rotation.y+=2e-4),this.globe&&this.globe.material.uniforms&&this.globe.material.uniforms.time&&(this.globe.material.uniforms.time.value=e),this.videoElement&&this.videoElement.paused&&!this.videoElement.ended&&this.videoElement.play().catch(t=>{console.error("Erreur lors de la reprise de la vidéo:",t)}),this.renderer.render(this.scene,this.camera)}}class ce{constructor(e){this.container=e.container,this.effectsContainer=null,this.notificationContainer=null,this.init()}init(){this.effectsContainer=document.createElement("div"),this.effectsContainer.classList.add("effects-container"),this.effectsContainer.style.position="absolute",this.effectsContainer.style.top="0",this.effectsContainer.style.left="0",this.effectsContainer.style.width="100%",this.effectsContainer.style.height="100%",this.effectsContainer.style.pointerEvents="none",this.effectsContainer.style.zIndex="5",this.container.appendChild(this.effectsContainer),this.createNotificationContainer()}createNotificationContainer(){this.notificationContainer=document.createElement("div"),this.notificationContainer.className="notification-container",this.notificationContainer.style.cssText=`
-            position: absolute;
-            bottom: 30px;
-            right: 30px;
-            display: flex;
-            flex-direction: column;
-            align-items: flex-end;
-            gap: 10px;
-            z-index: 100;
-            pointer-events: none;
-            max-width: 400px;
-        `,this.container.appendChild(this.notificationContainer)}transitionIn(){const e=document.createElement("div");e.classList.add("transition-overlay"),e.style.position="absolute",e.style.top="0",e.style.left="0",e.style.width="100%",e.style.height="100%",e.style.backgroundColor="#000000",e.style.zIndex="10",this.effectsContainer.appendChild(e),d.fromTo(e,{opacity:1},{opacity:0,duration:1.5,ease:"power2.out",onComplete:()=>{e.remove()}})}transitionOut(e){const t=document.createElement("div");t.classList.add("transition-overlay"),t.style.position="absolute",t.style.top="0",t.style.left="0",t.style.width="100%",t.style.height="100%",t.style.backgroundColor="#000000",t.style.zIndex="10",t.style.opacity="0",this.effectsContainer.appendChild(t),d.to(t,{opacity:1,duration:1,ease:"power2.in",onComplete:()=>{e&&e()}})}createOrbitalLoaderEffect(e,t=4){const i=document.createElement("div");i.className="orbital-loader",i.style.cssText=`
+           `,side:ie,transparent:!0,blending:N,depthWrite:!1}),c=new x(a,r),h=new R(je.color("accent-color")).offsetHSL(0,0,.1);c.position.copy(t),(this.globe||this.scene).add(c),c.lookAt(0,0,0);let p=performance.now();const u=()=>{const m=(performance.now()-p)/1e3;r.uniforms.time.value=We.reduced()?0:m,m<2?requestAnimationFrame(u):(c.parent&&c.parent.remove(c),c.geometry.dispose(),r.dispose())};u(),d.to(c.scale,We.vars({x:4,y:4,z:1,duration:2,ease:"power1.out"})),d.to(r.uniforms.color.value,We.vars({r:h.r,g:h.g,b:h.b,duration:2,ease:"power1.out"}))}enterHotspotMode(e){return this.flyTo({lat:e.position.lat,lng:e.position.lng,altitude:Pe.distanceToAltitude(3.5),duration:0}).then(t=>(t&&(this.orbitParams.isOrbiting=!1,this.orbitParams.inHotspotMode=!0,d.killTweensOf(this.camera,"fov"),this.camera.fov=40,this.camera.updateProjectionMatrix()),t))}exitHotspotMode(){this.orbitParams.inHotspotMode&&(console.log("Sortie du mode hotspot"),this.orbitParams.inHotspotMode=!1,this._closeOverlay(),d.to(this.orbitParams,We.vars({zoomLevel:Math.min(Math.max(this.orbitParams.zoomLevel,this.orbitParams.minZoomLevel),this.orbitParams.maxZoomLevel),duration:1,ease:"power2.inOut"})),d.to(this.camera,We.vars({fov:60,duration:1,ease:"power2.out",onUpdate:()=>{this.camera.updateProjectionMatrix()}})),setTimeout(()=>{this.orbitParams.isOrbiting=!0,this.orbitParams.currentSpeed=this.orbitParams.baseSpeed},500),this.onHotspotExit&&this.onHotspotExit())}exitHotspotModeExternal(){this.exitHotspotMode()}handleVideoError(){console.log("Tentative de résolution de l'erreur vidéo..."),new I().load("/public/images/video-placeholder.jpg",t=>{this.globe&&this.globe.material&&(console.log("Application de la texture de secours"),this.globe.material.uniforms&&this.globe.material.uniforms.map?this.globe.material.uniforms.map.value=t:this.globe.material.map=t,this.globe.material.needsUpdate=!0)})}zoom(e){if(this.isTracking())return;const t=e?.85:1.15,i=this.orbitParams.zoomLevel*t;this.orbitParams.zoomLevel=Math.min(Math.max(i,this.orbitParams.minZoomLevel),this.orbitParams.maxZoomLevel),d.to(this.camera.position,We.vars({x:this.camera.position.x*t,y:this.camera.position.y*t,z:this.camera.position.z*t,duration:.5,ease:"back.out(1.2)",onUpdate:()=>{this.camera.lookAt(0,0,0)}}))}resetView(){if(this.isTracking())return;this.orbitParams.zoomLevel=1,this.orbitParams.currentSpeed=this.orbitParams.baseSpeed;const e=this.orbitParams.ellipseMajorAxis,t=this.orbitParams.ellipseMinorAxis,i=this.orbitParams.inclination,o=this.orbitParams.orbitAngle,n=e*Math.cos(o),s=t*Math.sin(o),a=s*Math.sin(i),r=s*Math.cos(i);d.to(this.camera.position,We.vars({x:n,y:a,z:r,duration:1,ease:"elastic.out(1, 0.7)",onUpdate:()=>{this.camera.lookAt(0,0,0)}}))}onWindowResize(){this.camera.aspect=window.innerWidth/window.innerHeight,this.camera.updateProjectionMatrix(),this.renderer.setSize(window.innerWidth,window.innerHeight)}onPageShow(e){e.persisted&&this._fade&&(console.log("Retour depuis la page externe, fondu retiré"),d.killTweensOf(this._fade),this._fade.remove(),this._fade=null)}setHotspotSelectCallback(e){this.onHotspotSelect=e}setHotspotExitCallback(e){this.onHotspotExit=e}setNavigateCallback(e){this.onBeforeNavigate=e}setOrbitModeCallback(e){this.onOrbitModeChange=e}saveState(){const e=this.orbitParams,t=this.layerManager;return this._savedState={camera:{position:this.camera.position.toArray(),fov:this.camera.fov},globeRotation:this.globe?this.globe.rotation.y:0,orbit:{orbitAngle:e.orbitAngle,inclination:e.inclination,zoomLevel:e.zoomLevel,mode:e.mode,satellite:this.satellite?this.satellite.name:null},layers:t?t.getLayers().map(i=>({id:i.id,visible:i.visible,opacity:i.opacity})):[]}}restoreState(e=this._savedState){if(!e)return Promise.resolve(!1);this.cancelFlight(),this._savedState=e,this.globe&&(this.globe.rotation.y=e.globeRotation||0),this.layerManager&&(e.layers||[]).forEach(i=>{const o=this.layerManager.getLayer(i.id);o&&(o.base||this.layerManager.setOpacity(i.id,i.opacity),(!o.base||i.visible)&&o.visible!==i.visible&&this.layerManager.setVisible(i.id,i.visible,{duration:0}))});const t=this.orbitParams;return Object.assign(t,{orbitAngle:e.orbit.orbitAngle,inclination:e.orbit.inclination,zoomLevel:e.orbit.zoomLevel,inHotspotMode:!1,orbitHistory:[]}),this.camera.position.fromArray(e.camera.position),this.camera.lookAt(0,0,0),this.camera.fov=e.camera.fov,this.camera.updateProjectionMatrix(),this.syncOrbitToCamera(),d.to(t,We.vars({zoomLevel:Math.min(Math.max(t.zoomLevel,t.minZoomLevel),t.maxZoomLevel),duration:1.5,ease:"power2.inOut"})),d.to(this.camera,We.vars({fov:60,duration:1.5,ease:"power2.inOut",onUpdate:()=>{this.camera.updateProjectionMatrix()}})),console.log("État de la caméra restauré"),e.orbit.mode==="tle"?this.setOrbitMode("tle",e.orbit.satellite).then(()=>!0):Promise.resolve(!0)}animate(){requestAnimationFrame(this.animate.bind(this)),this.clock.getDelta();const e=this.clock.getElapsedTime()*1e3;this.orbitParams.isOrbiting&&!this.orbitParams.inHotspotMode&&this.updateCameraPosition(),this.updateSkyboxTime&&this.updateSkyboxTime(e),this.updateAtmosphereUniforms&&this.updateAtmosphereUniforms(),this.hotspotObjects.forEach(t=>{if(t.children.length>0){const i=t.children[0],o=1+.2*Math.sin(e*.003);i.scale.set(o,o,o)}t.userData.label&&t.userData.worldPosition&&t.onBeforeRender()}),this.clouds&&(this.clouds.rotation.y+=1e-4),this.globe&&!this.orbitParams.inHotspotMode&&(this.globe.rotation.y+=2e-4),this.updateSunPosition(),this.globe&&this.globe.material.uniforms&&this.globe.material.uniforms.time&&(this.globe.material.uniforms.time.value=e),this.layerManager&&this.layerManager.update(),this.updateOrbitPath(),this.updateOrbitTrail(),this.updateGroundTrack(),this.renderer.render(this.scene,this.camera)}}class ce{constructor(e){this.container=e.container,this.effectsContainer=null,this.init()}init(){this.effectsContainer=document.createElement("div"),this.effectsContainer.classList.add("effects-container"),this.effectsContainer.style.position="absolute",this.effectsContainer.style.top="0",this.effectsContainer.style.left="0",this.effectsContainer.style.width="100%",this.effectsContainer.style.height="100%",this.effectsContainer.style.pointerEvents="none",this.effectsContainer.style.zIndex="5",this.container.appendChild(this.effectsContainer),qe.mount(this.container)}transitionIn(){const e=document.createElement("div");e.classList.add("transition-overlay"),e.style.position="absolute",e.style.top="0",e.style.left="0",e.style.width="100%",e.style.height="100%",e.style.backgroundColor="#000000",e.style.zIndex="10",this.effectsContainer.appendChild(e),d.fromTo(e,{opacity:1},We.vars({opacity:0,duration:1.5,ease:"power2.out",onComplete:()=>{e.remove()}}))}transitionOut(e){const t=document.createElement("div");t.classList.add("transition-overlay"),t.style.position="absolute",t.style.top="0",t.style.left="0",t.style.width="100%",t.style.height="100%",t.style.backgroundColor="#000000",t.style.zIndex="10",t.style.opacity="0",this.effectsContainer.appendChild(t),d.to(t,We.vars({opacity:1,duration:1,ease:"power2.in",onComplete:()=>{e&&e()}}))}createOrbitalLoaderEffect(e,t=4){const i=document.createElement("div");i.className="orbital-loader",i.style.cssText=`
             position: absolute;
             top: 0;
             left: 0;
@@ -175,7 +354,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             justify-content: center;
             align-items: center;
             z-index: 50;
-            background-color: rgba(0, 0, 0, 0.7);
+            background-color: rgba(var(--backdrop-rgb), 0.7);
             backdrop-filter: blur(5px);
         `;const o=document.createElement("div");o.style.cssText=`
             width: 200px;
@@ -187,7 +366,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
         `;for(let r=0;r<3;r++){const c=document.createElement("div");c.style.cssText=`
                 position: absolute;
                 border-radius: 50%;
-                border: 2px solid rgba(255, 204, 0, ${.7-r*.2});
+                border: 2px solid rgba(var(--accent-rgb), ${.7-r*.2});
                 width: ${120+r*40}px;
                 height: ${120+r*40}px;
                 animation: orbit${r} ${4-r*.5}s linear infinite;
@@ -195,28 +374,28 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                     position: absolute;
                     width: ${8-r}px;
                     height: ${8-r}px;
-                    background-color: #ffcc00;
+                    background-color: var(--accent-color);
                     border-radius: 50%;
                     top: 50%;
                     left: 50%;
-                    box-shadow: 0 0 10px #ffcc00;
+                    box-shadow: 0 0 10px var(--accent-color);
                     transform: translate(-50%, -50%) rotate(${m}deg) translateX(${60+r*20}px);
                 `,c.appendChild(u)}o.appendChild(c)}const n=document.createElement("div");n.style.cssText=`
             width: 20px;
             height: 20px;
-            background-color: #ffcc00;
+            background-color: var(--accent-color);
             border-radius: 50%;
-            box-shadow: 0 0 20px #ffcc00;
+            box-shadow: 0 0 20px var(--accent-color);
             animation: pulse 2s ease-in-out infinite;
         `,o.appendChild(n);const s=document.createElement("div");s.style.cssText=`
             position: absolute;
             bottom: 30%;
             text-align: center;
-            color: #ffcc00;
-            font-family: 'Roboto Mono', monospace;
+            color: var(--accent-color);
+            font-family: var(--mono-font);
             font-size: 16px;
             letter-spacing: 2px;
-        `,s.textContent="INITIALISATION DU SYSTÈME...",i.appendChild(o),i.appendChild(s);const a=document.createElement("style");a.textContent=`
+        `,s.textContent=Ye.t("startup.initializing"),i.appendChild(o),i.appendChild(s);const a=document.createElement("style");a.textContent=`
             @keyframes orbit0 {
                 0% { transform: rotate(0deg); }
                 100% { transform: rotate(360deg); }
@@ -233,7 +412,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                 0%, 100% { transform: scale(1); opacity: 1; }
                 50% { transform: scale(1.3); opacity: 0.7; }
             }
-        `,document.head.appendChild(a),this.effectsContainer.appendChild(i),d.fromTo(i,{opacity:0},{opacity:1,duration:.5}),setTimeout(()=>{d.to(i,{opacity:0,duration:.5,onComplete:()=>{i.remove(),a.remove(),e&&e()}})},t*1e3)}highlightSelection(e){const t=document.createElement("div");t.classList.add("highlight-effect"),t.style.position="absolute",t.style.width="100px",t.style.height="100px",t.style.borderRadius="50%",t.style.border="2px solid #ffcc00",t.style.boxShadow="0 0 20px rgba(255, 204, 0, 0.5)",t.style.transform="translate(-50%, -50%)",t.style.pointerEvents="none",t.style.top="50%",t.style.left="50%",this.effectsContainer.appendChild(t),d.fromTo(t,{scale:.5,opacity:0},{scale:1.5,opacity:.8,duration:.8,ease:"elastic.out(1, 0.3)",onComplete:()=>{d.to(t,{scale:2,opacity:0,duration:.5,delay:.3,onComplete:()=>{t.remove()}})}})}createRadarScanEffect(e,t={}){const o={...{radius:50,duration:1,color:"rgba(255, 204, 0, 0.4)",pulseCount:1},...t};for(let n=0;n<o.pulseCount;n++)setTimeout(()=>{const s=document.createElement("div");s.style.cssText=`
+        `,document.head.appendChild(a),this.effectsContainer.appendChild(i),d.fromTo(i,{opacity:0},We.vars({opacity:1,duration:.5})),setTimeout(()=>{d.to(i,We.vars({opacity:0,duration:.5,onComplete:()=>{i.remove(),a.remove(),e&&e()}}))},t*1e3)}highlightSelection(e){const t=document.createElement("div");t.classList.add("highlight-effect"),t.style.position="absolute",t.style.width="100px",t.style.height="100px",t.style.borderRadius="50%",t.style.border="2px solid var(--accent-color)",t.style.boxShadow="0 0 20px rgba(var(--accent-rgb), 0.5)",t.style.transform="translate(-50%, -50%)",t.style.pointerEvents="none",t.style.top="50%",t.style.left="50%",this.effectsContainer.appendChild(t),d.fromTo(t,{scale:.5,opacity:0},We.vars({scale:1.5,opacity:.8,duration:.8,ease:"elastic.out(1, 0.3)",onComplete:()=>{d.to(t,We.vars({scale:2,opacity:0,duration:.5,delay:.3,onComplete:()=>{t.remove()}}))}}))}createRadarScanEffect(e,t={}){const o={...{radius:50,duration:1,color:"rgba(var(--accent-rgb), 0.4)",pulseCount:1},...t};for(let n=0;n<o.pulseCount;n++)setTimeout(()=>{const s=document.createElement("div");s.style.cssText=`
                     position: absolute;
                     top: ${e.y}px;
                     left: ${e.x}px;
@@ -245,49 +424,16 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                     transform: translate(-50%, -50%);
                     z-index: 100;
                     pointer-events: none;
-                `,this.effectsContainer.appendChild(s),d.to(s,{width:o.radius*2,height:o.radius*2,opacity:0,duration:o.duration,ease:"power2.out",onComplete:()=>{s.remove()}})},n*(o.duration*300))}flashScreen(e="#ffffff"){const t=document.createElement("div");t.style.position="absolute",t.style.top="0",t.style.left="0",t.style.width="100%",t.style.height="100%",t.style.backgroundColor=e,t.style.pointerEvents="none",t.style.zIndex="20",t.style.opacity="0",this.effectsContainer.appendChild(t),d.timeline().to(t,{opacity:.7,duration:.1}).to(t,{opacity:0,duration:.3,onComplete:()=>{t.remove()}})}showNotification(e,t="info",i=3e3){this.notificationContainer||this.createNotificationContainer();const o=document.createElement("div");o.className="notification";let n="",s="#2196F3";switch(t){case"success":n="✓",s="#4CAF50";break;case"warning":n="!",s="#FF9800";break;case"error":n="✗",s="#F44336";break;default:n="i",s="#2196F3"}o.innerHTML=`
-            <div class="notification-icon" style="background-color: ${s};">${n}</div>
-            <div class="notification-message">${e}</div>
-        `,o.style.cssText=`
-            display: flex;
-            align-items: center;
-            gap: 12px;
-            background-color: rgba(0, 10, 30, 0.85);
-            color: #ffffff;
-            padding: 12px 16px;
-            border-radius: 6px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-            font-family: 'Roboto Mono', monospace;
-            font-size: 14px;
-            max-width: 100%;
-            pointer-events: all;
-            transform: translateX(50px);
-            opacity: 0;
-            border-left: 3px solid ${s};
-            backdrop-filter: blur(5px);
-        `;const a=o.querySelector(".notification-icon");a&&(a.style.cssText=`
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                width: 24px;
-                height: 24px;
-                border-radius: 50%;
-                color: white;
-                font-weight: bold;
-                flex-shrink: 0;
-            `);const r=o.querySelector(".notification-message");r&&(r.style.cssText=`
-                flex: 1;
-                line-height: 1.4;
-            `),this.notificationContainer.appendChild(o),d.fromTo(o,{opacity:0,x:50},{opacity:1,x:0,duration:.4,ease:"power2.out"}),setTimeout(()=>{d.to(o,{opacity:0,x:50,duration:.4,ease:"power2.in",onComplete:()=>{o.remove()}})},i)}showSystemMessage(e){const t=document.createElement("div");t.className="system-message",t.textContent=e,t.style.cssText=`
+                `,this.effectsContainer.appendChild(s),d.to(s,We.vars({width:o.radius*2,height:o.radius*2,opacity:0,duration:o.duration,ease:"power2.out",onComplete:()=>{s.remove()}}))},n*(o.duration*300))}flashScreen(e="#ffffff"){if(We.reduced())return;const t=document.createElement("div");t.style.position="absolute",t.style.top="0",t.style.left="0",t.style.width="100%",t.style.height="100%",t.style.backgroundColor=e,t.style.pointerEvents="none",t.style.zIndex="20",t.style.opacity="0",this.effectsContainer.appendChild(t),d.timeline().to(t,We.vars({opacity:.7,duration:.1})).to(t,We.vars({opacity:0,duration:.3,onComplete:()=>{t.remove()}}))}showNotification(e,t="info",i=3e3,o={}){return qe.show(e,t,i,o)}showSystemMessage(e){const t=document.createElement("div");t.className="system-message",t.textContent=e,t.style.cssText=`
             position: absolute;
             bottom: 20px;
             right: 20px;
-            background-color: rgba(0, 10, 30, 0.8);
-            color: #ffffff;
+            background-color: rgba(var(--surface-rgb), 0.8);
+            color: var(--ui-text);
             padding: 10px 15px;
             border-radius: 6px;
-            border-left: 3px solid #ffcc00;
-            font-family: 'Roboto Mono', monospace;
+            border-left: 3px solid var(--accent-color);
+            font-family: var(--mono-font);
             font-size: 12px;
             max-width: 400px;
             text-align: left;
@@ -297,7 +443,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             pointer-events: none;
             box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
             backdrop-filter: blur(3px);
-        `,this.effectsContainer.appendChild(t),d.timeline().to(t,{y:0,opacity:1,duration:.5,ease:"power2.out"}).to(t,{y:-10,opacity:0,duration:.5,delay:3,ease:"power2.in",onComplete:()=>{t.remove()}})}addBackgroundParticles(e={}){const i={...{count:50,container:this.container},...e},o=document.createElement("div");o.className="background-particles",o.style.cssText=`
+        `,this.effectsContainer.appendChild(t),d.timeline().to(t,We.vars({y:0,opacity:1,duration:.5,ease:"power2.out"})).to(t,We.vars({y:-10,opacity:0,duration:.5,delay:3,ease:"power2.in",onComplete:()=>{t.remove()}}))}addBackgroundParticles(e={}){if(We.reduced()||this.backgroundParticles)return;const i={...{count:50,container:this.container},...e},o=document.createElement("div");o.className="background-particles",o.style.cssText=`
             position: absolute;
             top: 0;
             left: 0;
@@ -315,7 +461,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                 top: ${c}%;
                 left: ${r}%;
                 box-shadow: 0 0 ${a*2}px rgba(255, 255, 255, ${m*.8});
-            `,d.to(s,{y:`${Math.random()*20-10}%`,x:`${Math.random()*20-10}%`,opacity:Math.random()*.5+.1,duration:u,delay:p,repeat:-1,yoyo:!0,ease:"sine.inOut"}),o.appendChild(s)}i.container.appendChild(o)}}class de{constructor(e){this.globeManager=e.globeManager,this.visualEffects=e.visualEffects,this.isDragging=!1,this.lastTouchTime=0,this.touchTimeout=null,this.mouseStartY=0,this.mouseStartX=0,this.scrollAmount=0,this.lastPosition={x:0,y:0},this.scrollTimerId=null,this.scrollSpeed=0,this.lastScrollTime=0,this.scrollAccumulator=0,this.inertiaEnabled=!0,this.velocityX=0,this.velocityY=0,this.inertiaAnimationId=null,this.zoomInertia=0,this.initialDistance=0,this.currentDistance=0,this.isPinching=!1,this.movementThreshold=5,this.swipeThreshold=80,this.hasMoved=!1,this.interfaceVisible=!0,this.autoHideTimeout=null,this.init()}init(){this.globeManager.container.addEventListener("wheel",this.handleMouseWheel.bind(this),{passive:!1}),document.addEventListener("keydown",this.handleKeyDown.bind(this)),document.addEventListener("mousemove",this.resetInterfaceAutoHide.bind(this)),this.startInterfaceAutoHide(),console.log("=== INTERACTIONS INITIALISÉES ==="),console.log("- Scroll: Activé (contrôle vitesse orbite)"),console.log("- Clic: Activé (sélection hotspots)"),console.log("- Glissement: DÉSACTIVÉ"),console.log("- Touch: DÉSACTIVÉ"),console.log("- Touche Entrée: GÉRÉE PAR GLOBEMANAGER (changement vidéo)")}handleTouchMove(e){if(this.isDragging){if(e.preventDefault(),this.globeManager.orbitParams.inHotspotMode&&e.touches.length===1){const t=e.touches[0].clientY,i=t-this.mouseStartY;this.scrollAmount+=i,this.scrollAmount>150&&(this.globeManager.exitHotspotModeExternal(),this.scrollAmount=0),this.mouseStartY=t}else if(e.touches.length===1){const t=e.touches[0].clientX,i=e.touches[0].clientY,o=t-this.lastPosition.x,n=i-this.lastPosition.y;(Math.abs(o)>this.movementThreshold||Math.abs(n)>this.movementThreshold)&&(this.hasMoved=!0),this.velocityX=.8*this.velocityX+.2*o,this.velocityY=.8*this.velocityY+.2*n,this.globeManager.orbitParams.orbitAngle-=o*.005,this.lastPosition={x:t,y:i},typeof this.globeManager._updateCameraPositionManual=="function"&&this.globeManager._updateCameraPositionManual()}}}handleMouseWheel(e){if(e.preventDefault(),this.showInterface(),this.resetInterfaceAutoHide(),this.globeManager.orbitParams.inHotspotMode){const a=e.deltaY<0;this.globeManager.zoom(a);return}const t=Date.now(),i=t-this.lastScrollTime;if(this.lastScrollTime=t,this.scrollAccumulator+=e.deltaY,i<50&&this.scrollTimerId)return;this.scrollTimerId&&clearTimeout(this.scrollTimerId);const o=Math.sign(this.scrollAccumulator),n=Math.min(Math.abs(this.scrollAccumulator)/100,2),s=this.globeManager.orbitParams.currentSpeed;o>0?(this.globeManager.orbitParams.currentSpeed=Math.max(this.globeManager.orbitParams.baseSpeed*.5,this.globeManager.orbitParams.currentSpeed*Math.pow(this.globeManager.orbitParams.decelerationFactor,n)),this.visualEffects&&Math.abs(s-this.globeManager.orbitParams.currentSpeed)>1e-4):(this.globeManager.orbitParams.currentSpeed=Math.min(this.globeManager.orbitParams.maxSpeed,this.globeManager.orbitParams.currentSpeed*Math.pow(this.globeManager.orbitParams.accelerationFactor,n)),this.visualEffects&&Math.abs(s-this.globeManager.orbitParams.currentSpeed)>1e-4),this.scrollAccumulator=0,this.scrollTimerId=setTimeout(()=>{d.to(this.globeManager.orbitParams,{currentSpeed:this.globeManager.orbitParams.baseSpeed,duration:3,ease:"power2.out",onComplete:()=>{this.visualEffects&&this.visualEffects.showNotification("Vitesse d'orbite normalisée","info",1e3)}}),this.scrollTimerId=null},3e3)}handleKeyDown(e){switch(this.showInterface(),this.resetInterfaceAutoHide(),e.key){case"Escape":this.globeManager.orbitParams.inHotspotMode&&(this.globeManager.exitHotspotModeExternal(),this.visualEffects&&(this.visualEffects.flashScreen("rgba(0, 0, 0, 0.4)"),this.visualEffects.showNotification("Retour à l'exploration globale","info",2e3)));break;case"ArrowUp":case"ArrowDown":case"ArrowLeft":case"ArrowRight":e.preventDefault(),this.globeManager.orbitParams.inHotspotMode&&e.key==="ArrowDown"?(this.globeManager.exitHotspotModeExternal(),this.visualEffects&&(this.visualEffects.flashScreen("rgba(0, 0, 0, 0.4)"),this.visualEffects.showNotification("Retour à l'exploration globale","info",2e3))):this.handleArrowNavigation(e.key);break;case"+":case"=":this.globeManager.zoom(!0);break;case"-":case"_":this.globeManager.zoom(!1);break;case"r":case"R":this.globeManager.resetView(),this.visualEffects&&(this.visualEffects.flashScreen("rgba(255, 255, 255, 0.2)"),this.visualEffects.showNotification("Vue réinitialisée","info",2e3));break;case"h":case"H":this.toggleInterface();break}}handleArrowNavigation(e){try{const t=this.globeManager.orbitParams.orbitAngle,i=this.globeManager.orbitParams.isOrbiting;switch(this.globeManager.orbitParams.isOrbiting=!1,e){case"ArrowLeft":this.globeManager.orbitParams.orbitAngle+=.05;break;case"ArrowRight":this.globeManager.orbitParams.orbitAngle-=.05;break;case"ArrowUp":if(!this.globeManager.orbitParams.inHotspotMode){const o=this.globeManager.orbitParams.inclination;this.globeManager.orbitParams.inclination=Math.min(o+.03,Math.PI/3)}break;case"ArrowDown":if(!this.globeManager.orbitParams.inHotspotMode){const o=this.globeManager.orbitParams.inclination;this.globeManager.orbitParams.inclination=Math.max(o-.03,.1)}break}typeof this.globeManager._updateCameraPositionManual=="function"&&this.globeManager._updateCameraPositionManual(),setTimeout(()=>{this.globeManager.orbitParams.isOrbiting=i},500)}catch(t){console.error("Erreur lors de la navigation par flèches:",t),this.globeManager&&this.globeManager.orbitParams&&(this.globeManager.orbitParams.orbitAngle=backupAngle,this.globeManager.orbitParams.isOrbiting=!0)}}startInterfaceAutoHide(){this.autoHideTimeout&&clearTimeout(this.autoHideTimeout),this.autoHideTimeout=setTimeout(()=>{this.hideInterface()},1e4)}resetInterfaceAutoHide(){this.showInterface(),this.startInterfaceAutoHide()}hideInterface(){if(!this.interfaceVisible)return;this.interfaceVisible=!1;const e=document.getElementById("ui-controls"),t=document.querySelectorAll(".satellite-hud, .coordinates-display"),i=document.querySelector(".satellite-crosshair");d.to(e,{opacity:0,y:20,duration:.5,ease:"power2.inOut"}),d.to([...t,i],{opacity:0,duration:.5,ease:"power2.inOut"}),setTimeout(()=>{this.interfaceVisible||(e.style.pointerEvents="none")},500)}showInterface(){if(this.interfaceVisible)return;this.interfaceVisible=!0;const e=document.getElementById("ui-controls"),t=document.querySelectorAll(".satellite-hud, .coordinates-display"),i=document.querySelector(".satellite-crosshair");e.style.pointerEvents="auto",d.to(e,{opacity:1,y:0,duration:.5,ease:"power2.out"}),d.to([...t,i],{opacity:1,duration:.5,ease:"power2.out"})}toggleInterface(){this.interfaceVisible?this.hideInterface():(this.showInterface(),this.startInterfaceAutoHide())}}class pe{constructor(e){this.options=e,this.zoomInBtn=e.zoomInBtn,this.zoomOutBtn=e.zoomOutBtn,this.resetViewBtn=e.resetViewBtn,this.infoBtn=e.infoBtn,this.closeInfoBtn=e.closeInfoBtn,this.infoOverlay=e.infoOverlay,this.globeManager=e.globeManager,this.isInfoVisible=!1,this.buttons=[],this.notificationContainer=null,this.init()}init(){this.applyEnhancedStyles(),this.buttons=[this.zoomInBtn,this.zoomOutBtn,this.resetViewBtn,this.infoBtn],this.zoomInBtn.addEventListener("click",()=>{this.globeManager.zoom(!0),this.animateButtonClick(this.zoomInBtn)}),this.zoomOutBtn.addEventListener("click",()=>{this.globeManager.zoom(!1),this.animateButtonClick(this.zoomOutBtn)}),this.resetViewBtn.addEventListener("click",()=>{this.globeManager.resetView(),this.animateButtonClick(this.resetViewBtn)}),this.infoBtn.addEventListener("click",()=>{this.toggleInfoOverlay(),this.animateButtonClick(this.infoBtn)}),this.closeInfoBtn.addEventListener("click",()=>{this.hideInfoOverlay()}),this.createNotificationContainer(),this.animateButtonsIn()}applyEnhancedStyles(){const e=document.getElementById("ui-controls");e&&(e.style.cssText=`
+            `,d.to(s,We.vars({y:`${Math.random()*20-10}%`,x:`${Math.random()*20-10}%`,opacity:Math.random()*.5+.1,duration:u,delay:p,repeat:-1,yoyo:!0,ease:"sine.inOut"})),o.appendChild(s)}i.container.appendChild(o),this.backgroundParticles=o}removeBackgroundParticles(){this.backgroundParticles&&(d.killTweensOf([...this.backgroundParticles.children]),this.backgroundParticles.remove(),this.backgroundParticles=null)}}class de{constructor(e){this.globeManager=e.globeManager,this.visualEffects=e.visualEffects,this.isDragging=!1,this.lastTouchTime=0,this.touchTimeout=null,this.mouseStartY=0,this.mouseStartX=0,this.scrollAmount=0,this.lastPosition={x:0,y:0},this.scrollTimerId=null,this.scrollSpeed=0,this.lastScrollTime=0,this.scrollAccumulator=0,this.inertiaEnabled=!0,this.velocityX=0,this.velocityY=0,this.inertiaAnimationId=null,this.zoomInertia=0,this.initialDistance=0,this.currentDistance=0,this.isPinching=!1,this.pinchStartZoom=1,this.wasOrbiting=!0,this.lastTapPosition={x:0,y:0},this.doubleTapDelay=300,this.maxInclination=Math.PI/2-.1,this.movementThreshold=5,this.swipeThreshold=80,this.hasMoved=!1,this.interfaceVisible=!0,this.autoHideTimeout=null,this.init()}init(){const e=this.globeManager.container;e.style.touchAction="none",e.addEventListener("wheel",this.handleMouseWheel.bind(this),{passive:!1}),e.addEventListener("mousedown",this.handleMouseDown.bind(this)),window.addEventListener("mousemove",this.handleMouseMove.bind(this)),window.addEventListener("mouseup",this.handleMouseUp.bind(this)),e.addEventListener("click",this.handleClickCapture.bind(this),!0),e.addEventListener("touchstart",this.handleTouchStart.bind(this),{passive:!1}),e.addEventListener("touchmove",this.handleTouchMove.bind(this),{passive:!1}),e.addEventListener("touchend",this.handleTouchEnd.bind(this)),e.addEventListener("touchcancel",this.handleTouchEnd.bind(this)),document.addEventListener("keydown",this.handleKeyDown.bind(this)),document.addEventListener("mousemove",this.resetInterfaceAutoHide.bind(this)),this.startInterfaceAutoHide(),console.log("=== INTERACTIONS INITIALISÉES ==="),console.log("- Scroll: Activé (contrôle vitesse orbite)"),console.log("- Clic: Activé (sélection hotspots)"),console.log("- Glissement: Activé (rotation orbitale avec inertie)"),console.log("- Touch: Activé (glisser, pincer, double-tap)"),console.log("- Touche Entrée: GÉRÉE PAR GLOBEMANAGER (changement vidéo)")}handleMouseDown(e){e.button===0&&this.startDrag(e.clientX,e.clientY)}handleMouseMove(e){this.isDragging&&this.moveDrag(e.clientX,e.clientY)}handleMouseUp(){this.isDragging&&this.endDrag()}handleClickCapture(e){this.hasMoved&&(e.stopImmediatePropagation(),this.hasMoved=!1)}handleTouchStart(e){if(this.showInterface(),this.resetInterfaceAutoHide(),e.touches.length===2){if(this.globeManager.orbitParams.inHotspotMode||this.globeManager.isTracking())return;e.preventDefault(),this.isDragging||this.pauseOrbit(),this.isDragging=!1,this.isPinching=!0,this.hasMoved=!0,this.zoomInertia=0,this.initialDistance=this.getTouchDistance(e.touches),this.pinchStartZoom=this.globeManager.orbitParams.zoomLevel}else e.touches.length===1&&this.startDrag(e.touches[0].clientX,e.touches[0].clientY)}handleTouchMove(e){if(this.isPinching&&e.touches.length===2){e.preventDefault();const t=this.globeManager.orbitParams;this.currentDistance=this.getTouchDistance(e.touches);const i=Math.min(Math.max(this.pinchStartZoom*this.initialDistance/Math.max(this.currentDistance,1),t.minZoomLevel),t.maxZoomLevel);this.zoomInertia=.8*this.zoomInertia+.2*(i/t.zoomLevel-1),t.zoomLevel=i,this.globeManager._updateCameraPositionManual();return}this.isDragging&&e.touches.length===1&&(e.preventDefault(),this.moveDrag(e.touches[0].clientX,e.touches[0].clientY))}handleTouchEnd(e){if(this.isPinching){if(e.touches.length===1){this.isPinching=!1,this.isDragging=!0,this.lastPosition={x:e.touches[0].clientX,y:e.touches[0].clientY};return}e.touches.length===0&&(this.isPinching=!1,this.endDrag());return}if(!this.isDragging||e.touches.length>0)return;const t=e.changedTouches[0];if(this.hasMoved||!t){this.endDrag();return}this.endDrag();const i=Date.now();i-this.lastTouchTime<this.doubleTapDelay&&Math.abs(t.clientX-this.lastTapPosition.x)<30&&Math.abs(t.clientY-this.lastTapPosition.y)<30?(e.preventDefault(),this.lastTouchTime=0,this.handleDoubleTap(t.clientX,t.clientY)):(this.lastTouchTime=i,this.lastTapPosition={x:t.clientX,y:t.clientY})}getTouchDistance(e){return Math.hypot(e[0].clientX-e[1].clientX,e[0].clientY-e[1].clientY)}startDrag(e,t){this.stopInertia(),this.globeManager.cancelFlight(),this.isDragging=!0,this.hasMoved=!1,this.mouseStartX=e,this.mouseStartY=t,this.lastPosition={x:e,y:t},this.velocityX=0,this.velocityY=0,this.zoomInertia=0,this.scrollAmount=0,this.globeManager.orbitParams.inHotspotMode||this.globeManager.isTracking()||this.pauseOrbit()}moveDrag(e,t){const i=e-this.lastPosition.x,o=t-this.lastPosition.y;if((Math.abs(e-this.mouseStartX)>this.movementThreshold||Math.abs(t-this.mouseStartY)>this.movementThreshold)&&(this.hasMoved=!0),this.lastPosition={x:e,y:t},this.globeManager.orbitParams.inHotspotMode){this.scrollAmount+=o,this.scrollAmount>150&&(this.globeManager.exitHotspotModeExternal(),this.scrollAmount=0);return}this.hasMoved&&!this.globeManager.isTracking()&&(this.velocityX=.8*this.velocityX+.2*i,this.velocityY=.8*this.velocityY+.2*o,this.rotateOrbit(i,o))}endDrag(){if(this.isDragging=!1,this.scrollAmount=0,!this.globeManager.orbitParams.inHotspotMode){if(this.inertiaEnabled&&(Math.abs(this.velocityX)>.5||Math.abs(this.velocityY)>.5||Math.abs(this.zoomInertia)>.002)){this.startInertia();return}this.resumeOrbit()}}rotateOrbit(e,t){const i=this.globeManager.orbitParams;i.orbitAngle-=e*.005,i.inclination=Math.min(Math.max(i.inclination+t*.003,-this.maxInclination),this.maxInclination),this.globeManager._updateCameraPositionManual()}startInertia(){this.stopInertia();const e=()=>{const t=this.globeManager.orbitParams;if(this.velocityX*=.92,this.velocityY*=.92,this.zoomInertia*=.85,Math.abs(this.zoomInertia)>.001&&(t.zoomLevel=Math.min(Math.max(t.zoomLevel*(1+this.zoomInertia),t.minZoomLevel),t.maxZoomLevel)),this.rotateOrbit(this.velocityX,this.velocityY),Math.abs(this.velocityX)<.05&&Math.abs(this.velocityY)<.05&&Math.abs(this.zoomInertia)<.001){this.inertiaAnimationId=null,this.resumeOrbit();return}this.inertiaAnimationId=requestAnimationFrame(e)};this.inertiaAnimationId=requestAnimationFrame(e)}stopInertia(){this.inertiaAnimationId&&(cancelAnimationFrame(this.inertiaAnimationId),this.inertiaAnimationId=null,this.resumeOrbit())}pauseOrbit(){this.wasOrbiting=this.globeManager.orbitParams.isOrbiting,this.globeManager.orbitParams.isOrbiting=!1}resumeOrbit(){this.globeManager.orbitParams.inHotspotMode||(this.globeManager.orbitParams.isOrbiting=this.wasOrbiting)}handleDoubleTap(e,t){const i=this.globeManager;i.mouse.x=e/window.innerWidth*2-1,i.mouse.y=-(t/window.innerHeight)*2+1,i.raycaster.setFromCamera(i.mouse,i.camera);const o=i.raycaster.intersectObject(i.globe,!1);if(o.length===0||i.orbitParams.inHotspotMode)return;const n=i.getLatLngAt(o[0].point);console.log(`Double-tap: vol vers lat: ${n.lat.toFixed(2)}, lng: ${n.lng.toFixed(2)}`),i.createScanEffect(n),this.stopInertia(),i.flyTo({lat:n.lat,lng:n.lng,duration:1.2,resumeOrbit:!0})}handleMouseWheel(e){if(e.preventDefault(),this.showInterface(),this.resetInterfaceAutoHide(),this.globeManager.orbitParams.inHotspotMode){const a=e.deltaY<0;this.globeManager.zoom(a);return}if(this.globeManager.isTracking())return;const t=Date.now(),i=t-this.lastScrollTime;if(this.lastScrollTime=t,this.scrollAccumulator+=e.deltaY,i<50&&this.scrollTimerId)return;this.scrollTimerId&&clearTimeout(this.scrollTimerId);const o=Math.sign(this.scrollAccumulator),n=Math.min(Math.abs(this.scrollAccumulator)/100,2),s=this.globeManager.orbitParams.currentSpeed;o>0?(this.globeManager.orbitParams.currentSpeed=Math.max(this.globeManager.orbitParams.baseSpeed*.5,this.globeManager.orbitParams.currentSpeed*Math.pow(this.globeManager.orbitParams.decelerationFactor,n)),this.visualEffects&&Math.abs(s-this.globeManager.orbitParams.currentSpeed)>1e-4):(this.globeManager.orbitParams.currentSpeed=Math.min(this.globeManager.orbitParams.maxSpeed,this.globeManager.orbitParams.currentSpeed*Math.pow(this.globeManager.orbitParams.accelerationFactor,n)),this.visualEffects&&Math.abs(s-this.globeManager.orbitParams.currentSpeed)>1e-4),this.scrollAccumulator=0,this.scrollTimerId=setTimeout(()=>{d.to(this.globeManager.orbitParams,We.vars({currentSpeed:this.globeManager.orbitParams.baseSpeed,duration:3,ease:"power2.out",onComplete:()=>{this.visualEffects&&this.visualEffects.showNotification(Ye.t("notify.orbitSpeedReset"),"info",1e3)}})),this.scrollTimerId=null},3e3)}handleKeyDown(e){switch(this.showInterface(),this.resetInterfaceAutoHide(),e.key){case"Escape":this.globeManager.orbitParams.inHotspotMode&&(this.globeManager.exitHotspotModeExternal(),this.visualEffects&&(this.visualEffects.flashScreen("rgba(0, 0, 0, 0.4)"),this.visualEffects.showNotification(Ye.t("notify.backToGlobe"),"info",2e3)));break;case"ArrowUp":case"ArrowDown":case"ArrowLeft":case"ArrowRight":e.preventDefault(),this.globeManager.orbitParams.inHotspotMode&&e.key==="ArrowDown"?(this.globeManager.exitHotspotModeExternal(),this.visualEffects&&(this.visualEffects.flashScreen("rgba(0, 0, 0, 0.4)"),this.visualEffects.showNotification(Ye.t("notify.backToGlobe"),"info",2e3))):this.handleArrowNavigation(e.key);break;case"+":case"=":this.globeManager.zoom(!0);break;case"-":case"_":this.globeManager.zoom(!1);break;case"r":case"R":this.globeManager.resetView(),this.visualEffects&&(this.visualEffects.flashScreen("rgba(255, 255, 255, 0.2)"),this.visualEffects.showNotification(Ye.t("notify.viewReset"),"info",2e3));break;case"h":case"H":this.toggleInterface();break;case"s":case"S":this.globeManager.setOrbitMode(this.globeManager.orbitParams.mode==="tle"?"ellipse":"tle").then(t=>{this.visualEffects&&this.visualEffects.showNotification(t==="tle"?Ye.t("notify.orbitTle",{name:this.globeManager.satelliteLabel()}):Ye.t("notify.orbitEllipse"),"info",2e3)});break}}handleArrowNavigation(e){if(!this.globeManager.isTracking())try{const t=this.globeManager.orbitParams.orbitAngle,i=this.globeManager.orbitParams.isOrbiting;switch(this.globeManager.orbitParams.isOrbiting=!1,e){case"ArrowLeft":this.globeManager.orbitParams.orbitAngle+=.05;break;case"ArrowRight":this.globeManager.orbitParams.orbitAngle-=.05;break;case"ArrowUp":if(!this.globeManager.orbitParams.inHotspotMode){const o=this.globeManager.orbitParams.inclination;this.globeManager.orbitParams.inclination=Math.min(o+.03,Math.PI/3)}break;case"ArrowDown":if(!this.globeManager.orbitParams.inHotspotMode){const o=this.globeManager.orbitParams.inclination;this.globeManager.orbitParams.inclination=Math.max(o-.03,.1)}break}typeof this.globeManager._updateCameraPositionManual=="function"&&this.globeManager._updateCameraPositionManual(),setTimeout(()=>{this.globeManager.orbitParams.isOrbiting=i},500)}catch(t){console.error("Erreur lors de la navigation par flèches:",t),this.globeManager&&this.globeManager.orbitParams&&(this.globeManager.orbitParams.orbitAngle=backupAngle,this.globeManager.orbitParams.isOrbiting=!0)}}startInterfaceAutoHide(){this.autoHideTimeout&&clearTimeout(this.autoHideTimeout),this.autoHideTimeout=setTimeout(()=>{this.hideInterface()},1e4)}resetInterfaceAutoHide(){this.showInterface(),this.startInterfaceAutoHide()}hideInterface(){if(!this.interfaceVisible)return;this.interfaceVisible=!1;const e=document.getElementById("ui-controls"),t=document.querySelectorAll(".satellite-hud, .coordinates-display"),i=document.querySelector(".satellite-crosshair");d.to(e,We.vars({opacity:0,y:20,duration:.5,ease:"power2.inOut"})),d.to([...t,i],We.vars({opacity:0,duration:.5,ease:"power2.inOut"})),setTimeout(()=>{this.interfaceVisible||(e.style.pointerEvents="none")},500)}showInterface(){if(this.interfaceVisible)return;this.interfaceVisible=!0;const e=document.getElementById("ui-controls"),t=document.querySelectorAll(".satellite-hud, .coordinates-display"),i=document.querySelector(".satellite-crosshair");e.style.pointerEvents="auto",d.to(e,We.vars({opacity:1,y:0,duration:.5,ease:"power2.out"})),d.to([...t,i],We.vars({opacity:1,duration:.5,ease:"power2.out"}))}toggleInterface(){this.interfaceVisible?this.hideInterface():(this.showInterface(),this.startInterfaceAutoHide())}}class pe{constructor(e){this.options=e,this.zoomInBtn=e.zoomInBtn,this.zoomOutBtn=e.zoomOutBtn,this.resetViewBtn=e.resetViewBtn,this.infoBtn=e.infoBtn,this.closeInfoBtn=e.closeInfoBtn,this.infoOverlay=e.infoOverlay,this.globeManager=e.globeManager,this.isInfoVisible=!1,this.buttons=[],this.init()}init(){this.applyEnhancedStyles(),this.buttons=[this.zoomInBtn,this.zoomOutBtn,this.resetViewBtn,this.infoBtn],this.zoomInBtn.addEventListener("click",()=>{this.globeManager.zoom(!0),this.animateButtonClick(this.zoomInBtn)}),this.zoomOutBtn.addEventListener("click",()=>{this.globeManager.zoom(!1),this.animateButtonClick(this.zoomOutBtn)}),this.resetViewBtn.addEventListener("click",()=>{this.globeManager.resetView(),this.animateButtonClick(this.resetViewBtn)}),this.infoBtn.addEventListener("click",()=>{this.toggleInfoOverlay(),this.animateButtonClick(this.infoBtn)}),this.closeInfoBtn.addEventListener("click",()=>{this.hideInfoOverlay()}),this.animateButtonsIn()}applyEnhancedStyles(){const e=document.getElementById("ui-controls");e&&(e.style.cssText=`
                 position: absolute;
                 bottom: 30px;
                 left: 30px;
@@ -325,7 +471,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                 flex-direction: column;
                 align-items: center;
                 gap: 15px;
-            `);const t=document.getElementById("navigation-controls");if(t&&(t.style.cssText=`
+            `);const t=document.getElementById("navigation-controls"),i={backgroundColor:"rgba(var(--accent-rgb), 0.9)",color:"var(--on-accent)",borderColor:"var(--accent-color)",boxShadow:"0 2px 15px rgba(var(--accent-rgb), 0.5), 0 0 8px rgba(var(--accent-rgb), 0.7)"},s={backgroundColor:"rgba(var(--surface-rgb), 0.7)",color:"var(--accent-color)",borderColor:"rgba(var(--accent-rgb), 0.7)",boxShadow:"0 2px 10px rgba(0, 0, 0, 0.3), 0 0 4px rgba(var(--accent-rgb), 0.4)"};if(t&&(t.style.cssText=`
 				display: flex;
 				flex-direction: column;
 				gap: 20px; /* espace plus large entre les boutons */
@@ -336,41 +482,41 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
 `),(t?t.querySelectorAll("button"):[]).forEach(o=>{o.style.cssText=`
                 width: 70px;
                 height: 70px;
-                border: 2px solid rgba(255, 204, 0, 0.7);              
+                border: 2px solid rgba(var(--accent-rgb), 0.7);              
                 border-radius: 50%;
                 cursor: pointer;
                 transition: all 0.3s ease;
-                font-family: 'Roboto Mono', monospace;
+                font-family: var(--mono-font);
                 letter-spacing: 1px;
                 font-size: 23px;
                 font-weight: bold;
                 display: flex;
                 align-items: center;
                 justify-content: center;
-                box-shadow: 0 2px 10px rgba(0, 0, 0, 0), 0 0 4px rgba(255, 204, 0, 0.4);
-            `,o.addEventListener("mouseenter",()=>{d.to(o,{backgroundColor:"rgba(255, 204, 0, 0.9)",color:"#000000",borderColor:"#ffcc00",boxShadow:"0 2px 15px rgba(255, 204, 0, 0.5), 0 0 8px rgba(255, 204, 0, 0.7)",duration:.25})}),o.addEventListener("mouseleave",()=>{d.to(o,{backgroundColor:"rgba(0, 10, 30, 0.7)",color:"#ffcc00",borderColor:"rgba(255, 204, 0, 0.7)",boxShadow:"0 2px 10px rgba(0, 0, 0, 0.3), 0 0 4px rgba(255, 204, 0, 0.4)",duration:.3})})}),this.infoBtn&&(this.infoBtn.style.cssText=`
+                box-shadow: 0 2px 10px rgba(0, 0, 0, 0), 0 0 4px rgba(var(--accent-rgb), 0.4);
+            `,o.addEventListener("mouseenter",()=>Object.assign(o.style,i)),o.addEventListener("mouseleave",()=>Object.assign(o.style,s))}),this.infoBtn&&(this.infoBtn.style.cssText=`
                 width: 50px;
                 height: 50px;
                 border-radius: 50%;
-                background-color: rgba(0, 10, 30, 0.7);
-                color: #ffcc00;
-                border: 2px solid rgba(255, 204, 0, 0.7);
+                background-color: rgba(var(--surface-rgb), 0.7);
+                color: var(--accent-color);
+                border: 2px solid rgba(var(--accent-rgb), 0.7);
                 display: flex;
                 justify-content: center;
                 align-items: center;
                 cursor: pointer;
                 transition: all 0.3s ease;
-                font-family: 'Roboto Mono', monospace;
+                font-family: var(--mono-font);
                 font-size: 18px;
                 font-weight: bold;
-                box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3), 0 0 4px rgba(255, 204, 0, 0.4);
-            `,this.infoBtn.addEventListener("mouseenter",()=>{d.to(this.infoBtn,{backgroundColor:"rgba(255, 204, 0, 0.9)",color:"#000000",borderColor:"#ffcc00",boxShadow:"0 2px 15px rgba(255, 204, 0, 0.5), 0 0 8px rgba(255, 204, 0, 0.7)",duration:.3})}),this.infoBtn.addEventListener("mouseleave",()=>{d.to(this.infoBtn,{backgroundColor:"rgba(0, 10, 30, 0.7)",color:"#ffcc00",borderColor:"rgba(255, 204, 0, 0.7)",boxShadow:"0 2px 10px rgba(0, 0, 0, 0.3), 0 0 4px rgba(255, 204, 0, 0.4)",duration:.3})})),this.infoOverlay){this.infoOverlay.style.cssText=`
+                box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3), 0 0 4px rgba(var(--accent-rgb), 0.4);
+            `,this.infoBtn.addEventListener("mouseenter",()=>Object.assign(this.infoBtn.style,i)),this.infoBtn.addEventListener("mouseleave",()=>Object.assign(this.infoBtn.style,s))),this.infoOverlay){this.infoOverlay.style.cssText=`
                 position: absolute;
                 top: 0;
                 left: 0;
                 width: 100%;
                 height: 100%;
-                background-color: rgba(0, 0, 0, 0.85);
+                background-color: rgba(var(--backdrop-rgb), 0.85);
                 backdrop-filter: blur(10px);
                 display: flex;
                 justify-content: center;
@@ -380,40 +526,40 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                 pointer-events: none;
                 transition: opacity 0.5s ease;
             `;const o=this.infoOverlay.querySelector(".overlay-content");if(o){o.style.cssText=`
-                    background: linear-gradient(to bottom, rgba(0, 40, 94, 0.9), rgba(0, 20, 47, 0.9));
+                    background: linear-gradient(to bottom, rgba(var(--surface-raised-rgb), 0.9), rgba(var(--surface-rgb), 0.9));
                     padding: 40px;
                     border-radius: 10px;
                     max-width: 700px;
                     text-align: center;
                     position: relative;
                     border: 1px solid var(--nat-geo-yellow);
-                    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5), 0 0 15px rgba(255, 204, 0, 0.3);
+                    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5), 0 0 15px rgba(var(--accent-rgb), 0.3);
                 `;const n=o.querySelector("h3");if(n&&(n.style.cssText=`
                         font-size: 2rem;
                         margin-bottom: 30px;
-                        color: #ffcc00;
+                        color: var(--accent-color);
                         letter-spacing: 2px;
                         text-transform: uppercase;
-                        font-family: 'Roboto Mono', monospace;
+                        font-family: var(--mono-font);
                         font-weight: 700;
-                        text-shadow: 0 0 10px rgba(255, 204, 0, 0.5);
+                        text-shadow: 0 0 10px rgba(var(--accent-rgb), 0.5);
                     `),o.querySelectorAll("p").forEach(a=>{a.style.cssText=`
                         margin-bottom: 25px;
                         line-height: 1.8;
-                        color: #e0e0e0;
+                        color: var(--ui-text-soft);
                         font-size: 1.1rem;
                         font-family: 'Merriweather Sans', 'Source Sans Pro', sans-serif;
                         text-align: justify;
                     `}),this.closeInfoBtn){this.closeInfoBtn.style.cssText=`
                         padding: 12px 32px;
                         background-color: transparent;
-                        color: #ffcc00;
-                        border: 2px solid #ffcc00;
+                        color: var(--accent-color);
+                        border: 2px solid var(--accent-color);
                         border-radius: 30px;
                         cursor: pointer;
                         font-weight: 600;
                         transition: all 0.3s ease;
-                        font-family: 'Roboto Mono', monospace;
+                        font-family: var(--mono-font);
                         letter-spacing: 1px;
                         position: relative;
                         overflow: hidden;
@@ -427,70 +573,26 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                             top: 0;
                             width: 100%;
                             height: 100%;
-                            background-color: #ffcc00;
+                            background-color: var(--accent-color);
                             transition: all 0.3s ease;
                             z-index: -1;
                         }
                         
                         #close-info:hover {
-                            color: #000000;
-                            box-shadow: 0 0 15px rgba(255, 204, 0, 0.5);
+                            color: var(--on-accent);
+                            box-shadow: 0 0 15px rgba(var(--accent-rgb), 0.5);
                         }
                         
                         #close-info:hover::before {
                             left: 0;
                         }
-                    `,document.head.appendChild(a)}}}}createNotificationContainer(){this.notificationContainer=document.createElement("div"),this.notificationContainer.className="notifications-container",this.notificationContainer.style.cssText=`
-            position: absolute;
-            bottom: 30px;
-            right: 30px;
-            display: flex;
-            flex-direction: column;
-            align-items: flex-end;
-            gap: 10px;
-            z-index: 100;
-            pointer-events: none;
-            max-width: 400px;
-        `,document.getElementById("main-container").appendChild(this.notificationContainer)}animateButtonsIn(){this.buttons.forEach(e=>{d.set(e,{opacity:0,y:20,scale:.8})}),this.buttons.forEach((e,t)=>{d.to(e,{opacity:1,y:0,scale:1,duration:.7,delay:1.5+t*.15,ease:"back.out(1.7)"})})}animateButtonClick(e){d.timeline().to(e,{scale:.85,duration:.15,ease:"power2.in"}).to(e,{scale:1,duration:.4,ease:"elastic.out(1.2, 0.5)"})}toggleInfoOverlay(){this.isInfoVisible?this.hideInfoOverlay():this.showInfoOverlay()}showInfoOverlay(){if(this.isInfoVisible)return;this.isInfoVisible=!0,this.infoOverlay.classList.add("visible"),d.to(this.infoOverlay,{opacity:1,duration:.4,ease:"power2.out",onStart:()=>{this.infoOverlay.style.pointerEvents="all"}});const e=this.infoOverlay.querySelector(".overlay-content");d.fromTo(e,{opacity:0,y:30,scale:.95},{opacity:1,y:0,scale:1,duration:.6,delay:.1,ease:"back.out(1.7)"}),e.querySelectorAll("h3, p, button").forEach((i,o)=>{d.fromTo(i,{opacity:0,y:20},{opacity:1,y:0,duration:.5,delay:.3+o*.1,ease:"power2.out"})})}hideInfoOverlay(){if(!this.isInfoVisible)return;this.isInfoVisible=!1;const e=this.infoOverlay.querySelector(".overlay-content");d.to(e,{opacity:0,y:30,scale:.95,duration:.4,ease:"power3.in"}),d.to(this.infoOverlay,{opacity:0,duration:.5,delay:.2,ease:"power2.in",onComplete:()=>{this.infoOverlay.classList.remove("visible"),this.infoOverlay.style.pointerEvents="none"}})}showNotification(e,t="info",i=3e3){const o=document.createElement("div");o.classList.add("notification",`notification-${t}`);let n="",s="#2196F3";switch(t){case"success":n="✓",s="#4CAF50";break;case"warning":n="!",s="#FF9800";break;case"error":n="✗",s="#F44336";break;default:n="i",s="#2196F3"}o.innerHTML=`
-            <div class="notification-icon" style="background-color: ${s};">${n}</div>
-            <div class="notification-message">${e}</div>
-        `,o.style.cssText=`
-            display: flex;
-            align-items: center;
-            gap: 12px;
-            background-color: rgba(0, 10, 30, 0.85);
-            color: #ffffff;
-            padding: 12px 16px;
-            border-radius: 6px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-            font-family: 'Roboto Mono', monospace;
-            font-size: 14px;
-            max-width: 100%;
-            pointer-events: all;
-            transform: translateX(50px);
-            opacity: 0;
-            border-left: 3px solid ${s};
-            backdrop-filter: blur(5px);
-        `;const a=`
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            width: 24px;
-            height: 24px;
-            border-radius: 50%;
-            color: white;
-            font-weight: bold;
-            flex-shrink: 0;
-        `;o.querySelector(".notification-icon").style.cssText=a,o.querySelector(".notification-message").style.cssText=`
-            flex: 1;
-            line-height: 1.4;
-        `,this.notificationContainer.appendChild(o),d.fromTo(o,{opacity:0,x:50},{opacity:1,x:0,duration:.4,ease:"power2.out"}),setTimeout(()=>{d.to(o,{opacity:0,x:50,duration:.4,ease:"power2.in",onComplete:()=>{o.remove()}})},i)}setUIVisibility(e){const t=e?1:0,i=e?0:20,o=e?"auto":"none",n=document.getElementById("ui-controls");n&&d.to(n,{opacity:t,y:i,duration:.4,ease:e?"power2.out":"power2.in",onComplete:()=>{n.style.pointerEvents=o}}),document.querySelectorAll(".satellite-hud, .coordinates-display").forEach(a=>{d.to(a,{opacity:t,duration:.4,ease:e?"power2.out":"power2.in"})})}showTooltip(e,t,i={}){const n={...{position:"top",duration:3e3,offset:10,className:""},...i},s=document.createElement("div");s.className=`tooltip ${n.className}`,s.textContent=t,s.style.cssText=`
+                    `,document.head.appendChild(a)}}}}animateButtonsIn(){this.buttons.forEach(e=>{d.set(e,{opacity:0,y:20,scale:.8})}),this.buttons.forEach((e,t)=>{d.to(e,We.vars({opacity:1,y:0,scale:1,duration:.7,delay:1.5+t*.15,ease:"back.out(1.7)"}))})}animateButtonClick(e){d.timeline().to(e,We.vars({scale:.85,duration:.15,ease:"power2.in"})).to(e,We.vars({scale:1,duration:.4,ease:"elastic.out(1.2, 0.5)"}))}toggleInfoOverlay(){this.isInfoVisible?this.hideInfoOverlay():this.showInfoOverlay()}showInfoOverlay(){if(this.isInfoVisible)return;this.isInfoVisible=!0,this.infoOverlay.classList.add("visible"),d.to(this.infoOverlay,We.vars({opacity:1,duration:.4,ease:"power2.out",onStart:()=>{this.infoOverlay.style.pointerEvents="all"}}));const e=this.infoOverlay.querySelector(".overlay-content");d.fromTo(e,{opacity:0,y:30,scale:.95},We.vars({opacity:1,y:0,scale:1,duration:.6,delay:.1,ease:"back.out(1.7)"})),e.querySelectorAll("h3, p, button").forEach((i,o)=>{d.fromTo(i,{opacity:0,y:20},We.vars({opacity:1,y:0,duration:.5,delay:.3+o*.1,ease:"power2.out"}))})}hideInfoOverlay(){if(!this.isInfoVisible)return;this.isInfoVisible=!1;const e=this.infoOverlay.querySelector(".overlay-content");d.to(e,We.vars({opacity:0,y:30,scale:.95,duration:.4,ease:"power3.in"})),d.to(this.infoOverlay,We.vars({opacity:0,duration:.5,delay:.2,ease:"power2.in",onComplete:()=>{this.infoOverlay.classList.remove("visible"),this.infoOverlay.style.pointerEvents="none"}}))}showNotification(e,t="info",i=3e3,o={}){return qe.show(e,t,i,o)}setManualControls(e){[this.zoomInBtn,this.zoomOutBtn,this.resetViewBtn].forEach(t=>{t&&(t.disabled=!e,t.setAttribute("aria-disabled",String(!e)),t.style.opacity=e?"":"0.35",t.style.cursor=e?"":"not-allowed")})}setUIVisibility(e){const t=e?1:0,i=e?0:20,o=e?"auto":"none",n=document.getElementById("ui-controls");n&&d.to(n,We.vars({opacity:t,y:i,duration:.4,ease:e?"power2.out":"power2.in",onComplete:()=>{n.style.pointerEvents=o}})),document.querySelectorAll(".satellite-hud, .coordinates-display").forEach(a=>{d.to(a,We.vars({opacity:t,duration:.4,ease:e?"power2.out":"power2.in"}))})}showTooltip(e,t,i={}){const n={...{position:"top",duration:3e3,offset:10,className:""},...i},s=document.createElement("div");s.className=`tooltip ${n.className}`,s.textContent=t,s.style.cssText=`
             position: absolute;
-            background-color: rgba(0, 10, 30, 0.9);
-            color: #ffffff;
+            background-color: rgba(var(--surface-rgb), 0.9);
+            color: var(--ui-text);
             padding: 8px 12px;
             border-radius: 4px;
-            font-family: 'Roboto Mono', monospace;
+            font-family: var(--mono-font);
             font-size: 12px;
             box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
             pointer-events: none;
@@ -498,15 +600,177 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             white-space: nowrap;
             opacity: 0;
             transform: scale(0.9);
-            border: 1px solid rgba(255, 204, 0, 0.5);
-        `,document.body.appendChild(s);const a=e.getBoundingClientRect();switch(n.position){case"top":s.style.bottom=`${window.innerHeight-a.top+n.offset}px`,s.style.left=`${a.left+a.width/2}px`,s.style.transform="translateX(-50%) scale(0.9)";break;case"bottom":s.style.top=`${a.bottom+n.offset}px`,s.style.left=`${a.left+a.width/2}px`,s.style.transform="translateX(-50%) scale(0.9)";break;case"left":s.style.top=`${a.top+a.height/2}px`,s.style.right=`${window.innerWidth-a.left+n.offset}px`,s.style.transform="translateY(-50%) scale(0.9)";break;case"right":s.style.top=`${a.top+a.height/2}px`,s.style.left=`${a.right+n.offset}px`,s.style.transform="translateY(-50%) scale(0.9)";break}return d.to(s,{opacity:1,scale:1,duration:.3,ease:"back.out(1.7)"}),setTimeout(()=>{d.to(s,{opacity:0,scale:.9,duration:.2,ease:"power2.in",onComplete:()=>{s.remove()}})},n.duration),{hide:()=>{d.to(s,{opacity:0,scale:.9,duration:.2,ease:"power2.in",onComplete:()=>{s.remove()}})}}}createMinimap(e,t){const i=document.createElement("div");i.className="minimap",i.style.cssText=`
+            border: 1px solid rgba(var(--accent-rgb), 0.5);
+        `,document.body.appendChild(s);const a=e.getBoundingClientRect();switch(n.position){case"top":s.style.bottom=`${window.innerHeight-a.top+n.offset}px`,s.style.left=`${a.left+a.width/2}px`,s.style.transform="translateX(-50%) scale(0.9)";break;case"bottom":s.style.top=`${a.bottom+n.offset}px`,s.style.left=`${a.left+a.width/2}px`,s.style.transform="translateX(-50%) scale(0.9)";break;case"left":s.style.top=`${a.top+a.height/2}px`,s.style.right=`${window.innerWidth-a.left+n.offset}px`,s.style.transform="translateY(-50%) scale(0.9)";break;case"right":s.style.top=`${a.top+a.height/2}px`,s.style.left=`${a.right+n.offset}px`,s.style.transform="translateY(-50%) scale(0.9)";break}return d.to(s,We.vars({opacity:1,scale:1,duration:.3,ease:"back.out(1.7)"})),setTimeout(()=>{d.to(s,We.vars({opacity:0,scale:.9,duration:.2,ease:"power2.in",onComplete:()=>{s.remove()}}))},n.duration),{hide:()=>{d.to(s,We.vars({opacity:0,scale:.9,duration:.2,ease:"power2.in",onComplete:()=>{s.remove()}}))}}}createLayerPanel(e,t){const i=document.createElement("div");i.className="layer-panel",i.style.cssText=`
+            position: absolute;
+            top: 140px;
+            right: 20px;
+            width: 260px;
+            background-color: rgba(var(--surface-rgb), 0.8);
+            border: 1px solid rgba(var(--accent-rgb), 0.5);
+            border-radius: 6px;
+            overflow: hidden;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+            backdrop-filter: blur(5px);
+            font-family: var(--mono-font);
+            font-size: 11px;
+            color: var(--ui-text);
+            z-index: 50;
+        `;const o=document.createElement("div");o.className="layer-panel-header",o.dataset.i18n="layers.title",o.textContent=Ye.t("layers.title"),o.style.cssText=`
+            padding: 8px 12px;
+            color: var(--accent-color);
+            letter-spacing: 1px;
+            font-weight: bold;
+            border-bottom: 1px solid rgba(var(--accent-rgb), 0.3);
+            cursor: pointer;
+        `;const n=document.createElement("div");n.className="layer-list",n.style.cssText=`
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            padding: 10px 12px;
+        `;const s=["normal","additive","multiply","subtractive"],a=g=>{n.innerHTML="",g.slice().reverse().forEach(c=>{const p=document.createElement("div");p.className="layer-row",p.dataset.id=c.id,p.style.cssText=`
+                    display: grid;
+                    grid-template-columns: auto 1fr auto;
+                    align-items: center;
+                    gap: 4px 8px;
+                    opacity: ${c.visible?1:.6};
+                `;const u=document.createElement("input");u.type=c.base?"radio":"checkbox",c.base&&(u.name="base-layer"),u.checked=c.visible,u.style.accentColor="var(--accent-color)",u.addEventListener("change",()=>{t.setVisible(c.id,u.checked)});const m=document.createElement("span");m.textContent=Ye.has(`layers.${c.id}`)?Ye.t(`layers.${c.id}`):c.title,m.style.cssText=`
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                `;const h=document.createElement("div");if(h.style.cssText="display: flex; gap: 2px;",!c.base){const S=g.filter(f=>f.base).length;[["▲",1],["▼",-1]].forEach(([f,P])=>{const G=document.createElement("button");G.textContent=f,G.style.cssText=`
+                        background: none;
+                        border: 1px solid rgba(var(--accent-rgb), 0.5);
+                        color: var(--accent-color);
+                        font-size: 9px;
+                        padding: 1px 4px;
+                        border-radius: 3px;
+                    `,G.disabled=P>0?g.indexOf(c)===g.length-1:g.indexOf(c)===S,G.addEventListener("click",()=>{t.moveLayer(c.id,g.indexOf(c)+P)}),h.appendChild(G)})}const E=document.createElement("input");E.type="range",E.min="0",E.max="100",E.value=String(Math.round(c.opacity*100)),E.title=Ye.t("layers.opacity"),E.style.cssText=`
+                    grid-column: 1 / 3;
+                    accent-color: var(--accent-color);
+                    width: 100%;
+                `,E.addEventListener("input",()=>{t.setOpacity(c.id,E.value/100)});const w=document.createElement("select");w.title=Ye.t("layers.blending"),w.style.cssText=`
+                    background-color: rgba(var(--backdrop-rgb), 0.5);
+                    color: var(--accent-color);
+                    border: 1px solid rgba(var(--accent-rgb), 0.5);
+                    border-radius: 3px;
+                    font-family: inherit;
+                    font-size: 10px;
+                `,s.forEach(S=>{const P=document.createElement("option");P.value=S,P.textContent=Ye.t(`layers.blend.${S}`),P.selected=S===c.blending,w.appendChild(P)}),w.addEventListener("change",()=>{t.setBlendMode(c.id,w.value)}),p.appendChild(u),p.appendChild(m),p.appendChild(h),p.appendChild(E),p.appendChild(w),n.appendChild(p)})};let r=!1;return o.addEventListener("click",()=>{r=!r,n.style.display=r?"none":"flex"}),i.appendChild(o),i.appendChild(n),e.appendChild(i),t?(a(t.getLayers()),t.onChange((c,p)=>{p!=="opacity"&&a(c)})):console.warn("Gestionnaire de calques non disponible"),d.fromTo(i,{x:50,opacity:0},We.vars({x:0,opacity:1,duration:.5,ease:"power2.out"})),{refresh:()=>{t&&a(t.getLayers())},hide:()=>{d.to(i,We.vars({x:50,opacity:0,duration:.3,ease:"power2.in",onComplete:()=>{i.remove()}}))},element:i}}createLanguageSwitcher(e){const t=e.querySelector(".hud-top-right")||e,i=document.createElement("div");i.className="language-switcher",i.setAttribute("role","group"),i.dataset.i18nLabel="hud.language",i.setAttribute("aria-label",Ye.t("hud.language")),i.style.cssText=`
+            display: flex;
+            justify-content: flex-end;
+            gap: 4px;
+            margin-top: 6px;
+            pointer-events: auto;
+        `;const o=()=>{i.querySelectorAll("button").forEach(n=>{const s=Ye.locale.split("-")[0]===n.dataset.locale;n.setAttribute("aria-pressed",String(s)),n.style.backgroundColor=s?"rgba(var(--accent-rgb), 0.25)":"transparent"})};return Ye.supported.forEach(n=>{const s=document.createElement("button");s.dataset.locale=n,s.lang=n,s.title=Ye.names[n],s.textContent=n.toUpperCase(),s.style.cssText=`
+                width: auto;
+                height: auto;
+                padding: 2px 6px;
+                border: 1px solid rgba(var(--accent-rgb), 0.5);
+                border-radius: 3px;
+                box-shadow: none;
+                color: var(--accent-color);
+                font-size: 10px;
+                letter-spacing: 1px;
+                cursor: pointer;
+            `,s.addEventListener("click",()=>{Ye.locale.split("-")[0]!==n&&Ye.setLocale(n)}),i.appendChild(s)}),o(),t.appendChild(i),{refresh:o,element:i}}createThemeSwitcher(e){const t=e.querySelector(".hud-top-right")||e,i=document.createElement("div");i.className="theme-switcher",i.setAttribute("role","group"),i.dataset.i18nLabel="hud.theme",i.setAttribute("aria-label",Ye.t("hud.theme")),i.style.cssText=`
+            display: flex;
+            justify-content: flex-end;
+            gap: 4px;
+            margin-top: 6px;
+            pointer-events: auto;
+        `;const o=()=>{i.replaceChildren(...Object.keys(je.themes).map(n=>{const s=document.createElement("button"),a=je.theme===n;return s.dataset.theme=n,Ye.has(`theme.${n}`)&&(s.dataset.i18n=`theme.${n}`),s.textContent=Ye.has(`theme.${n}`)?Ye.t(`theme.${n}`):n.toUpperCase(),s.setAttribute("aria-pressed",String(a)),s.style.cssText=`
+                width: auto;
+                height: auto;
+                padding: 2px 6px;
+                border: 1px solid rgba(var(--accent-rgb), 0.5);
+                border-radius: 3px;
+                box-shadow: none;
+                background-color: ${a?"rgba(var(--accent-rgb), 0.25)":"transparent"};
+                color: var(--accent-color);
+                font-size: 10px;
+                letter-spacing: 1px;
+                cursor: pointer;
+            `,s.addEventListener("click",()=>{je.theme!==n&&je.setTheme(n)}),s}))};return o(),t.appendChild(i),{refresh:o,element:i}}createMotionToggle(e){const t=e.querySelector(".hud-top-right")||e,i=document.createElement("button");i.className="motion-toggle",i.dataset.i18n="hud.reducedMotion",i.textContent=Ye.t("hud.reducedMotion"),i.style.cssText=`
+            display: block;
+            width: auto;
+            height: auto;
+            margin: 6px 0 0 auto;
+            padding: 2px 6px;
+            border: 1px solid rgba(var(--accent-rgb), 0.5);
+            border-radius: 3px;
+            box-shadow: none;
+            color: var(--accent-color);
+            font-size: 10px;
+            letter-spacing: 1px;
+            cursor: pointer;
+            pointer-events: auto;
+        `;const o=()=>{const n=We.reduced();i.setAttribute("aria-pressed",String(n)),i.style.backgroundColor=n?"rgba(var(--accent-rgb), 0.25)":"transparent"};return i.addEventListener("click",()=>We.toggle()),o(),t.appendChild(i),{refresh:o,element:i}}createNotificationHistory(e){const t=e.querySelector(".hud-top-right")||e,i=document.createElement("button"),o=document.createElement("span"),n=document.createElement("span"),s=document.createElement("aside"),a=document.createElement("ol");let r=!1;i.className="notification-history-toggle",i.setAttribute("aria-controls","notification-history"),i.setAttribute("aria-expanded","false"),i.style.cssText=`
+            display: block;
+            width: auto;
+            height: auto;
+            margin: 6px 0 0 auto;
+            padding: 2px 6px;
+            border: 1px solid rgba(var(--accent-rgb), 0.5);
+            border-radius: 3px;
+            box-shadow: none;
+            background-color: transparent;
+            color: var(--accent-color);
+            font-size: 10px;
+            letter-spacing: 1px;
+            cursor: pointer;
+            pointer-events: auto;
+        `,o.dataset.i18n="history.button",o.textContent=Ye.t("history.button"),n.className="notification-history-badge",n.style.cssText=`
+            display: none;
+            margin-left: 6px;
+            padding: 0 5px;
+            border-radius: 8px;
+            background-color: var(--accent-color);
+            color: var(--on-accent);
+            font-weight: bold;
+        `,i.append(o,n),s.id="notification-history",s.className="notification-history",s.hidden=!0,s.dataset.i18nLabel="history.title",s.setAttribute("aria-label",Ye.t("history.title")),s.style.cssText=`
+            position: absolute;
+            top: 0;
+            right: 0;
+            width: 320px;
+            max-width: 100%;
+            height: 100%;
+            flex-direction: column;
+            background-color: rgba(var(--surface-rgb), 0.92);
+            border-left: 1px solid rgba(var(--accent-rgb), 0.5);
+            box-shadow: -4px 0 12px rgba(0, 0, 0, 0.3);
+            backdrop-filter: blur(5px);
+            font-family: var(--mono-font);
+            font-size: 11px;
+            color: var(--ui-text);
+            z-index: 150;
+        `,s.innerHTML=`
+            <div class="notification-history-header" style="display: flex; align-items: center; gap: 8px; padding: 10px 12px; border-bottom: 1px solid rgba(var(--accent-rgb), 0.3);">
+                <h3 data-i18n="history.title" style="flex: 1; margin: 0; font-size: 11px; letter-spacing: 1px; color: var(--accent-color);"></h3>
+                <button class="notification-history-clear" data-i18n="history.clear" style="width: auto; height: auto; padding: 2px 6px; border: 1px solid rgba(var(--accent-rgb), 0.5); border-radius: 3px; box-shadow: none; background-color: transparent; color: var(--accent-color); font-size: 10px; cursor: pointer;"></button>
+                <button class="notification-history-close" data-i18n-label="common.close" style="width: auto; height: auto; padding: 0 4px; border: none; box-shadow: none; background: none; color: var(--ui-text-muted); font-size: 16px; cursor: pointer;">×</button>
+            </div>
+        `,a.style.cssText=`
+            flex: 1;
+            margin: 0;
+            padding: 6px 12px;
+            list-style: none;
+            overflow-y: auto;
+        `,s.appendChild(a),Ye.apply(s);const c=()=>{a.replaceChildren(...qe.history.map(u=>{const m=document.createElement("li"),h=document.createElement("time"),E=document.createElement("span"),w=document.createElement("span");return m.className=`notification-history-item notification-${u.type}`,m.style.cssText=`
+                    display: grid;
+                    grid-template-columns: auto auto 1fr;
+                    align-items: baseline;
+                    gap: 8px;
+                    padding: 6px 0;
+                    border-bottom: 1px solid rgba(var(--accent-rgb), 0.15);
+                `,h.dateTime=u.time.toISOString(),h.textContent=Ye.date(u.time,{hour:"2-digit",minute:"2-digit",second:"2-digit"}),h.style.color="var(--ui-text-muted)",E.textContent=qe.types[u.type].icon,E.style.color=qe.types[u.type].color,w.textContent=u.count>1?`${u.message} ×${u.count}`:u.message,m.append(h,E,w),m})),qe.history.length||(a.innerHTML='<li style="padding: 6px 0; color: var(--ui-text-muted);"></li>',a.firstChild.textContent=Ye.t("history.empty")),r&&qe.unread&&qe.markRead(),n.textContent=qe.unread?qe.unread>99?"99+":String(qe.unread):"",n.style.display=qe.unread?"inline-block":"none",qe.unread?i.setAttribute("aria-label",`${Ye.t("history.button")} (${Ye.t("history.unread",{count:qe.unread})})`):i.removeAttribute("aria-label")},p=(u=!r)=>{u!==r&&(r=u,i.setAttribute("aria-expanded",String(r)),i.style.backgroundColor=r?"rgba(var(--accent-rgb), 0.25)":"transparent",r?(s.hidden=!1,s.style.display="flex",qe.markRead(),c(),d.fromTo(s,{opacity:0,x:40},We.vars({opacity:1,x:0,duration:.3,ease:"power2.out"})),s.querySelector(".notification-history-close").focus()):d.to(s,We.vars({opacity:0,x:40,duration:.3,ease:"power2.in",onComplete:()=>{s.hidden=!0,s.style.display="none"}})))};return i.addEventListener("click",()=>p()),s.querySelector(".notification-history-clear").addEventListener("click",()=>qe.clearHistory()),s.querySelector(".notification-history-close").addEventListener("click",()=>{p(!1),i.focus()}),s.addEventListener("keydown",u=>{u.key==="Escape"&&(u.stopPropagation(),p(!1),i.focus())}),qe.onChange(c),c(),t.appendChild(i),e.appendChild(s),{refresh:c,toggle:p,element:i}}createMinimap(e,t){const i=document.createElement("div");i.className="minimap",i.style.cssText=`
             position: absolute;
             bottom: 30px;
             right: 30px;
             width: 200px;
             height: 100px;
-            background-color: rgba(0, 10, 30, 0.7);
-            border: 1px solid rgba(255, 204, 0, 0.5);
+            background-color: rgba(var(--surface-rgb), 0.7);
+            border: 1px solid rgba(var(--accent-rgb), 0.5);
             border-radius: 6px;
             overflow: hidden;
             box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
@@ -524,20 +788,20 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                 left: ${r.x}px;
                 width: 6px;
                 height: 6px;
-                background-color: #ffcc00;
+                background-color: var(--accent-color);
                 border-radius: 50%;
                 cursor: pointer;
                 transform: translate(-50%, -50%);
-                box-shadow: 0 0 5px rgba(255, 204, 0, 0.7);
+                box-shadow: 0 0 5px rgba(var(--accent-rgb), 0.7);
                 transition: all 0.3s ease;
-            `,c.addEventListener("mouseenter",()=>{d.to(c,{width:10,height:10,boxShadow:"0 0 10px rgba(255, 204, 0, 0.9)",duration:.3}),this.showTooltip(c,r.name,{position:"top",duration:2e3})}),c.addEventListener("mouseleave",()=>{d.to(c,{width:6,height:6,boxShadow:"0 0 5px rgba(255, 204, 0, 0.7)",duration:.3})}),c.addEventListener("click",()=>{t&&t(r.id)}),i.appendChild(c)});const s=document.createElement("div");s.className="minimap-toggle",s.innerHTML="−",s.style.cssText=`
+            `,c.addEventListener("mouseenter",()=>{d.to(c,We.vars({width:10,height:10,boxShadow:`0 0 10px ${je.color("accent-rgb",.9)}`,duration:.3})),this.showTooltip(c,r.name,{position:"top",duration:2e3})}),c.addEventListener("mouseleave",()=>{d.to(c,We.vars({width:6,height:6,boxShadow:`0 0 5px ${je.color("accent-rgb",.7)}`,duration:.3}))}),c.addEventListener("click",()=>{t&&t(r.id)}),i.appendChild(c)});const s=document.createElement("div");s.className="minimap-toggle",s.innerHTML="−",s.style.cssText=`
             position: absolute;
             top: 5px;
             right: 5px;
             width: 20px;
             height: 20px;
-            background-color: rgba(0, 0, 0, 0.5);
-            color: #ffcc00;
+            background-color: rgba(var(--backdrop-rgb), 0.5);
+            color: var(--accent-color);
             border-radius: 50%;
             display: flex;
             align-items: center;
@@ -546,28 +810,149 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             font-size: 14px;
             font-weight: bold;
             z-index: 1;
-        `;let a=!1;return s.addEventListener("click",()=>{a?(d.to(i,{height:100,duration:.3,ease:"power2.out"}),s.innerHTML="−"):(d.to(i,{height:30,duration:.3,ease:"power2.out"}),s.innerHTML="+"),a=!a}),i.appendChild(s),e.appendChild(i),d.fromTo(i,{y:50,opacity:0},{y:0,opacity:1,duration:.5,ease:"power2.out"}),{highlight:r=>{const c=i.querySelector(`.minimap-dot[data-id="${r}"]`);c&&d.to(c,{width:12,height:12,backgroundColor:"#ffffff",boxShadow:"0 0 15px rgba(255, 255, 255, 0.9)",duration:.5,repeat:3,yoyo:!0})},hide:()=>{d.to(i,{y:50,opacity:0,duration:.3,ease:"power2.in",onComplete:()=>{i.remove()}})},element:i}}}class ue{constructor(e){this.panel=e.panel,this.closeBtn=e.closeBtn,this.titleElement=e.titleElement,this.descriptionElement=e.descriptionElement,this.videoElement=e.videoElement,this.globeManager=e.globeManager,this.isVisible=!1,this.drawerToggle=null,this.drawer=null,this.drawerContent=null,this.isDrawerOpen=!1,this.panel&&this.closeBtn&&this.titleElement&&this.descriptionElement?this.init():(console.warn("ContentPanel: Éléments DOM manquants, panneau désactivé"),this.show=()=>{},this.hide=()=>{},this.update=()=>{})}init(){this.applyDesignSystem(),this.closeBtn&&this.closeBtn.addEventListener("click",()=>{this.hide(),this.globeManager.exitHotspotModeExternal()}),this.videoElement&&(this.videoElement.addEventListener("loadeddata",()=>{console.log("Vidéo chargée avec succès"),d.fromTo(this.videoElement,{opacity:0},{opacity:1,duration:.8,ease:"power2.out"})}),this.videoElement.addEventListener("error",()=>{console.error("Erreur lors du chargement de la vidéo"),this.videoElement.style.display="none";const e=document.createElement("img");e.src="/public/images/video-placeholder.jpg",e.alt="Vidéo non disponible",e.style.width="100%",e.style.borderRadius="3px";const t=this.videoElement.parentElement;t&&t.appendChild(e)})),this.createDrawerElements()}applyDesignSystem(){if(!this.panel){console.warn("ContentPanel.panel n'existe pas");return}this.panel.style.cssText=`
+        `;let a=!1;return s.addEventListener("click",()=>{a?(d.to(i,We.vars({height:100,duration:.3,ease:"power2.out"})),s.innerHTML="−"):(d.to(i,We.vars({height:30,duration:.3,ease:"power2.out"})),s.innerHTML="+"),a=!a}),i.appendChild(s),e.appendChild(i),d.fromTo(i,{y:50,opacity:0},We.vars({y:0,opacity:1,duration:.5,ease:"power2.out"})),{highlight:r=>{const c=i.querySelector(`.minimap-dot[data-id="${r}"]`);c&&d.to(c,We.vars({width:12,height:12,backgroundColor:"#ffffff",boxShadow:"0 0 15px rgba(255, 255, 255, 0.9)",duration:.5,repeat:3,yoyo:!0}))},hide:()=>{d.to(i,We.vars({y:50,opacity:0,duration:.3,ease:"power2.in",onComplete:()=>{i.remove()}}))},element:i}}}const Ze={healthIndex:{label:"chart.healthIndex",unit:"%",scale:100,digits:0},discoveryIndex:{label:"chart.discoveryIndex",unit:"%",scale:100,digits:0},iceExtent:{label:"chart.iceExtent",unit:"M km²",scale:1,digits:2},plasticAmount:{label:"chart.plasticAmount",unit:"indice",scale:1,digits:1},coralCover:{label:"chart.coralCover",unit:"%",scale:100,digits:0},sharkPopulation:{label:"chart.sharkPopulation",unit:"%",scale:100,digits:0}};class Ve{constructor(e,t={}){this.data=(e||[]).filter(i=>i&&Number.isFinite(i.year)).sort((i,o)=>i.year-o.year),this.metric=t.metric||this.detectMetric(this.data),this.meta=Ze[this.metric]||{label:this.metric||"chart.value",unit:"",scale:1,digits:2},this.points=this.data.filter(i=>Number.isFinite(i[this.metric])),this.width=t.width||600,this.height=t.height||240,this.padding={top:20,right:24,bottom:40,left:64},this.id=`trend-${Math.random().toString(36).slice(2,8)}`,this.element=null,this.tooltip=null}detectMetric(e){const t={};return e.forEach(i=>{Object.keys(i).forEach(o=>{o!=="year"&&o!=="projected"&&Number.isFinite(i[o])&&(t[o]=(t[o]||0)+1)})}),Object.keys(t).sort((i,o)=>t[o]-t[i])[0]||null}label(){return Ye.has(this.meta.label)?Ye.t(this.meta.label):this.meta.label}formatValue(e,t=!0){const i=Ye.number(e*this.meta.scale,{minimumFractionDigits:this.meta.digits,maximumFractionDigits:this.meta.digits});return!t||!this.meta.unit||this.meta.unit==="indice"?i:`${i} ${this.meta.unit}`}getScale(){const e=this.points.map(c=>c[this.metric]),t=Math.min(...e),i=Math.max(...e),o=(i-t||Math.abs(i)||1)/4,n=Math.pow(10,Math.floor(Math.log10(o))),s=[1,2,2.5,5,10].find(c=>c*n>=o)*n,a=Math.floor(t/s)*s,r=Math.ceil(i/s)*s;return{min:a,max:r>a?r:a+s,step:s}}mount(e){if(!e||this.points.length===0)return null;const t=this.padding,i=this.width-t.left-t.right,o=this.height-t.top-t.bottom,n=this.getScale(),s=this.points[0].year,a=Math.max(this.points[this.points.length-1].year-s,1),r=g=>t.left+(g-s)/a*i,c=g=>t.top+(1-(g-n.min)/(n.max-n.min))*o,p=this.points.map(g=>({x:r(g.year),y:c(g[this.metric]),year:g.year,value:g[this.metric],projected:!!g.projected})),u=p.filter(g=>!g.projected),m=p.filter(g=>g.projected),h=g=>g.map((b,S)=>`${S?"L":"M"}${b.x.toFixed(1)},${b.y.toFixed(1)}`).join(" "),E=u.length>0&&m.length>0?[u[u.length-1],...m]:m,w=[];for(let g=n.min;g<=n.max+n.step/2;g+=n.step)w.push(g);const M=this.meta.unit&&this.meta.unit!=="indice"?` (${this.meta.unit})`:` (${Ye.t("chart.index")})`;return this.element=document.createElement("div"),this.element.className="trend-chart-inner",this.element.style.cssText=`
+            position: relative;
+            width: 100%;
+            font-family: var(--mono-font);
+        `,this.element.innerHTML=`
+            <svg viewBox="0 0 ${this.width} ${this.height}" width="100%" role="img" aria-label="${ze.escape(this.label()+M)}, ${s}-${s+a}" style="display: block; overflow: visible;">
+                <defs>
+                    <clipPath id="${this.id}-clip">
+                        <rect class="trend-reveal" x="0" y="0" width="${this.width}" height="${this.height}"></rect>
+                    </clipPath>
+                    <linearGradient id="${this.id}-fill" x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" style="stop-color: var(--accent-color)" stop-opacity="0.25"></stop>
+                        <stop offset="100%" style="stop-color: var(--accent-color)" stop-opacity="0"></stop>
+                    </linearGradient>
+                </defs>
+                ${w.map(g=>`
+                <line x1="${t.left}" x2="${t.left+i}" y1="${c(g).toFixed(1)}" y2="${c(g).toFixed(1)}" stroke="rgba(255, 255, 255, 0.12)" stroke-width="1"></line>
+                <text x="${t.left-8}" y="${c(g).toFixed(1)}" style="fill: var(--ui-text-muted)" font-size="11" text-anchor="end" dominant-baseline="middle">${this.formatValue(g,!1)}</text>`).join("")}
+                ${p.map(g=>`
+                <text x="${g.x.toFixed(1)}" y="${t.top+o+18}" style="fill: ${g.projected?"var(--info-color)":"var(--ui-text-muted)"}" font-size="11" text-anchor="middle">${g.year}</text>`).join("")}
+                <line x1="${t.left}" x2="${t.left+i}" y1="${t.top+o}" y2="${t.top+o}" style="stroke: rgba(var(--accent-rgb), 0.5)" stroke-width="1"></line>
+                <text x="${t.left+i/2}" y="${this.height-4}" style="fill: var(--ui-text-muted)" font-size="11" text-anchor="middle">${Ye.t("chart.year")}</text>
+                <text transform="translate(12 ${t.top+o/2}) rotate(-90)" style="fill: var(--accent-color)" font-size="11" text-anchor="middle">${ze.escape(this.label().toUpperCase()+M)}</text>
+                <g clip-path="url(#${this.id}-clip)">
+                    ${u.length>1?`<path d="${h(u)} L${u[u.length-1].x.toFixed(1)},${t.top+o} L${u[0].x.toFixed(1)},${t.top+o} Z" fill="url(#${this.id}-fill)"></path>`:""}
+                    ${u.length>1?`<path class="trend-measured" d="${h(u)}" fill="none" style="stroke: var(--accent-color)" stroke-width="2.5" stroke-linejoin="round"></path>`:""}
+                    ${E.length>1?`<path class="trend-projected" d="${h(E)}" fill="none" style="stroke: var(--info-color)" stroke-width="2" stroke-dasharray="6 5"></path>`:""}
+                </g>
+                ${p.map((g,b)=>`
+                <g class="trend-point" data-index="${b}" style="cursor: pointer;">
+                    <circle cx="${g.x.toFixed(1)}" cy="${g.y.toFixed(1)}" r="12" fill="transparent"></circle>
+                    <circle class="trend-dot" cx="${g.x.toFixed(1)}" cy="${g.y.toFixed(1)}" r="4" style="fill: ${g.projected?"rgb(var(--backdrop-rgb))":"var(--accent-color)"}; stroke: ${g.projected?"var(--info-color)":"var(--accent-color)"}" stroke-width="2"></circle>
+                </g>`).join("")}
+            </svg>
+            <div style="display: flex; gap: 16px; margin-top: 6px; font-size: 0.7rem; color: var(--ui-text-muted); letter-spacing: 1px;">
+                <span><span style="display: inline-block; width: 16px; border-top: 2px solid var(--accent-color); vertical-align: middle; margin-right: 6px;"></span>${Ye.t("chart.measured")}</span>
+                ${m.length>0?`<span><span style="display: inline-block; width: 16px; border-top: 2px dashed var(--info-color); vertical-align: middle; margin-right: 6px;"></span>${Ye.t("chart.projection")}</span>`:""}
+            </div>
+        `,this.tooltip=document.createElement("div"),this.tooltip.className="trend-tooltip",this.tooltip.style.cssText=`
+            position: absolute;
+            transform: translate(-50%, calc(-100% - 12px));
+            background-color: rgba(var(--backdrop-rgb), 0.85);
+            border: 1px solid rgba(var(--accent-rgb), 0.7);
+            border-radius: 3px;
+            padding: 4px 8px;
+            color: var(--ui-text);
+            font-size: 0.75rem;
+            white-space: nowrap;
+            pointer-events: none;
+            opacity: 0;
+            transition: opacity 0.2s ease;
+        `,this.element.appendChild(this.tooltip),this.element.querySelectorAll(".trend-point").forEach(g=>{const b=p[Number(g.dataset.index)];g.addEventListener("mouseenter",()=>this.showTooltip(b)),g.addEventListener("mouseleave",()=>this.hideTooltip()),g.addEventListener("touchstart",()=>this.showTooltip(b),{passive:!0})}),e.innerHTML="",e.appendChild(this.element),this.element}showTooltip(e){this.tooltip&&(this.tooltip.innerHTML=`<span style="color: ${e.projected?"var(--info-color)":"var(--accent-color)"};">${e.year}</span> · ${ze.escape(this.formatValue(e.value))}${e.projected?` (${Ye.t("chart.projected")})`:""}`,this.tooltip.style.left=`${e.x/this.width*100}%`,this.tooltip.style.top=`${e.y/this.height*100}%`,this.tooltip.style.opacity="1")}hideTooltip(){this.tooltip&&(this.tooltip.style.opacity="0")}animate(){if(!this.element)return;const e=this.element.querySelector(".trend-reveal"),t=this.element.querySelectorAll(".trend-dot");d.fromTo(e,{attr:{width:0}},We.vars({attr:{width:this.width},duration:1.4,ease:"power2.inOut"})),t.forEach((i,o)=>{d.fromTo(i,{opacity:0},We.vars({opacity:1,duration:.3,delay:.2+o/Math.max(t.length-1,1)*1.2,ease:"power2.out"}))})}}class Xe{constructor(e={}){this.onClose=e.onClose||null,this.selection=[],this.isOpen=!1,this.element=null,this.palette=[je.color("accent-color"),"#66ccff","#ff6b6b","#7dffb3","#d59bff","#ffffff"],this.labels={depth:"field.depth",temperature:"field.temperature",biodiversity:"field.biodiversity",conservationStatus:"field.conservationStatus",area:"field.area",salinity:"field.salinity",phValue:"field.phValue",iceExtent:"field.iceExtent",iceThickness:"field.iceThickness",annualInput:"field.annualInput",economicValue:"field.economicValue",discoveryYear:"field.discoveryYear"},this.handleKey=this.handleKey.bind(this)}open(e=[]){e.forEach(t=>{he(t)&&!this.selection.includes(t)&&this.selection.push(t)}),this.isOpen||(this.isOpen=!0,this.element=document.createElement("div"),this.element.className="comparison-view",this.element.setAttribute("role","dialog"),this.element.dataset.i18nLabel="compare.label",this.element.setAttribute("aria-label",Ye.t("compare.label")),this.element.style.cssText=`
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: linear-gradient(to bottom, rgba(var(--surface-raised-rgb), 0.97) 0%, rgba(var(--surface-rgb), 0.97) 100%);
+            z-index: 9000;
+            overflow-y: auto;
+            box-sizing: border-box;
+            padding: 30px;
+            color: var(--ui-text-soft);
+            font-family: var(--mono-font);
+            opacity: 0;
+        `,document.body.appendChild(this.element),window.addEventListener("keydown",this.handleKey,!0),d.to(this.element,We.vars({opacity:1,duration:.5,ease:"power2.out"}))),this.render()}close(){if(!this.isOpen)return;const e=this.element;this.isOpen=!1,this.element=null,this.selection=[],window.removeEventListener("keydown",this.handleKey,!0),d.to(e,We.vars({opacity:0,duration:.4,ease:"power2.in",onComplete:()=>e.remove()})),this.onClose&&this.onClose()}toggle(e=[]){this.isOpen?this.close():this.open(e)}toggleHotspot(e){const t=this.selection.indexOf(e);t>=0?this.selection.splice(t,1):he(e)&&this.selection.push(e),this.render()}handleKey(e){this.isOpen&&(e.stopPropagation(),(e.key==="Escape"||e.key==="c"||e.key==="C")&&(e.preventDefault(),this.close()))}getSharedFields(e){const t={};e.forEach(o=>{Object.keys(o.scientificData||{}).forEach(n=>{t[n]=(t[n]||0)+1})});const i=Object.keys(this.labels);return Object.keys(t).filter(o=>t[o]>=2).sort((o,n)=>(i.indexOf(o)+1||99)-(i.indexOf(n)+1||99)||o.localeCompare(n))}compareField(e,t){const i=e.map(a=>(a.scientificData||{})[t]),o=i.map(a=>a===void 0?null:Qe.parse(a,t)),n=o.filter(Boolean);if(n.length>=2&&n.length===i.filter(a=>a!==void 0).length&&n.every(a=>a.unit===n[0].unit)){const a=n.map(Qe.magnitude),r=Math.max(...a),c=Math.min(...a);return r===c?o.map(()=>null):o.map(p=>p?Qe.magnitude(p)===r?"high":Qe.magnitude(p)===c?"low":null:null)}const s=i.map(a=>a===void 0?null:JSON.stringify(a));return s.filter(Boolean).every(a=>a===s.find(Boolean))?s.map(()=>null):s.map(a=>a?"diff":null)}getSeries(e){const t=e.map((r,c)=>({hotspot:r,chart:new Ve(r.evolutionData),color:this.palette[c%this.palette.length]})).filter(r=>r.chart.points.length>=2),i=t.length>0?Math.max(...t.map(r=>r.chart.points[0].year)):null,o=(r,c)=>{const p=r.chart.points,u=r.chart.metric,m=p.findIndex(w=>w.year>=c);if(m<0)return null;if(m===0||p[m].year===c)return p[m][u];const h=p[m-1],E=p[m];return h[u]+(E[u]-h[u])*(c-h.year)/(E.year-h.year)},n=t.map(r=>{const c=o(r,i);if(c===null||!Number.isFinite(c))return null;if(c===0)return{...r,points:[],unindexed:!0};const p=r.chart.points.filter(u=>u.year>i);return{...r,points:[{year:i,value:100,projected:!1},...p.map(u=>({year:u.year,value:u[r.chart.metric]/c*100,projected:!!u.projected}))]}});return{baseline:i,series:n.filter(r=>r&&!r.unindexed&&r.points.length>=2),unindexed:n.filter(r=>r&&r.unindexed)}}renderTable(e){const t=this.getSharedFields(e),i=(n,s)=>n==="high"?`<span style="color: ${s};">▲</span> `:n==="low"?`<span style="color: ${s};">▼</span> `:"",o=n=>n==="high"||n==="low"?"background-color: rgba(var(--accent-rgb), 0.08);":n==="diff"?"border-left: 2px solid rgba(var(--accent-rgb), 0.6);":"";return`
+            <table class="comparison-table" style="width: 100%; border-collapse: collapse; font-size: 0.8rem; table-layout: fixed;">
+                <thead>
+                    <tr>
+                        <th style="width: 22%;"></th>
+                        ${e.map((n,s)=>`<th style="text-align: left; padding: 10px; color: ${this.palette[s%this.palette.length]}; border-bottom: 1px solid rgba(var(--accent-rgb), 0.5); letter-spacing: 1px;">${ze.escape(n.title.toUpperCase())}</th>`).join("")}
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <th style="text-align: left; padding: 8px 10px; color: var(--accent-color); font-weight: normal;">${Ye.t("field.position")}</th>
+                        ${e.map(n=>`<td style="padding: 8px 10px;">${Pe.formatCoordinate(n.position.lat,"lat")}, ${Pe.formatCoordinate(n.position.lng,"lng")}</td>`).join("")}
+                    </tr>
+                    ${t.map(n=>{const s=this.compareField(e,n);return`
+                    <tr style="border-top: 1px solid rgba(255, 255, 255, 0.08);">
+                        <th style="text-align: left; padding: 8px 10px; color: var(--accent-color); font-weight: normal;">${this.labels[n]?Ye.t(this.labels[n]):ze.escape(n)}</th>
+                        ${e.map((a,r)=>{const c=(a.scientificData||{})[n];return`<td style="padding: 8px 10px; ${o(s[r])}">${i(s[r],s[r]==="high"?"#7dffb3":"#ff6b6b")}${c===void 0?'<span style="color: #666666;">—</span>':n==="iceExtent"&&typeof c=="object"&&(c.winter||c.summer)?`${Ye.t("field.winter")}: ${Qe.html(c.winter,"area")}, ${Ye.t("field.summer")}: ${Qe.html(c.summer,"area")}`:Qe.html(c,n)}</td>`}).join("")}
+                    </tr>`}).join("")}
+                </tbody>
+            </table>
+            ${t.length===0?`<p style="color: var(--ui-text-muted);">${Ye.t("compare.noSharedFields")}</p>`:""}
+        `}renderUnindexed(e,t){return e.length>0?`<p style="color: var(--ui-text-muted); font-size: 0.7rem; letter-spacing: 1px; margin-top: 8px;">${ze.escape(Ye.t("compare.zeroBaseline",{year:String(t),titles:e.map(i=>`${i.hotspot.title} · ${i.chart.label()}`).join(", ")}))}</p>`:""}renderChart(e){const{baseline:t,series:i,unindexed:l}=this.getSeries(e);if(i.length===0)return`<p style="color: var(--ui-text-muted);">${Ye.t("compare.noSeries")}</p>${this.renderUnindexed(l,t)}`;const o=640,n=260,s={top:20,right:24,bottom:40,left:56},a=o-s.left-s.right,r=n-s.top-s.bottom,c=i.flatMap(g=>g.points),p=Math.max(...c.map(g=>g.year)),u=Math.max(p-t,1),m=Math.max(Math.ceil(Math.max(...c.map(g=>g.value),100)/25)*25,125),h=Math.min(Math.floor(Math.min(...c.map(g=>g.value),100)/25)*25,75),E=g=>s.left+(g-t)/u*a,w=g=>s.top+(1-(g-h)/(m-h))*r,M=g=>g.map((b,S)=>`${S?"L":"M"}${E(b.year).toFixed(1)},${w(b.value).toFixed(1)}`).join(" "),f=[];for(let g=h;g<=m;g+=25)f.push(g);const P=[...new Set(c.map(g=>g.year))].sort((g,b)=>g-b);return`
+            <svg viewBox="0 0 ${o} ${n}" width="100%" role="img" aria-label="${Ye.t("compare.chartLabel",{year:String(t)})}" style="display: block; overflow: visible;">
+                ${f.map(g=>`<line x1="${s.left}" x2="${s.left+a}" y1="${w(g).toFixed(1)}" y2="${w(g).toFixed(1)}" style="stroke: ${g===100?"rgba(var(--accent-rgb), 0.5)":"rgba(255, 255, 255, 0.12)"}" stroke-width="1"${g===100?' stroke-dasharray="2 3"':""}></line><text x="${s.left-8}" y="${w(g).toFixed(1)}" style="fill: var(--ui-text-muted)" font-size="11" text-anchor="end" dominant-baseline="middle">${g}</text>`).join("")}
+                ${P.map(g=>`<text x="${E(g).toFixed(1)}" y="${s.top+r+18}" style="fill: var(--ui-text-muted)" font-size="11" text-anchor="middle">${g}</text>`).join("")}
+                <text transform="translate(12 ${s.top+r/2}) rotate(-90)" style="fill: var(--accent-color)" font-size="11" text-anchor="middle">${Ye.t("compare.axis",{year:String(t)})}</text>
+                ${i.map(g=>{const b=g.points.filter(F=>!F.projected),S=g.points.findIndex(F=>F.projected),G=S>0?g.points.slice(S-1):[];return`
+                <g class="comparison-series">
+                    <title>${ze.escape(`${g.hotspot.title} — ${g.chart.label()}`)}</title>
+                    ${b.length>1?`<path d="${M(b)}" fill="none" stroke="${g.color}" stroke-width="2.5" stroke-linejoin="round"></path>`:""}
+                    ${G.length>1?`<path d="${M(G)}" fill="none" stroke="${g.color}" stroke-width="2" stroke-dasharray="6 5" opacity="0.8"></path>`:""}
+                    ${g.points.map(F=>`<circle cx="${E(F.year).toFixed(1)}" cy="${w(F.value).toFixed(1)}" r="3.5" fill="${F.projected?"#000000":g.color}" stroke="${g.color}" stroke-width="2"><title>${ze.escape(g.hotspot.title)} ${F.year}: ${F.value.toFixed(0)}${F.projected?` (${Ye.t("chart.projected")})`:""}</title></circle>`).join("")}
+                </g>`}).join("")}
+            </svg>
+            <div style="display: flex; flex-wrap: wrap; gap: 16px; margin-top: 8px; font-size: 0.7rem; letter-spacing: 1px;">
+                ${i.map(g=>`<span style="color: ${g.color};"><span style="display: inline-block; width: 16px; border-top: 2px solid ${g.color}; vertical-align: middle; margin-right: 6px;"></span>${ze.escape(`${g.hotspot.title} · ${g.chart.label()}`)}</span>`).join("")}
+                <span style="color: var(--ui-text-muted);"><span style="display: inline-block; width: 16px; border-top: 2px dashed var(--ui-text-muted); vertical-align: middle; margin-right: 6px;"></span>${Ye.t("chart.projection")}</span>
+            </div>
+            ${this.renderUnindexed(l,t)}
+        `}render(){if(!this.element)return;this.palette[0]=je.color("accent-color");const e=this.selection.map(he).filter(Boolean);this.element.innerHTML=`
+            <div style="max-width: 1200px; margin: 0 auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; border-bottom: 1px solid rgba(var(--accent-rgb), 0.7); padding-bottom: 12px; margin-bottom: 20px;">
+                    <h2 style="margin: 0; color: var(--accent-color); letter-spacing: 2px; font-size: 1.2rem;">${Ye.t("compare.title")}</h2>
+                    <span>
+                        <button class="unit-toggle" style="background: none; border: 1px solid rgba(var(--accent-rgb), 0.5); border-radius: 3px; color: var(--accent-color); font-family: inherit; font-size: 0.7rem; letter-spacing: 1px; padding: 4px 8px; cursor: pointer; margin-right: 12px;">${Ye.t(Qe.system==="imperial"?"units.imperial":"units.metric")}</button>
+                        <button class="comparison-close" aria-label="${Ye.t("compare.close")}" style="background: none; border: none; color: var(--ui-text); font-size: 1.5rem; cursor: pointer;">×</button>
+                    </span>
+                </div>
+                <div class="comparison-picker" style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 24px;">
+                    ${Be.hotspots.map(t=>{const i=this.selection.indexOf(t.id),o=i>=0?this.palette[i%this.palette.length]:"rgba(255, 255, 255, 0.3)";return`<button data-hotspot="${t.id}" aria-pressed="${i>=0}" style="background: ${i>=0?"rgba(var(--accent-rgb), 0.12)":"transparent"}; border: 1px solid ${o}; border-radius: 3px; color: ${i>=0?o:"var(--ui-text-muted)"}; font-family: inherit; font-size: 0.75rem; letter-spacing: 1px; padding: 6px 10px; cursor: pointer;">${ze.escape(Ye.localize(t.title))}</button>`}).join("")}
+                </div>
+                ${e.length<2?`<p style="color: var(--ui-text-muted); letter-spacing: 1px;">${Ye.t("compare.selectTwo")}</p>`:`
+                <div style="margin-bottom: 30px;">${this.renderTable(e)}</div>
+                <h3 style="color: var(--accent-color); letter-spacing: 1px; font-size: 0.9rem; margin-bottom: 12px;">${Ye.t("compare.evolution")}</h3>
+                <div style="background-color: rgba(0, 30, 60, 0.5); border-radius: 5px; padding: 16px;">${this.renderChart(e)}</div>`}
+            </div>
+        `,this.element.querySelectorAll("[data-hotspot]").forEach(t=>{t.addEventListener("click",()=>this.toggleHotspot(t.dataset.hotspot))}),this.element.querySelector(".comparison-close").addEventListener("click",()=>this.close()),this.element.querySelector(".unit-toggle").addEventListener("click",()=>Qe.toggleSystem())}}class ue{constructor(e){this.panel=e.panel,this.closeBtn=e.closeBtn,this.titleElement=e.titleElement,this.descriptionElement=e.descriptionElement,this.videoElement=e.videoElement,this.globeManager=e.globeManager,this.isVisible=!1,this.drawerToggle=null,this.drawer=null,this.drawerContent=null,this.isDrawerOpen=!1,this.readMoreButton=null,this.onReadMore=null,this.compareButton=null,this.onCompare=null,this.chart=null,this.panel&&this.closeBtn&&this.titleElement&&this.descriptionElement?this.init():(console.warn("ContentPanel: Éléments DOM manquants, panneau désactivé"),this.show=()=>{},this.hide=()=>{},this.update=()=>{})}init(){this.applyDesignSystem(),this.closeBtn&&this.closeBtn.addEventListener("click",()=>{this.hide(),this.globeManager.exitHotspotModeExternal()}),this.videoElement&&(this.videoElement.addEventListener("loadeddata",()=>{console.log("Vidéo chargée avec succès"),d.fromTo(this.videoElement,{opacity:0},We.vars({opacity:1,duration:.8,ease:"power2.out"}))}),this.videoElement.addEventListener("error",()=>{console.error("Erreur lors du chargement de la vidéo"),this.videoElement.style.display="none";const e=document.createElement("img");e.src="/public/images/video-placeholder.jpg",e.alt=Ye.t("panel.videoUnavailable"),e.style.width="100%",e.style.borderRadius="3px";const t=this.videoElement.parentElement;t&&t.appendChild(e)})),this.createActionButtons(),this.createDrawerElements()}applyDesignSystem(){if(!this.panel){console.warn("ContentPanel.panel n'existe pas");return}this.panel.style.cssText=`
             position: absolute;
             top: 5%;
             right: 5%;
             width: 380px;
             max-width: 33.33%; /* Règle du tiers */
             max-height: 90%;
-            background-color: rgba(0, 0, 0, 0.85);
-            border: 1px solid rgba(255, 204, 0, 0.7);
+            background-color: rgba(var(--backdrop-rgb), 0.85);
+            border: 1px solid rgba(var(--accent-rgb), 0.7);
             border-radius: 5px;
             overflow: hidden;
             transition: transform 0.5s cubic-bezier(0.19, 1, 0.22, 1), opacity 0.5s cubic-bezier(0.19, 1, 0.22, 1);
             transform: translateX(100%);
             z-index: 10;
-            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5), 0 0 15px rgba(255, 204, 0, 0.2);
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5), 0 0 15px rgba(var(--accent-rgb), 0.2);
         `;const e=this.panel.querySelector(".panel-header");if(e){e.style.cssText=`
                 padding: 16px 20px;
                 background: linear-gradient(to bottom, rgba(0, 30, 60, 0.9), rgba(0, 15, 30, 0.9));
                 display: flex;
                 justify-content: space-between;
                 align-items: center;
-                border-bottom: 1px solid rgba(255, 204, 0, 0.5);
+                border-bottom: 1px solid rgba(var(--accent-rgb), 0.5);
                 position: relative;
             `;const o=document.createElement("div");o.style.cssText=`
                 position: absolute;
@@ -575,20 +960,20 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                 left: 0;
                 width: 4px;
                 height: 100%;
-                background-color: #ffcc00;
+                background-color: var(--accent-color);
             `,e.insertBefore(o,e.firstChild)}this.titleElement&&(this.titleElement.style.cssText=`
                 margin: 0;
                 font-size: 1.2rem;
                 font-weight: 600;
-                color: #ffcc00;
+                color: var(--accent-color);
                 letter-spacing: 1px;
-                font-family: 'Roboto Mono', monospace;
+                font-family: var(--mono-font);
                 text-transform: uppercase;
                 line-height: 1.3;
             `),this.closeBtn&&(this.closeBtn.style.cssText=`
                 background: none;
                 border: none;
-                color: #ffffff;
+                color: var(--ui-text);
                 font-size: 1.5rem;
                 cursor: pointer;
                 opacity: 0.7;
@@ -599,34 +984,34 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                 align-items: center;
                 justify-content: center;
                 border-radius: 50%;
-            `,this.closeBtn.addEventListener("mouseenter",()=>{this.closeBtn.style.opacity="1",this.closeBtn.style.color="#ffcc00",this.closeBtn.style.backgroundColor="rgba(255, 255, 255, 0.1)"}),this.closeBtn.addEventListener("mouseleave",()=>{this.closeBtn.style.opacity="0.7",this.closeBtn.style.color="#ffffff",this.closeBtn.style.backgroundColor="transparent"}));const t=this.panel.querySelector(".panel-content");if(t){t.style.cssText=`
+            `,this.closeBtn.addEventListener("mouseenter",()=>{this.closeBtn.style.opacity="1",this.closeBtn.style.color="var(--accent-color)",this.closeBtn.style.backgroundColor="rgba(255, 255, 255, 0.1)"}),this.closeBtn.addEventListener("mouseleave",()=>{this.closeBtn.style.opacity="0.7",this.closeBtn.style.color="var(--ui-text)",this.closeBtn.style.backgroundColor="transparent"}));const t=this.panel.querySelector(".panel-content");if(t){t.style.cssText=`
                 padding: 20px;
                 max-height: calc(90vh - 60px);
                 overflow-y: auto;
                 scrollbar-width: thin;
-                scrollbar-color: rgba(255, 204, 0, 0.7) rgba(0, 0, 0, 0.3);
+                scrollbar-color: rgba(var(--accent-rgb), 0.7) rgba(0, 0, 0, 0.3);
             `;const o=document.createElement("style");o.textContent=`
                 .panel-content::-webkit-scrollbar {
                     width: 6px;
                 }
                 
                 .panel-content::-webkit-scrollbar-track {
-                    background: rgba(0, 0, 0, 0.3);
+                    background: rgba(var(--backdrop-rgb), 0.3);
                     border-radius: 3px;
                 }
                 
                 .panel-content::-webkit-scrollbar-thumb {
-                    background-color: rgba(255, 204, 0, 0.7);
+                    background-color: rgba(var(--accent-rgb), 0.7);
                     border-radius: 3px;
                 }
                 
                 .panel-content::-webkit-scrollbar-thumb:hover {
-                    background-color: rgba(255, 204, 0, 0.9);
+                    background-color: rgba(var(--accent-rgb), 0.9);
                 }
             `,document.head.appendChild(o)}const i=this.panel.querySelector("#video-container");if(i&&(i.style.cssText=`
                 width: 100%;
                 margin-bottom: 24px;
-                border: 1px solid rgba(255, 204, 0, 0.3);
+                border: 1px solid rgba(var(--accent-rgb), 0.3);
                 position: relative;
                 overflow: hidden;
                 border-radius: 4px;
@@ -639,7 +1024,7 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             `,this.videoElement.controls=!0),this.descriptionElement){this.descriptionElement.style.cssText=`
                 font-size: 0.95rem;
                 line-height: 1.6;
-                color: #e0e0e0;
+                color: var(--ui-text-soft);
                 font-family: 'Merriweather Sans', 'Source Sans Pro', sans-serif;
             `;const o=document.createElement("style");o.textContent=`
                 #hotspot-description p {
@@ -652,37 +1037,54 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
                 }
                 
                 #hotspot-description .coordinates {
-                    background: linear-gradient(to right, rgba(0, 40, 80, 0.5), rgba(0, 20, 40, 0.5));
+                    background: linear-gradient(to right, rgba(var(--surface-raised-rgb), 0.5), rgba(var(--surface-rgb), 0.5));
                     padding: 10px 15px;
                     border-radius: 4px;
                     margin-bottom: 20px;
                     display: flex;
                     align-items: center;
                     justify-content: space-between;
-                    border-left: 3px solid #ffcc00;
-                    font-family: 'Roboto Mono', monospace;
+                    border-left: 3px solid var(--accent-color);
+                    font-family: var(--mono-font);
                 }
                 
                 #hotspot-description .coordinates-label {
                     font-weight: bold;
-                    color: #ffcc00;
+                    color: var(--accent-color);
                     letter-spacing: 1px;
                     text-transform: uppercase;
                     font-size: 0.85rem;
                 }
                 
                 #hotspot-description .coordinates-value {
-                    font-family: 'Roboto Mono', monospace;
+                    font-family: var(--mono-font);
                     letter-spacing: 1px;
                 }
-            `,document.head.appendChild(o)}}createDrawerElements(){if(!this.panel)return;this.drawerToggle=document.createElement("div"),this.drawerToggle.className="drawer-toggle",this.drawerToggle.innerHTML='<span class="arrow up"></span>',this.drawerToggle.style.cssText=`
+            `,document.head.appendChild(o)}}createActionButtons(){const e=this.panel.querySelector(".panel-content");if(!e)return;const t=document.createElement("div");t.className="panel-actions",t.style.cssText=`
+            display: flex;
+            gap: 12px;
+            margin-top: 24px;
+        `,this.compareButton=this.createActionButton("panel.compare",()=>{this.onCompare&&this.onCompare()}),this.readMoreButton=this.createActionButton("panel.readMore",()=>{this.onReadMore&&this.onReadMore()}),t.appendChild(this.compareButton),t.appendChild(this.readMoreButton),e.appendChild(t)}createActionButton(e,t){const i=document.createElement("button");return i.className="panel-action-btn",i.dataset.i18n=e,i.textContent=Ye.t(e),i.style.cssText=`
+            display: none;
+            flex: 1;
+            padding: 12px 16px;
+            background-color: transparent;
+            border: 1px solid rgba(var(--accent-rgb), 0.7);
+            border-radius: 3px;
+            color: var(--accent-color);
+            font-family: var(--mono-font);
+            font-size: 0.85rem;
+            letter-spacing: 2px;
+            cursor: pointer;
+            transition: all 0.3s ease;
+        `,i.addEventListener("mouseenter",()=>{i.style.backgroundColor="rgba(var(--accent-rgb), 0.15)",i.style.color="var(--ui-text)"}),i.addEventListener("mouseleave",()=>{i.style.backgroundColor="transparent",i.style.color="var(--accent-color)"}),i.addEventListener("click",t),i}createDrawerElements(){if(!this.panel)return;this.drawerToggle=document.createElement("div"),this.drawerToggle.className="drawer-toggle",this.drawerToggle.innerHTML='<span class="arrow up"></span>',this.drawerToggle.style.cssText=`
             position: absolute;
             bottom: 0;
             left: 50%;
             transform: translateX(-50%);
             width: 44px;
             height: 28px;
-            background-color: rgba(0, 0, 0, 0.7);
+            background-color: rgba(var(--backdrop-rgb), 0.7);
             border-top-left-radius: 5px;
             border-top-right-radius: 5px;
             cursor: pointer;
@@ -690,16 +1092,16 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             justify-content: center;
             align-items: center;
             box-shadow: 0 -2px 5px rgba(0, 0, 0, 0.2);
-            border-top: 1px solid rgba(255, 204, 0, 0.5);
-            border-left: 1px solid rgba(255, 204, 0, 0.5);
-            border-right: 1px solid rgba(255, 204, 0, 0.5);
+            border-top: 1px solid rgba(var(--accent-rgb), 0.5);
+            border-left: 1px solid rgba(var(--accent-rgb), 0.5);
+            border-right: 1px solid rgba(var(--accent-rgb), 0.5);
             z-index: 101;
         `;const e=document.createElement("style");e.textContent=`
             .arrow {
                 width: 12px;
                 height: 12px;
                 border-style: solid;
-                border-color: #ffcc00;
+                border-color: var(--accent-color);
                 border-width: 0 2px 2px 0;
                 display: inline-block;
                 transition: transform 0.3s cubic-bezier(0.19, 1, 0.22, 1);
@@ -716,13 +1118,23 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             .drawer-toggle:hover .arrow {
                 border-color: #ffffff;
             }
+            
+            .drawer-content > * {
+                grid-column: 1 / -1;
+            }
+            
+            .data-visualization h4 {
+                color: var(--accent-color);
+                letter-spacing: 1px;
+                margin-bottom: 12px;
+            }
         `,document.head.appendChild(e),this.panel.appendChild(this.drawerToggle),this.drawer=document.createElement("div"),this.drawer.className="info-drawer",this.drawer.style.cssText=`
             position: fixed;
             bottom: 0;
             left: 0;
             width: 100%;
             height: 70%;
-            background: linear-gradient(to bottom, rgba(0, 40, 80, 0.97) 0%, rgba(0, 10, 30, 0.97) 100%);
+            background: linear-gradient(to bottom, rgba(var(--surface-raised-rgb), 0.97) 0%, rgba(var(--surface-rgb), 0.97) 100%);
             transform: translateY(100%);
             transition: transform 0.5s cubic-bezier(0.19, 1, 0.22, 1);
             z-index: 100;
@@ -732,10 +1144,10 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             box-sizing: border-box;
             color: white;
             display: none;
-            border-top: 1px solid rgba(255, 204, 0, 0.7);
+            border-top: 1px solid rgba(var(--accent-rgb), 0.7);
             backdrop-filter: blur(10px);
             scrollbar-width: thin;
-            scrollbar-color: rgba(255, 204, 0, 0.7) rgba(0, 0, 0, 0.3);
+            scrollbar-color: rgba(var(--accent-rgb), 0.7) rgba(0, 0, 0, 0.3);
         `,this.drawerContent=document.createElement("div"),this.drawerContent.className="drawer-content",this.drawerContent.style.cssText=`
             max-width: 1200px;
             margin: 0 auto;
@@ -743,66 +1155,44 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             display: grid;
             grid-template-columns: repeat(12, 1fr);
             grid-gap: 24px;
-        `,this.drawer.appendChild(this.drawerContent),document.body.appendChild(this.drawer),this.drawerToggle.addEventListener("click",()=>{this.toggleDrawer()})}toggleDrawer(){this.isDrawerOpen?this.closeDrawer():this.openDrawer()}openDrawer(){if(this.isDrawerOpen||!this.drawer)return;this.isDrawerOpen=!0,this.drawer.style.display="block",d.to(this.drawer,{y:0,duration:.7,ease:"back.out(1.2)"});const e=this.drawerToggle.querySelector(".arrow");e&&(e.classList.remove("up"),e.classList.add("down")),this.drawerToggle&&d.to(this.drawerToggle,{bottom:"auto",top:-28,duration:.5}),this.panel&&d.to(this.panel,{scale:.95,opacity:.85,duration:.5,ease:"power2.out"})}closeDrawer(){if(!this.isDrawerOpen||!this.drawer)return;this.isDrawerOpen=!1,d.to(this.drawer,{y:"100%",duration:.5,ease:"power3.in",onComplete:()=>{this.drawer.style.display="none"}});const e=this.drawerToggle.querySelector(".arrow");e&&(e.classList.remove("down"),e.classList.add("up")),this.drawerToggle&&d.to(this.drawerToggle,{top:"auto",bottom:0,duration:.5}),this.panel&&d.to(this.panel,{scale:1,opacity:1,duration:.5,ease:"power2.out"})}update(e){if(!this.titleElement||!this.descriptionElement)return;this.titleElement.textContent=e.title||"Information";let t=e.description||"";if(e.coordinates&&(t=`
+        `,this.drawer.appendChild(this.drawerContent),document.body.appendChild(this.drawer),this.drawerToggle.addEventListener("click",()=>{this.toggleDrawer()})}toggleDrawer(){this.isDrawerOpen?this.closeDrawer():this.openDrawer()}openDrawer(){if(this.isDrawerOpen||!this.drawer)return;this.isDrawerOpen=!0,this.drawer.style.display="block",d.to(this.drawer,We.vars({y:0,duration:.7,ease:"back.out(1.2)"})),this.chart&&this.chart.animate();const e=this.drawerToggle.querySelector(".arrow");e&&(e.classList.remove("up"),e.classList.add("down")),this.drawerToggle&&d.to(this.drawerToggle,We.vars({bottom:"auto",top:-28,duration:.5})),this.panel&&d.to(this.panel,We.vars({scale:.95,opacity:.85,duration:.5,ease:"power2.out"}))}closeDrawer(){if(!this.isDrawerOpen||!this.drawer)return;this.isDrawerOpen=!1,d.to(this.drawer,We.vars({y:"100%",duration:.5,ease:"power3.in",onComplete:()=>{this.drawer.style.display="none"}}));const e=this.drawerToggle.querySelector(".arrow");e&&(e.classList.remove("down"),e.classList.add("up")),this.drawerToggle&&d.to(this.drawerToggle,We.vars({top:"auto",bottom:0,duration:.5})),this.panel&&d.to(this.panel,We.vars({scale:1,opacity:1,duration:.5,ease:"power2.out"}))}update(e){if(!this.titleElement||!this.descriptionElement)return;this.titleElement.textContent=e.title||"Information";let t=ze.sanitize(e.description,"description");if(e.coordinates&&(t=`
                 <div class="coordinates">
-                    <span class="coordinates-label">GPS:</span>
-                    <span class="coordinates-value">${e.coordinates.lat.toFixed(4)}° N, ${e.coordinates.lng.toFixed(4)}° E</span>
+                    <span class="coordinates-label">${Ye.t("panel.gps")}:</span>
+                    <span class="coordinates-value">${Pe.formatCoordinate(e.coordinates.lat,"lat")}, ${Pe.formatCoordinate(e.coordinates.lng,"lng")}</span>
                 </div>
                 ${t}
-            `),this.descriptionElement.innerHTML=t,this.videoElement&&e.videoSrc){if(this.videoElement.style.display="block",this.videoElement.querySelector("source"))this.videoElement.querySelector("source").src=e.videoSrc;else{const i=document.createElement("source");i.src=e.videoSrc,i.type="video/mp4",this.videoElement.appendChild(i)}this.videoElement.load()}else this.videoElement&&(this.videoElement.style.display="none");if((e.detailedInfo||e.links)&&this.drawerContent){let i="";i+="<h3>INFORMATIONS COMPLÉMENTAIRES</h3>",e.detailedInfo&&(i+=`
+            `),this.descriptionElement.innerHTML=t,this.videoElement&&e.videoSrc){if(this.videoElement.style.display="block",this.videoElement.querySelector("source"))this.videoElement.querySelector("source").src=e.videoSrc;else{const i=document.createElement("source");i.src=e.videoSrc,i.type="video/mp4",this.videoElement.appendChild(i)}this.videoElement.load()}else this.videoElement&&(this.videoElement.style.display="none");if(this.onReadMore=e.onReadMore||null,this.onCompare=e.onCompare||null,this.readMoreButton&&(this.readMoreButton.style.display=this.onReadMore?"block":"none"),this.compareButton&&(this.compareButton.style.display=this.onCompare?"block":"none"),(e.detailedInfo||e.links)&&this.drawerContent){let i="";i+=`<h3>${Ye.t("panel.moreInfo")}</h3>`,e.detailedInfo&&(i+=`
                     <div class="detailed-info">
                         ${e.detailedInfo}
                     </div>
                 `),e.links&&e.links.length>0&&(i+=`
                     <div class="external-links">
-                        <h4>RESSOURCES SCIENTIFIQUES</h4>
+                        <h4>${Ye.t("panel.resources")}</h4>
                         <ul>
-                `,e.links.forEach(o=>{i+=`<li><a href="${o.url}" target="_blank">${o.title}</a></li>`}),i+=`
+                `,e.links.forEach(o=>{i+=`<li>${ze.link(o.url,o.title,"sources")}</li>`}),i+=`
                         </ul>
                     </div>
-                `),this.drawerContent.innerHTML=i,this.drawerToggle&&(this.drawerToggle.style.display="flex")}else this.drawerToggle&&(this.drawerToggle.style.display="none")}show(){if(this.isVisible||!this.panel)return;this.isVisible=!0,this.panel.classList.remove("hidden"),this.panel.classList.add("visible"),this.closeDrawer(),d.fromTo(this.panel,{x:"100%",opacity:0,scale:.95},{x:"0%",opacity:1,scale:1,duration:.7,ease:"back.out(1.2)"});const e=document.getElementById("main-container");e&&d.to(e.querySelectorAll(":not(#content-panel)"),{filter:"blur(2px)",opacity:.8,duration:.5,ease:"power2.out"})}hide(){if(!this.isVisible||!this.panel)return;this.isVisible=!1,this.isDrawerOpen&&this.closeDrawer(),d.to(this.panel,{x:"100%",opacity:0,scale:.95,duration:.5,ease:"power3.in",onComplete:()=>{this.panel.classList.remove("visible"),this.panel.classList.add("hidden"),this.videoElement&&this.videoElement.pause()}});const e=document.getElementById("main-container");e&&d.to(e.querySelectorAll(":not(#content-panel)"),{filter:"blur(0px)",opacity:1,duration:.5,ease:"power2.out"})}}const V=[{id:"grande-barriere",title:"Grande Barrière de Corail",position:{lat:-18.2871,lng:147.6992},description:`
-            <p>La Grande Barrière de Corail représente le plus grand récif corallien du monde. Située au large du Queensland en Australie, elle s'étend sur plus de 2 300 kilomètres et abrite une biodiversité exceptionnelle avec plus de 1 500 espèces de poissons et 400 types de coraux.</p>
-            <p>Ce site classé au patrimoine mondial de l'UNESCO est aujourd'hui gravement menacé par le changement climatique, la pollution et la surpêche. Les scientifiques observent un blanchissement massif des coraux dû à l'augmentation de la température des océans, avec cinq épisodes majeurs depuis 1998, dont trois entre 2016 et 2020.</p>
-        `,videoSrc:"/public/videos/grande-barriere.mp4",scientificData:{depth:{min:15,max:45,avg:35},temperature:{min:23.5,max:28.5,avg:25.7},biodiversity:"Exceptionnelle",conservationStatus:"En danger critique",area:"348,000 km²",discoveryYear:1770,phValue:{min:8.1,max:8.4},salinity:"34-35‰"},detailedInfo:`
-            <p>La Grande Barrière de Corail est le plus vaste écosystème corallien du monde. Elle abrite plus de 1 500 espèces de poissons, 4 000 types de mollusques, 240 espèces d'oiseaux et de nombreux mammifères marins en danger. Le réchauffement océanique a provoqué cinq épisodes massifs de blanchissement des coraux depuis 1998, dont trois entre 2016 et 2020, affectant gravement cet écosystème unique.</p>
-            <p>Selon les dernières études, plus de 50% des coraux de la Grande Barrière ont été perdus depuis 1995, principalement en raison du réchauffement des océans. La hausse des températures provoque l'expulsion des algues symbiotiques qui donnent aux coraux leur couleur et leur principale source d'énergie, entraînant leur blanchissement et, souvent, leur mort.</p>
-            <p>Le site est également menacé par l'acidification des océans, qui réduit la capacité des coraux à construire leurs squelettes calcaires, les rendant plus vulnérables aux tempêtes et aux prédateurs. Les scientifiques estiment que si la tendance actuelle se poursuit, nous pourrions assister à la disparition de la majorité des récifs coralliens du monde d'ici 2050.</p>
-        `,evolutionData:[{year:2e3,healthIndex:.85},{year:2005,healthIndex:.79},{year:2010,healthIndex:.72},{year:2015,healthIndex:.61},{year:2020,healthIndex:.47},{year:2025,healthIndex:.43,projected:!0}],sources:[{title:"État des récifs coralliens 2024 (UNESCO)",url:"https://whc.unesco.org/en/list/154/"},{title:"Études sur le blanchissement des coraux (AIMS)",url:"https://www.aims.gov.au/research-topics/coral-reefs"},{title:"Stratégies de conservation marine (GBRMPA)",url:"https://www.gbrmpa.gov.au/"}]},{id:"abysses",title:"Les Abysses",position:{lat:-10.9638,lng:-176.6333},description:`
-            <p>Les abysses constituent les zones les plus profondes des océans, situées entre 3 000 et 11 000 mètres de profondeur. Ces environnements extrêmes, caractérisés par une pression écrasante, l'absence de lumière et des températures avoisinant 2°C, abritent pourtant une vie extraordinaire.</p>
-            <p>Les créatures abyssales ont développé des adaptations fascinantes : organes bioluminescents, corps transparents, dents démesurées ou encore capacité à résister à des pressions plusieurs centaines de fois supérieures à celle de la surface. Notre connaissance de ces écosystèmes reste limitée, avec moins de 5% des fonds marins ayant été explorés à ce jour.</p>
-        `,videoSrc:"/public/videos/abysses.mp4",scientificData:{depth:{min:3e3,max:11e3,avg:5e3},temperature:{min:1.5,max:3,avg:2.3},biodiversity:"Rare et spécialisée",conservationStatus:"Zone peu explorée",pressure:"Jusqu'à 1100 atmosphères",lightPenetration:"Nulle",oxygenLevel:"Très faible",microbialDensity:"Élevée dans certaines zones hydrothermales"},detailedInfo:`
-            <p>Les abysses, zones des océans situées entre 3 000 et 11 000 mètres de profondeur, sont parmi les environnements les moins explorés de notre planète. La fosse des Mariannes, point le plus profond de la Terre (10 994 mètres), abrite une biodiversité étonnamment riche malgré une pression 1 100 fois supérieure à celle du niveau de la mer. Les créatures abyssales ont développé des adaptations uniques comme la bioluminescence pour communiquer et attirer leurs proies dans l'obscurité totale.</p>
-            <p>Ces écosystèmes fonctionnent différemment des environnements de surface. Sans photosynthèse, ils s'appuient sur la "neige marine" (particules organiques tombant des eaux supérieures) et sur les sources hydrothermales comme sources d'énergie. Ces cheminées, découvertes en 1977, ont révolutionné notre compréhension de la vie sur Terre, montrant qu'elle peut exister sans lumière solaire, basée sur la chimiosynthèse.</p>
-            <p>Les abysses abritent une biodiversité unique : poissons comme le dragon des mers ou le poisson-ogre, calmars géants, vers tubicoles géants, et diverses espèces bioluminescentes. Paradoxalement, bien que très hostiles à la vie humaine, ces environnements font preuve d'une remarquable stabilité climatique, à l'abri des variations affectant la surface des océans, ce qui en fait des témoins privilégiés de l'évolution.</p>
-        `,evolutionData:[{year:2e3,discoveryIndex:.12},{year:2005,discoveryIndex:.15},{year:2010,discoveryIndex:.19},{year:2015,discoveryIndex:.25},{year:2020,discoveryIndex:.32},{year:2025,discoveryIndex:.38,projected:!0}],sources:[{title:"Exploration des grands fonds (NOAA)",url:"https://oceanexplorer.noaa.gov/explorations/deepwater-exploration.html"},{title:"Biodiversité des abysses (DOSI)",url:"https://www.dosi-project.org/"},{title:"Adaptations aux milieux extrêmes (MBARI)",url:"https://www.mbari.org/science/seafloor-processes/"}]},{id:"arctique",title:"Océan Arctique",position:{lat:78.9634,lng:12.5847},description:`
-            <p>L'océan Arctique, en grande partie recouvert de glace, constitue un écosystème unique abritant des espèces parfaitement adaptées aux conditions extrêmes, comme l'ours polaire, le phoque annelé et le narval.</p>
-            <p>Le réchauffement climatique affecte cet environnement deux fois plus rapidement que le reste de la planète. La fonte de la banquise estivale, qui a diminué de plus de 40% depuis 1979, transforme radicalement les habitats et menace la survie de nombreuses espèces qui dépendent de la glace pour leur alimentation et leur reproduction.</p>
-        `,videoSrc:"/public/videos/arctique.mp4",scientificData:{temperature:{min:-1.8,max:3,avg:-.5},iceExtent:{winter:"15 millions km²",summer:"5 millions km²"},biodiversity:"Modérée",conservationStatus:"Vulnérable",depth:{max:5567,avg:1038},salinity:"30-34‰",iceThickness:{min:.5,max:4,avg:1.8},iceRetreatRate:"13% par décennie"},detailedInfo:`
-            <p>L'Océan Arctique subit le réchauffement le plus rapide de la planète, avec des températures augmentant à un rythme deux fois plus élevé que la moyenne mondiale. La banquise estivale a diminué de 40% depuis 1979, ce qui modifie radicalement l'écosystème régional. Des espèces tempérées migrent vers le nord, entrant en compétition avec les espèces arctiques comme le phoque annelé, le narval et l'ours polaire, dont la survie dépend directement de la glace de mer.</p>
-            <p>L'effet d'amplification arctique, causé par la réduction de l'albédo (réflexion de la lumière solaire) lorsque la glace blanche est remplacée par l'eau sombre qui absorbe la chaleur, accélère le réchauffement dans un cycle de rétroaction positive. Les mesures de l'épaisseur de la glace montrent également une diminution drastique, avec une perte de 65% depuis 1975.</p>
-            <p>Cette transformation a des conséquences planétaires : modification des courants océaniques, perturbation de la circulation atmosphérique globale et libération potentielle de grandes quantités de méthane piégé dans le pergélisol. Les prévisions actuelles suggèrent que l'océan Arctique pourrait être pratiquement libre de glace en été dès les années 2030-2040, soit quelques décennies plus tôt que ce qui était prévu par les modèles climatiques précédents.</p>
-        `,evolutionData:[{year:1980,iceExtent:7.85},{year:1990,iceExtent:6.74},{year:2e3,iceExtent:6.32},{year:2010,iceExtent:4.9},{year:2020,iceExtent:3.74},{year:2025,iceExtent:3.2,projected:!0}],sources:[{title:"Évolution de la banquise arctique (NSIDC)",url:"https://nsidc.org/arcticseaicenews/"},{title:"Impact du changement climatique sur l'écosystème arctique (WWF)",url:"https://arcticwwf.org/work/climate/"},{title:"Rapport sur l'état de l'Arctique (NOAA)",url:"https://arctic.noaa.gov/Report-Card"}]},{id:"plastique",title:"Pollution Plastique",position:{lat:28.3699,lng:-144.4089},description:`
-            <p>Le "Great Pacific Garbage Patch" est une zone d'accumulation de déchets plastiques située dans le Pacifique Nord. Cette "soupe de plastique" s'étend sur une surface équivalente à trois fois la France et contient plus de 1,8 trillion de morceaux de plastique.</p>
-            <p>Ces débris se fragmentent en microplastiques qui sont ingérés par la faune marine et entrent dans la chaîne alimentaire. Chaque année, plus de 8 millions de tonnes de plastique sont déversées dans les océans, avec des conséquences désastreuses pour les écosystèmes marins et potentiellement la santé humaine.</p>
-        `,videoSrc:"/public/videos/plastique.mp4",scientificData:{area:"Environ 1,6 million km²",plasticDensity:{min:"10 kg/km²",max:"100 kg/km²"},biodiversity:"Dégradée",conservationStatus:"Zone fortement dégradée",microplasticConcentration:"Jusqu'à 1 million de particules/km²",originOfWaste:"80% terrestre, 20% maritime",degradationTime:"450 ans pour une bouteille plastique",annualInput:"8 millions de tonnes/an"},detailedInfo:`
-            <p>Le "Great Pacific Garbage Patch" (vortex de déchets du Pacifique nord) est la plus grande des cinq zones d'accumulation de plastiques océaniques. D'une superficie de 1,6 million de km², elle contient environ 1,8 trillion de fragments plastiques. Plus de 80% de cette pollution provient d'activités terrestres. Les microplastiques (&lt;5mm) sont particulièrement dangereux car ils sont ingérés par les organismes marins et s'accumulent dans la chaîne alimentaire. On estime que d'ici 2050, il y aura plus de plastique que de poissons dans les océans (en poids).</p>
-            <p>La durée de vie des plastiques en milieu marin peut atteindre plusieurs centaines d'années. Loin de se décomposer complètement, ils se fragmentent en particules de plus en plus petites qui deviennent impossibles à récupérer. Ces microplastiques sont désormais présents dans tous les océans, des fosses les plus profondes jusqu'à l'Arctique, et ont été détectés dans plus de 700 espèces marines.</p>
-            <p>Les impacts sur la faune sont multiples : enchevêtrement (tortues, mammifères marins), ingestion causant des occlusions intestinales, faux sentiment de satiété, et absorption de polluants toxiques concentrés sur les microplastiques. De récentes études ont également mis en évidence la présence de microplastiques dans le poisson et les fruits de mer consommés par les humains, soulevant de sérieuses questions de santé publique. Les estimations actuelles suggèrent qu'un être humain ingère en moyenne l'équivalent d'une carte de crédit en plastique par semaine.</p>
-        `,evolutionData:[{year:1990,plasticAmount:.8},{year:2e3,plasticAmount:1.5},{year:2010,plasticAmount:2.8},{year:2020,plasticAmount:4.5},{year:2025,plasticAmount:5.7,projected:!0}],sources:[{title:"Étude globale sur la pollution plastique (The Ocean Cleanup)",url:"https://theoceancleanup.com/great-pacific-garbage-patch/"},{title:"Impact des microplastiques sur les écosystèmes marins (PNUE)",url:"https://www.unep.org/explore-topics/oceans-seas/what-we-do/addressing-land-based-pollution/marine-plastics-issue"},{title:"Solutions pour réduire la pollution plastique (Plastic Pollution Coalition)",url:"https://www.plasticpollutioncoalition.org/"}]},{id:"triangle-corail",title:"Triangle de Corail",position:{lat:.7893,lng:127.8641},description:`
-            <p>Le Triangle de Corail, situé entre l'Indonésie, la Malaisie, les Philippines, la Papouasie-Nouvelle-Guinée, les Îles Salomon et le Timor-Leste, représente l'épicentre de la biodiversité marine mondiale.</p>
-            <p>Cette région abrite 76% des espèces de coraux connues et plus de 3 000 espèces de poissons. Véritable nurserie des océans, le Triangle de Corail joue un rôle crucial dans l'équilibre des écosystèmes marins de la planète et assure la subsistance de plus de 120 millions de personnes.</p>
-        `,videoSrc:"/public/videos/triangle-corail.mp4",scientificData:{area:"5,7 millions km²",depth:{min:10,max:200,avg:53},temperature:{min:26,max:29,avg:27.6},biodiversity:"Exceptionnelle",conservationStatus:"En danger",coralSpecies:"605 (76% du total mondial)",fishSpecies:"2228+",economicValue:"1,2 billion USD/an"},detailedInfo:`
-            <p>Le Triangle de Corail, épicentre de la biodiversité marine mondiale, abrite 76% des espèces de coraux connues et plus de 2 200 espèces de poissons récifaux. Chaque année, 30% des espèces marines de ce triangle disparaissent à cause de la surpêche, de la pollution et du changement climatique. Cette région couvre seulement 1,5% de la surface océanique totale mais contient le plus grand nombre d'espèces marines par unité de surface au monde, ce qui en fait un véritable "Amazon de la mer".</p>
-            <p>Cette richesse exceptionnelle s'explique par la rencontre de facteurs géologiques et océanographiques favorables : eaux chaudes et peu profondes, complexité topographique sous-marine, et position au carrefour des courants marins principaux. Au-delà des coraux et poissons, on y trouve 6 des 7 espèces de tortues marines, des dugongs, des requins-baleines et d'innombrables invertébrés, dont beaucoup restent à découvrir.</p>
-            <p>Le Triangle de Corail fournit des services écosystémiques vitaux : barrière naturelle contre les tempêtes, puits de carbone, nurserie pour de nombreuses espèces commerciales, et source de nourriture pour plus de 120 millions de personnes. Sa valeur économique est estimée à 1,2 billion de dollars annuels. Les efforts de conservation impliquent six nations et des dizaines d'ONG, avec un objectif de protection effective de 20% des récifs d'ici 2030, contre moins de 10% actuellement.</p>
-        `,evolutionData:[{year:2e3,coralCover:.65},{year:2005,coralCover:.61},{year:2010,coralCover:.58},{year:2015,coralCover:.53},{year:2020,coralCover:.49},{year:2025,coralCover:.45,projected:!0}],sources:[{title:"Initiative pour le Triangle de Corail (CTI)",url:"https://www.coraltriangleinitiative.org/"},{title:"Stratégies de conservation marine (WWF)",url:"https://www.worldwildlife.org/places/coral-triangle"},{title:"Biodiversité du Triangle de Corail (Nature Conservancy)",url:"https://www.nature.org/en-us/about-us/where-we-work/asia-pacific/asia-and-the-pacific-coral-triangle/"}]},{id:"requins",title:"Requins en Danger",position:{lat:24.287,lng:-77.6843},description:`
-            <p>Les requins, prédateurs au sommet de la chaîne alimentaire marine depuis plus de 400 millions d'années, sont aujourd'hui gravement menacés. Plus d'un tiers des espèces de requins et de raies sont en danger d'extinction.</p>
-            <p>La surpêche, notamment pour le commerce des ailerons, et les prises accessoires sont les principales menaces. En tant que régulateurs des écosystèmes marins, leur déclin a des effets en cascade sur la santé des océans et l'équilibre des populations de poissons.</p>
-        `,videoSrc:"/public/videos/requins.mp4",scientificData:{speciesCount:"500+ espèces",depth:{min:0,max:2e3,avg:150},temperature:{min:4,max:26,avg:21.5},biodiversity:"Élevée",conservationStatus:"En danger",annualDeath:"~100 millions d'individus",evolutionTime:"450 millions d'années",threatLevel:"37% des espèces menacées"},detailedInfo:`
-            <p>Les requins, prédateurs au sommet des écosystèmes marins depuis plus de 400 millions d'années, sont aujourd'hui gravement menacés. Chaque année, environ 100 millions de requins sont tués, principalement pour leurs ailerons. Plus de 37% des espèces de requins et de raies dans le monde sont menacées d'extinction. En tant que régulateurs des populations de proies, leur disparition a un effet en cascade sur l'ensemble de l'écosystème marin, avec des conséquences sur les stocks de poissons commerciaux et la santé des récifs coralliens.</p>
-            <p>Le commerce des ailerons, notamment pour la soupe d'aileron en Asie, est particulièrement dévastateur car il implique souvent la pratique du "finning" où seuls les ailerons sont prélevés et le requin, encore vivant, est rejeté à la mer où il meurt lentement. Bien que des réglementations existent dans certains pays, le commerce illégal reste répandu.</p>
-            <p>Les requins sont particulièrement vulnérables à la surpêche en raison de leur maturité sexuelle tardive et de leur faible taux de reproduction. Une femelle de requin blanc, par exemple, n'atteint sa maturité sexuelle qu'à l'âge de 33 ans et ne produit qu'un petit nombre de jeunes. Cette biologie "lente" signifie que les populations mettent des décennies à se reconstituer après avoir été décimées. Des zones marines protégées dédiées, comme le sanctuaire de requins des Bahamas, montrent qu'une protection efficace peut permettre aux populations de se maintenir, tout en générant des revenus importants grâce à l'écotourisme.</p>
-        `,evolutionData:[{year:1970,sharkPopulation:1},{year:1990,sharkPopulation:.8},{year:2e3,sharkPopulation:.68},{year:2010,sharkPopulation:.55},{year:2020,sharkPopulation:.44},{year:2025,sharkPopulation:.39,projected:!0}],sources:[{title:"État des populations de requins (IUCN Shark Specialist Group)",url:"https://www.iucnssg.org/"},{title:"Impact de la disparition des grands prédateurs marins (Shark Trust)",url:"https://www.sharktrust.org/"},{title:"Sanctuaires de requins et protection (PEW Charitable Trusts)",url:"https://www.pewtrusts.org/en/projects/global-shark-conservation"}]}];function he(l){return V.find(e=>e.id===l)||null}class me{constructor(){this.globeManager=null,this.visualEffects=null,this.interaction=null,this.interfaceUI=null,this.contentPanel=null,this.isInitialized=!1,this.isExploring=!1,this.currentHotspot=null,this.explorationHistory=[],this.welcomeScreen=document.getElementById("welcome-screen"),this.mainContainer=document.getElementById("main-container"),this.loadingScreen=document.getElementById("loading-screen")}init(){if(console.log("Initialisation de l'application Mondes Immergés"),this.isInitialized)return;this.isInitialized=!0,this.createStarryBackground(),this.visualEffects=new ce({container:this.mainContainer}),this.globeManager=new le({containerId:"globe-container",videoPath:"/public/videos/globe-video.mp4",skyTexturePath:"/public/images/night-sky.png"}),this.interaction=new de({globeManager:this.globeManager,visualEffects:this.visualEffects}),this.interfaceUI=new pe({zoomInBtn:document.getElementById("zoom-in"),zoomOutBtn:document.getElementById("zoom-out"),resetViewBtn:document.getElementById("reset-view"),infoBtn:document.getElementById("info-button"),closeInfoBtn:document.getElementById("close-info"),infoOverlay:document.getElementById("info-overlay"),globeManager:this.globeManager});const e={panel:document.getElementById("content-panel"),closeBtn:document.getElementById("close-panel"),titleElement:document.getElementById("hotspot-title"),descriptionElement:document.getElementById("hotspot-description"),videoElement:document.getElementById("hotspot-video"),globeManager:this.globeManager};e.panel&&e.closeBtn&&e.titleElement&&e.descriptionElement?this.contentPanel=new ue(e):(console.warn("ContentPanel: Éléments DOM du panneau de contenu manquants, fonctionnalité désactivée"),this.contentPanel={show:()=>console.log("ContentPanel.show() appelé mais panneau désactivé"),hide:()=>console.log("ContentPanel.hide() appelé mais panneau désactivé"),update:()=>console.log("ContentPanel.update() appelé mais panneau désactivé")}),this.globeManager.setHotspotSelectCallback(this.handleHotspotSelect.bind(this)),this.globeManager.setHotspotExitCallback(this.handleHotspotExit.bind(this)),this.globeManager.animate(),this.globeManager.addHotspots(V),this.initSatelliteInterface(),this.setupEventListeners(),this.addNatGeoLogo(),console.log("Initialisation terminée avec succès")}setupEventListeners(){const e=document.getElementById("explore-btn");e&&e.addEventListener("click",()=>{this.startExploration()}),document.addEventListener("keydown",t=>{t.key===" "&&!this.isExploring&&this.startExploration(),t.key==="Escape"&&(this.currentHotspot?(this.globeManager.exitHotspotModeExternal(),this.currentHotspot=null):this.isExploring)}),window.addEventListener("resize",this.handleResize.bind(this))}startExploration(e=!1){this.isExploring||(this.welcomeScreen&&this.welcomeScreen.classList.add("hidden"),this.mainContainer&&this.mainContainer.classList.remove("hidden"),this.visualEffects.transitionIn(),e?(console.log("Séquence de démarrage fictive ignorée"),this.isExploring=!0):(setTimeout(()=>{this.startupSequence()},1e3),this.isExploring=!0))}returnToWelcomeScreen(){this.isExploring&&this.visualEffects.transitionOut(()=>{this.mainContainer&&this.mainContainer.classList.add("hidden"),this.welcomeScreen&&this.welcomeScreen.classList.remove("hidden"),this.isExploring=!1,this.currentHotspot=null,this.contentPanel&&this.contentPanel.hide&&this.contentPanel.hide(),this.globeManager&&this.globeManager.resetView()})}handleResize(){this.globeManager&&this.globeManager.renderer&&this.globeManager.onWindowResize()}createStarryBackground(){const e=document.createElement("div");e.className="starry-background",this.mainContainer.appendChild(e)}addNatGeoLogo(){const e=document.createElement("div");e.style.cssText=`
+                `),e.citations&&e.citations.length>0&&(i+=`
+                    <div class="citations">
+                        <h4>${Ye.t("panel.cite")}</h4>
+                        <ol style="font-size: 0.8rem; line-height: 1.5; color: var(--ui-text-soft);">
+                            ${e.citations.map(o=>`<li style="margin-bottom: 8px;">${ze.escape(o)}</li>`).join("")}
+                        </ol>
+                    </div>
+                `),e.onExport&&(i+=`
+                    <div class="export-actions" style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 12px;">
+                        ${["csv","json","apa","bibtex"].map(o=>`<button data-export="${o}" style="background: none; border: 1px solid rgba(var(--accent-rgb), 0.6); border-radius: 3px; color: var(--accent-color); font-family: var(--mono-font); font-size: 0.75rem; letter-spacing: 1px; padding: 8px 12px; cursor: pointer;">↓ ${Ye.t(`export.${o}`)}</button>`).join("")}
+                    </div>
+                `),this.drawerContent.innerHTML=i,this.drawerContent.querySelectorAll("[data-export]").forEach(o=>{o.addEventListener("click",()=>e.onExport(o.dataset.export))}),this.drawerContent.querySelectorAll(".unit-toggle").forEach(o=>{o.addEventListener("click",()=>Qe.toggleSystem())}),this.chart=e.chart||null,this.chart&&this.chart.mount(this.drawerContent.querySelector(".trend-chart")),this.drawerToggle&&(this.drawerToggle.style.display="flex")}else this.drawerToggle&&(this.drawerToggle.style.display="none")}show(){if(this.isVisible||!this.panel)return;this.isVisible=!0,this.panel.classList.remove("hidden"),this.panel.classList.add("visible"),this.closeDrawer(),d.fromTo(this.panel,{x:"100%",opacity:0,scale:.95},We.vars({x:"0%",opacity:1,scale:1,duration:.7,ease:"back.out(1.2)"}));const e=document.getElementById("main-container");e&&d.to(e.querySelectorAll(":not(#content-panel)"),We.vars({filter:"blur(2px)",opacity:.8,duration:.5,ease:"power2.out"}))}hide(){if(!this.isVisible||!this.panel)return;this.isVisible=!1,this.isDrawerOpen&&this.closeDrawer(),d.to(this.panel,We.vars({x:"100%",opacity:0,scale:.95,duration:.5,ease:"power3.in",onComplete:()=>{this.panel.classList.remove("visible"),this.panel.classList.add("hidden"),this.videoElement&&this.videoElement.pause()}}));const e=document.getElementById("main-container");e&&d.to(e.querySelectorAll(":not(#content-panel)"),We.vars({filter:"blur(0px)",opacity:1,duration:.5,ease:"power2.out"}))}}const Be={url:new URL("../data/hotspots.geojson",import.meta.url).href,schema:new URL("../data/hotspots.schema.json",import.meta.url).href,spec:null,basic:{definitions:{hotspot:{type:"object",required:["id","title","position"],properties:{id:{type:"string",minLength:1},position:{type:"object",required:["lat","lng"],properties:{lat:{type:"number",minimum:-90,maximum:90},lng:{type:"number",minimum:-180,maximum:180}}}}}}},keywords:["$schema","$id","$ref","$comment","title","description","examples","default","definitions","type","const","enum","minLength","pattern","format","minimum","maximum","minItems","items","required","minProperties","properties","patternProperties","additionalProperties","allOf","anyOf","oneOf"],ignored:[],hotspots:[],errors:[],missing:[],localizedFields:["title","description","detailedInfo"],fetch(l){return fetch(l).then(e=>{if(!e.ok)throw new Error(`HTTP ${e.status} pour ${l}`);return e.json()})},load(l=Be.url){return Promise.all([Be.fetch(l),Be.spec||Be.fetch(Be.schema).catch(e=>(console.warn(`Points d'intérêt: schéma ${Be.schema} indisponible, vérifications de base uniquement`,e),null))]).then(([e,s])=>{Be.spec=s;const{hotspots:t,errors:i,missing:o}=Be.parse(e);if(Be.errors=i,Be.missing=o,i.length>0&&(console.warn(`Points d'intérêt: ${i.length} entrée(s) invalide(s) ignorée(s) (schéma ${Be.spec?Be.schema:"de base"})`),i.forEach(n=>{console.warn(`  - #${n.index} ${n.id||"?"}: ${n.messages.join("; ")}`)})),o.length>0&&(console.warn(`Points d'intérêt: traductions manquantes pour ${o.length} entrée(s) (langues ${Ye.supported.join(", ")})`),o.forEach(n=>{console.warn(`  - ${n.id}: ${n.messages.join("; ")}`)})),t.length===0)throw new Error("aucune entrée valide");return Be.hotspots=t,console.log(`Points d'intérêt: ${t.length} chargés depuis ${l}`),t}).catch(e=>(console.warn(`Points d'intérêt: ${l} indisponible`,e),Be.hotspots))},parse(l){const e=[],t=[],i=[],o=new Set,n=l&&l.type==="FeatureCollection"&&Array.isArray(l.features)?l.features.map(Be.fromFeature):Array.isArray(l)?l:l&&Array.isArray(l.hotspots)?l.hotspots:null;return n?(n.forEach((s,a)=>{const r=Be.validate(s);if(s&&typeof s.id=="string"&&(o.has(s.id)?r.push(`identifiant en double "${s.id}"`):o.add(s.id)),r.length>0)return void t.push({index:a,id:s&&s.id,messages:r});const c=Be.missingTranslations(s);c.length>0&&i.push({index:a,id:s.id,messages:c}),e.push(s)}),{hotspots:e,errors:t,missing:i}):{hotspots:e,errors:[{index:-1,id:null,messages:["collection non reconnue"]}],missing:i}},localize(l,e=Ye.locale){if(!l||typeof l!="object")return l;const t={...l};return Be.localizedFields.forEach(i=>{t[i]!==void 0&&(t[i]=Ye.localize(t[i],e))}),Array.isArray(t.sources)&&(t.sources=t.sources.map(i=>i&&{...i,title:Ye.localize(i.title,e)})),t},missingTranslations(l){const e=[],t=(i,o)=>{if(o===void 0)return;const n=Ye.supported.filter(s=>o&&typeof o=="object"?!(typeof o[s]=="string"&&o[s].trim().length>0):s!==Ye.fallback);n.length>0&&e.push(`${i} (${n.join(", ")})`)};return Be.localizedFields.forEach(i=>t(i,l[i])),(l.sources||[]).forEach((i,o)=>t(`sources[${o}].title`,i&&i.title)),e},fromFeature(l){if(!l||l.type!=="Feature"||!l.properties)return l;const e=l.geometry&&l.geometry.type==="Point"?l.geometry.coordinates:null;return{...l.properties,id:l.properties.id!==void 0?l.properties.id:l.id,position:Array.isArray(e)?{lat:e[1],lng:e[0]}:l.properties.position}},validate(l){return Be.check(l,{$ref:"#/definitions/hotspot"})},resolve(l){return l.replace(/^#/,"").split("/").filter(Boolean).reduce((e,t)=>e?e[t]:void 0,Be.spec||Be.basic)},check(l,e,t=""){if(e.$ref)return Be.check(l,Be.resolve(e.$ref)||{},t);Object.keys(e).forEach(a=>{Be.keywords.includes(a)||Be.ignored.includes(a)||(Be.ignored.push(a),console.warn(`Schéma des points d'intérêt: mot-clé "${a}" non pris en charge, ignoré`))}),e.format&&e.format!=="uri"&&!Be.ignored.includes(`format:${e.format}`)&&(Be.ignored.push(`format:${e.format}`),console.warn(`Schéma des points d'intérêt: format "${e.format}" non pris en charge, ignoré`));const i=[],o=t||"entrée",n=Array.isArray(l)?"array":l===null?"null":typeof l,s=e.type===void 0?null:[].concat(e.type);if(s&&!s.some(a=>a===n||a==="integer"&&Number.isInteger(l)))return[`${o}: ${s.join(" ou ")} attendu`];if("const"in e&&l!==e.const&&i.push(`${o}: "${e.const}" attendu`),e.enum&&!e.enum.includes(l)&&i.push(`${o}: valeur non autorisée`),n==="string"&&(e.minLength!==void 0&&l.length<e.minLength&&i.push(`${o}: texte vide`),e.pattern&&!new RegExp(e.pattern).test(l)&&i.push(`${o}: format invalide`),e.format==="uri"&&!ze.url(l)&&i.push(`${o}: URL invalide`)),n==="number"&&(e.minimum!==void 0&&l<e.minimum||e.maximum!==void 0&&l>e.maximum)&&i.push(`${o}: hors limites (${l})`),n==="array"&&(e.minItems!==void 0&&l.length<e.minItems&&i.push(`${o}: au moins ${e.minItems} élément(s) requis`),e.items&&l.forEach((a,r)=>{const c=Array.isArray(e.items)?e.items[r]:e.items;c&&i.push(...Be.check(a,c,`${t}[${r}]`))})),n==="object"){const a=Object.keys(l),r=e.properties||{},c=Object.keys(e.patternProperties||{});(e.required||[]).forEach(p=>{l[p]===void 0&&i.push(`${t?`${t}.`:""}${p} requis`)}),e.minProperties!==void 0&&a.length<e.minProperties&&i.push(`${o}: objet vide`),a.forEach(p=>{const u=t?`${t}.${p}`:p,m=c.filter(h=>new RegExp(h).test(p));r[p]&&i.push(...Be.check(l[p],r[p],u)),m.forEach(h=>i.push(...Be.check(l[p],e.patternProperties[h],u))),r[p]||m.length>0||(e.additionalProperties===!1?i.push(`${u}: propriété inattendue`):e.additionalProperties&&i.push(...Be.check(l[p],e.additionalProperties,u)))})}return(e.allOf||[]).forEach(a=>i.push(...Be.check(l,a,t))),e.anyOf&&!e.anyOf.some(a=>Be.check(l,a,t).length===0)&&i.push(`${o}: aucune forme attendue`),e.oneOf&&e.oneOf.filter(a=>Be.check(l,a,t).length===0).length!==1&&i.push(`${o}: forme invalide`),i}},Je={formats:{csv:{extension:"csv",mime:"text/csv;charset=utf-8"},json:{extension:"json",mime:"application/json"},apa:{extension:"txt",mime:"text/plain;charset=utf-8"},bibtex:{extension:"bib",mime:"application/x-bibtex;charset=utf-8"}},csvColumns:["section","field","year","value","min","max","avg","unit","qualifier","projected","text","url"],toRecord(l,e=new Date){const t={};return Object.entries(l.scientificData||{}).forEach(([i,o])=>{t[i]=i==="iceExtent"&&o&&typeof o=="object"&&(o.winter||o.summer)?{winter:Qe.parse(o.winter,"area")||o.winter,summer:Qe.parse(o.summer,"area")||o.summer}:Qe.parse(o,i)||o}),{id:l.id,title:l.title,position:{lat:l.position.lat,lng:l.position.lng},scientificData:t,evolutionData:(l.evolutionData||[]).map(i=>({...i,projected:!!i.projected})),sources:(l.sources||[]).map(i=>({title:i.title,url:i.url})),citations:Je.toAPA(l,e),exportedAt:e.toISOString(),origin:window.location.origin+window.location.pathname}},toJSON(l,e=new Date){return JSON.stringify(Je.toRecord(l,e),null,2)},csvCell(l){if(l==null)return"";const e=String(l);return/[",\n\r;]/.test(e)?`"${e.replace(/"/g,'""')}"`:e},toCSV(l){const e=[],t=i=>e.push(Je.csvColumns.map(o=>Je.csvCell(i[o])).join(","));return t({section:"hotspot",field:"title",text:l.title}),t({section:"hotspot",field:"lat",value:l.position.lat,unit:"°"}),t({section:"hotspot",field:"lng",value:l.position.lng,unit:"°"}),Object.entries(l.scientificData||{}).forEach(([i,o])=>{(i==="iceExtent"&&o&&typeof o=="object"&&(o.winter||o.summer)?[["iceExtent.winter",o.winter],["iceExtent.summer",o.summer]]:[[i,o]]).forEach(([n,a])=>{const r=Qe.parse(a,n.startsWith("iceExtent")?"area":n);t(r?{section:"scientificData",field:n,...r,text:r.note}:{section:"scientificData",field:n,text:a})})}),(l.evolutionData||[]).forEach(i=>{Object.keys(i).filter(o=>o!=="year"&&o!=="projected").forEach(o=>{t({section:"evolutionData",field:o,year:i.year,value:i[o],projected:i.projected?"true":"false"})})}),(l.sources||[]).forEach((i,o)=>{t({section:"source",field:o+1,text:i.title,url:i.url})}),"\uFEFF"+[Je.csvColumns.join(","),...e].join(`\r
+`)+`\r
+`},parseSource(l){const e=(l.title||"").match(/^(.*?)\s*\(([^)]+)\)\s*$/),t=e?e[1]:l.title||l.url,i=t.match(/\b(19|20)\d{2}\b/);return{title:t,author:e?e[2]:new URL(l.url,window.location.href).hostname.replace(/^www\./,""),year:i?i[0]:null,url:l.url}},accessDate(l=new Date){return Ye.date(l,{day:"numeric",month:"long",year:"numeric"})},toAPA(l,e=new Date){const t=Je.accessDate(e);return(l.sources||[]).map(i=>{const o=Je.parseSource(i);return`${o.author}. (${o.year||Ye.t("cite.noDate")}). ${o.title}. ${Ye.t("cite.retrieved",{date:t,url:o.url})}`})},toBibTeX(l,e=new Date){const t={},i=e.toISOString().slice(0,10),o=Je.accessDate(e),n=a=>a.replace(/[\\{}]/g,"").replace(/([&%$#_])/g,"\\$1");return(l.sources||[]).map(a=>{const r=Je.parseSource(a),c=`${r.author.normalize("NFD").replace(/[^A-Za-z0-9]/g,"").toLowerCase()||"source"}${r.year||"sd"}${l.id.replace(/-/g,"")}`;return[`@misc{${(t[c]=(t[c]||0)+1)>1?`${c}${String.fromCharCode(96+t[c])}`:c},`,`  author = {{${n(r.author)}}},`,`  title = {${n(r.title)}},`,r.year&&`  year = {${r.year}},`,`  howpublished = {\\url{${r.url}}},`,`  url = {${r.url}},`,`  urldate = {${i}},`,`  note = {${Ye.t("cite.accessed",{date:o})}}`,"}"].filter(Boolean).join(`
+`)}).join(`
+
+`)},build(l,e,t=new Date){return e==="csv"?Je.toCSV(l):e==="json"?Je.toJSON(l,t):e==="bibtex"?Je.toBibTeX(l,t)+`
+`:Je.toAPA(l,t).join(`
+
+`)+`
+`},download(l,e){const t=Je.formats[e];if(!t)return console.warn(`Export: format inconnu ${e}`),!1;const i=new Blob([Je.build(l,e)],{type:t.mime}),o=URL.createObjectURL(i),n=document.createElement("a");return n.href=o,n.download=`mondes-immerges-${l.id}${e==="apa"?"-citations":""}.${t.extension}`,document.body.appendChild(n),n.click(),n.remove(),setTimeout(()=>URL.revokeObjectURL(o),1e3),console.log(`Export ${e.toUpperCase()}: ${n.download}`),!0}};function he(l){const e=Be.hotspots.find(t=>t.id===l);return e?Be.localize(e):null}class me{constructor(){this.globeManager=null,this.visualEffects=null,this.interaction=null,this.interfaceUI=null,this.contentPanel=null,this.layerPanel=null,this.telemetry=null,this.comparison=null,this.isInitialized=!1,this.isExploring=!1,this.currentHotspot=null,this.hotspotsReady=Promise.resolve([]),this.explorationHistory=[],this.welcomeScreen=document.getElementById("welcome-screen"),this.mainContainer=document.getElementById("main-container"),this.loadingScreen=document.getElementById("loading-screen")}init(){if(console.log("Initialisation de l'application Mondes Immergés"),this.isInitialized)return;this.isInitialized=!0,Qe.restore(),this.createStarryBackground(),this.visualEffects=new ce({container:this.mainContainer}),this.globeManager=new le({containerId:"globe-container",videoPath:"/public/videos/globe-video.mp4",skyTexturePath:"/public/images/night-sky.png"}),this.interaction=new de({globeManager:this.globeManager,visualEffects:this.visualEffects}),this.interfaceUI=new pe({zoomInBtn:document.getElementById("zoom-in"),zoomOutBtn:document.getElementById("zoom-out"),resetViewBtn:document.getElementById("reset-view"),infoBtn:document.getElementById("info-button"),closeInfoBtn:document.getElementById("close-info"),infoOverlay:document.getElementById("info-overlay"),globeManager:this.globeManager});const e={panel:document.getElementById("content-panel"),closeBtn:document.getElementById("close-panel"),titleElement:document.getElementById("hotspot-title"),descriptionElement:document.getElementById("hotspot-description"),videoElement:document.getElementById("hotspot-video"),globeManager:this.globeManager};e.panel&&e.closeBtn&&e.titleElement&&e.descriptionElement?this.contentPanel=new ue(e):(console.warn("ContentPanel: Éléments DOM du panneau de contenu manquants, fonctionnalité désactivée"),this.contentPanel={show:()=>console.log("ContentPanel.show() appelé mais panneau désactivé"),hide:()=>console.log("ContentPanel.hide() appelé mais panneau désactivé"),update:()=>console.log("ContentPanel.update() appelé mais panneau désactivé")}),this.globeManager.setHotspotSelectCallback(this.handleHotspotSelect.bind(this)),this.globeManager.setHotspotExitCallback(this.handleHotspotExit.bind(this)),this.globeManager.setNavigateCallback(this.saveSession.bind(this)),this.globeManager.setOrbitModeCallback(this.handleOrbitModeChange.bind(this)),this.comparison=new Xe,this.globeManager.animate(),this.hotspotsReady=Be.load().then(t=>{this.globeManager.addHotspots(t),t.length===0?this.visualEffects.showNotification(Ye.t("notify.hotspotsUnavailable"),"error",5e3):Be.errors.length>0&&this.visualEffects.showNotification(Ye.t("notify.invalidHotspots",{count:Be.errors.length}),"warning",4e3)}),ne.load(),this.layerPanel=this.interfaceUI.createLayerPanel(this.mainContainer,this.globeManager.layerManager),this.languageSwitcher=this.interfaceUI.createLanguageSwitcher(this.mainContainer),Ye.onChange(this.handleLocaleChange.bind(this)),this.motionToggle=this.interfaceUI.createMotionToggle(this.mainContainer),this.themeSwitcher=this.interfaceUI.createThemeSwitcher(this.mainContainer),this.notificationHistory=this.interfaceUI.createNotificationHistory(this.mainContainer),je.onChange(this.handleThemeChange.bind(this)),We.onChange(this.handleMotionChange.bind(this)),this.initSatelliteInterface(),this.setupEventListeners(),this.addNatGeoLogo(),console.log("Initialisation terminée avec succès")}setupEventListeners(){const e=document.getElementById("explore-btn");e&&e.addEventListener("click",()=>{this.startExploration()}),document.addEventListener("keydown",t=>{t.key===" "&&!this.isExploring&&this.startExploration(),(t.key==="c"||t.key==="C")&&this.isExploring&&this.comparison&&this.comparison.open(this.currentHotspot?[this.currentHotspot.id]:[]),t.key==="Escape"&&(this.currentHotspot?(this.globeManager.exitHotspotModeExternal(),this.currentHotspot=null):this.isExploring)}),window.addEventListener("resize",this.handleResize.bind(this))}startExploration(e=!1){this.isExploring||(this.welcomeScreen&&this.welcomeScreen.classList.add("hidden"),this.mainContainer&&this.mainContainer.classList.remove("hidden"),this.visualEffects.transitionIn(),e?(console.log("Séquence de démarrage fictive ignorée"),this.isExploring=!0):(setTimeout(()=>{this.startupSequence()},1e3),this.isExploring=!0))}returnToWelcomeScreen(){this.isExploring&&this.visualEffects.transitionOut(()=>{this.mainContainer&&this.mainContainer.classList.add("hidden"),this.welcomeScreen&&this.welcomeScreen.classList.remove("hidden"),this.isExploring=!1,this.currentHotspot=null,this.contentPanel&&this.contentPanel.hide&&this.contentPanel.hide(),this.globeManager&&this.globeManager.resetView()})}handleResize(){this.globeManager&&this.globeManager.renderer&&this.globeManager.onWindowResize()}createStarryBackground(){const e=document.createElement("div");e.className="starry-background",this.mainContainer.appendChild(e)}addNatGeoLogo(){const e=document.createElement("div");e.style.cssText=`
             position: absolute;
             top: 20px;
             left: 50%;
@@ -812,43 +1202,50 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             height: 40px;
             width: auto;
             filter: drop-shadow(0 0 5px rgba(0, 0, 0, 0.7));
-        `,e.appendChild(t),this.mainContainer.appendChild(e)}initSatelliteInterface(){const e=document.getElementById("coord-lat"),t=document.getElementById("coord-lng"),i=document.getElementById("zoom-level"),o=document.getElementById("orbit-status"),n=document.getElementById("altitude-value"),s=document.getElementById("current-date"),a=document.getElementById("current-time");setInterval(()=>{const r=new Date,c={day:"2-digit",month:"2-digit",year:"numeric"};s&&(s.textContent=r.toLocaleDateString("fr-FR",c));const p=String(r.getUTCHours()).padStart(2,"0"),u=String(r.getUTCMinutes()).padStart(2,"0"),m=String(r.getUTCSeconds()).padStart(2,"0");if(a&&(a.textContent=`${p}:${u}:${m}`),this.globeManager&&this.globeManager.camera){const h=this.globeManager.camera.position,E=Math.sqrt(h.x*h.x+h.z*h.z),w=Math.atan2(h.z,h.x)*(180/Math.PI),M=Math.atan2(h.y,E)*(180/Math.PI);e&&(e.textContent=Math.abs(M).toFixed(4)+(M>=0?"":"-")),t&&(t.textContent=Math.abs(w).toFixed(4)+(w>=0?"":"-"));const g=h.length();n&&(n.textContent=g.toFixed(3)),i&&this.globeManager.orbitParams&&(i.textContent=this.globeManager.orbitParams.zoomLevel.toFixed(1)),o&&this.globeManager.orbitParams&&(this.globeManager.orbitParams.inHotspotMode?(o.textContent="FIXÉE",o.style.color="#ffcc00"):this.globeManager.orbitParams.currentSpeed>this.globeManager.orbitParams.baseSpeed*1.5?(o.textContent="ACCÉLÉRÉE",o.style.color="#ff9900"):this.globeManager.orbitParams.currentSpeed<this.globeManager.orbitParams.baseSpeed?(o.textContent="RALENTIE",o.style.color="#66ccff"):(o.textContent="NORMALE",o.style.color="#ffffff"))}},100)}startupSequence(){this.visualEffects.createOrbitalLoaderEffect(()=>{this.finalizeStartup()},4);const e=document.createElement("div");e.style.cssText=`
+        `,e.appendChild(t),this.mainContainer.appendChild(e)}initSatelliteInterface(){const e=document.getElementById("coord-lat"),t=document.getElementById("coord-lng"),i=document.getElementById("zoom-level"),o=document.getElementById("orbit-status"),n=document.getElementById("altitude-value"),s=document.getElementById("current-date"),a=document.getElementById("current-time"),E=document.getElementById("ground-speed"),w=document.getElementById("heading-value"),M=document.getElementById("sun-elevation"),g=document.querySelector(".coordinates-display");this.telemetry=new Ke({globeManager:this.globeManager}),g&&(g.style.cursor="pointer",g.dataset.i18nTitle="hud.coordFormat",g.title=Ye.t("hud.coordFormat"),g.addEventListener("click",()=>{this.telemetry.toggleFormat()})),setInterval(()=>{const r=new Date,c={day:"2-digit",month:"2-digit",year:"numeric"};s&&(s.textContent=Ye.date(r,c));const p=String(r.getUTCHours()).padStart(2,"0"),u=String(r.getUTCMinutes()).padStart(2,"0"),m=String(r.getUTCSeconds()).padStart(2,"0");if(a&&(a.textContent=`${p}:${u}:${m}`),this.globeManager&&this.globeManager.camera){const h=this.telemetry.sample(r);e&&(e.textContent=this.telemetry.formatCoordinate(h.lat,"lat")),t&&(t.textContent=this.telemetry.formatCoordinate(h.lng,"lng")),n&&(n.textContent=Ye.number(h.altitude,{minimumFractionDigits:1,maximumFractionDigits:1})),E&&(E.textContent=Ye.number(h.groundSpeed,{minimumFractionDigits:2,maximumFractionDigits:2})),w&&(w.textContent=String(Math.round(h.heading)%360).padStart(3,"0")),M&&(M.textContent=Ye.number(h.sunElevation,{minimumFractionDigits:1,maximumFractionDigits:1,signDisplay:"always"})),i&&this.globeManager.orbitParams&&(i.textContent=Ye.number(this.globeManager.orbitParams.zoomLevel,{minimumFractionDigits:1,maximumFractionDigits:1})),o&&this.globeManager.orbitParams&&(this.globeManager.orbitParams.inHotspotMode?(o.textContent=Ye.t("hud.orbitFixed"),o.style.color="var(--accent-color)"):this.globeManager.orbitParams.currentSpeed>this.globeManager.orbitParams.baseSpeed*1.5?(o.textContent=Ye.t("hud.orbitFast"),o.style.color="#ff9900"):this.globeManager.orbitParams.currentSpeed<this.globeManager.orbitParams.baseSpeed?(o.textContent=Ye.t("hud.orbitSlow"),o.style.color="var(--info-color)"):(o.textContent=Ye.t("hud.orbitNormal"),o.style.color="var(--ui-text)"))}},100)}startupSequence(){this.visualEffects.createOrbitalLoaderEffect(()=>{this.finalizeStartup()},4);const e=document.createElement("div");e.className="startup-overlay",e.style.cssText=`
+            position: fixed;
+            left: 0;
+            right: 0;
+            bottom: 40px;
+            padding: 0 20px;
+            z-index: 60;
+            pointer-events: none;
+        `;const t=document.createElement("div");t.style.cssText=`
             max-width: 800px;
             margin: 0 auto;
-        `,startupOverlay.appendChild(e),document.body.appendChild(startupOverlay);const t=["Initialisation du système de navigation...","Chargement des modules cartographiques...","Calibration des capteurs océanographiques...","Établissement de la liaison satellite...","Chargement des données bathymétriques...","Analyse des courants marins...","Détection des points d'intérêt...","Optimisation de l'interface scientifique...","Calcul de l'orbite ellipsoïdale...","Système opérationnel. Bienvenue à bord."];let i=0;const o=setInterval(()=>{if(i<t.length){const n=document.createElement("div");n.className="startup-message",n.innerHTML=`<span style="color: #66ccff;">[SYSTÈME]</span> ${t[i]}`,n.style.cssText=`
+        `,e.appendChild(t),document.body.appendChild(e);const i=Ye.t("startup.messages");let o=0;const n=setInterval(()=>{if(o<i.length){const s=document.createElement("div");s.className="startup-message",s.innerHTML=`<span style="color: var(--info-color);">[${Ye.t("startup.prefix")}]</span> ${i[o]}`,s.style.cssText=`
                     margin-bottom: 6px;
-                    background-color: rgba(0, 10, 30, 0.7);
+                    background-color: rgba(var(--surface-rgb), 0.7);
                     padding: 6px 10px;
                     border-radius: 4px;
                     color: white;
                     font-size: 11px;
-                    font-family: 'Roboto Mono', monospace;
+                    font-family: var(--mono-font);
                     text-align: left;
                     transform: translateY(10px);
                     opacity: 0;
                     transition: opacity 0.3s ease, transform 0.3s ease;
-                `,e.appendChild(n),setTimeout(()=>{n.style.opacity="1",n.style.transform="translateY(0)"},50),i++}else clearInterval(o),setTimeout(()=>{startupOverlay.style.transition="opacity 1s ease",startupOverlay.style.opacity="0",setTimeout(()=>{startupOverlay.remove()},1e3)},1e3)},400)}finalizeStartup(){this.showSystemMessages(),this.visualEffects.addBackgroundParticles({count:30,container:this.mainContainer}),setTimeout(()=>{this.visualEffects.showNotification("Bienvenue dans l'exploration des Mondes Immergés","info",4e3)},1e3)}showSystemMessages(){}handleHotspotSelect(e){console.log(`Point d'intérêt sélectionné: ${e.title}`),this.currentHotspot=e,this.explorationHistory.push({id:e.id,title:e.title,timestamp:Date.now()}),this.visualEffects.highlightSelection(e.position),this.visualEffects.flashScreen("rgba(255, 204, 0, 0.2)");const t=document.querySelector(".coordinates-display");t&&(t.style.backgroundColor="rgba(255, 204, 0, 0.2)",t.style.borderColor="rgba(255, 204, 0, 0.8)");const i=he(e.id),o=this.generateDetailedInfoHTML(i),n=i.sources||[{title:"Étude scientifique de référence (National Geographic)",url:"https://www.nationalgeographic.com/environment/oceans"},{title:"Base de données océanographiques (NOAA)",url:"https://www.noaa.gov/oceans-coasts"},{title:"Conservation marine (UNESCO)",url:"https://en.unesco.org/themes/ocean"}];this.contentPanel&&this.contentPanel.update?(this.contentPanel.update({title:e.title,description:e.description,videoSrc:e.videoSrc,coordinates:e.position,detailedInfo:o,links:n}),this.contentPanel.show()):(console.log("ContentPanel non disponible, affichage des informations dans la console:"),console.log("Titre:",e.title),console.log("Description:",e.description),console.log("Coordonnées:",e.position)),this.interfaceUI&&this.interfaceUI.setUIVisibility&&this.interfaceUI.setUIVisibility(!1),this.visualEffects.showNotification(`Exploration de: ${e.title}`,"info",3e3)}generateDetailedInfoHTML(e){if(!e||!e.scientificData)return"<p>Informations détaillées non disponibles pour cette zone.</p>";const t=e.scientificData;let i=`
+                `,t.appendChild(s),setTimeout(()=>{s.style.opacity="1",s.style.transform="translateY(0)"},50),o++}else clearInterval(n),setTimeout(()=>{e.style.transition="opacity 1s ease",e.style.opacity="0",setTimeout(()=>{e.remove()},1e3)},1e3)},400)}finalizeStartup(){this.showSystemMessages(),this.visualEffects.addBackgroundParticles({count:30,container:this.mainContainer}),setTimeout(()=>{this.visualEffects.showNotification(Ye.t("notify.welcome"),"info",4e3)},1e3)}showSystemMessages(){}saveSession(){Le.save({globe:this.globeManager.saveState(),visited:this.explorationHistory,currentHotspot:this.currentHotspot?this.currentHotspot.id:null})&&console.log("Session sauvegardée avant navigation")}restoreSession(e){console.log("Reprise de la session précédente"),this.explorationHistory=e.visited||[],this.globeManager.restoreState(e.globe),e.currentHotspot&&this.hotspotsReady.then(()=>{const i=Be.hotspots.find(o=>o.id===e.currentHotspot);i&&(this.currentHotspot=i,this.globeManager.enterHotspotMode(i),this.contentPanel&&this.contentPanel.update&&(this.updateContentPanel(i),this.contentPanel.show(),this.interfaceUI&&this.interfaceUI.setUIVisibility&&this.interfaceUI.setUIVisibility(!1)))});const t=new Set(this.explorationHistory.map(i=>i.id)).size;this.visualEffects.showNotification(t>0?Ye.t("notify.resumeVisited",{count:t}):Ye.t("notify.resume"),"info",3e3)}updateContentPanel(e){const i=he(e.id),o=this.generateDetailedInfoHTML(i),n=i&&i.sources||[{title:Ye.t("panel.sourceNatGeo"),url:"https://www.nationalgeographic.com/environment/oceans"},{title:Ye.t("panel.sourceNoaa"),url:"https://www.noaa.gov/oceans-coasts"},{title:Ye.t("panel.sourceUnesco"),url:"https://en.unesco.org/themes/ocean"}];this.contentPanel.update({title:i?i.title:Ye.localize(e.title),description:i?i.description:Ye.localize(e.description),videoSrc:e.videoSrc,coordinates:e.position,detailedInfo:o,links:n,citations:Je.toAPA({sources:n}),onExport:i?s=>this.exportHotspot({...i,sources:n},s):null,chart:i&&i.evolutionData&&i.evolutionData.length>0?new Ve(i.evolutionData):null,onCompare:()=>this.comparison.open([e.id]),onReadMore:re(e.id).url?()=>{this.contentPanel.hide(),this.globeManager.openExternalPage(e)}:null})}handleHotspotSelect(e){console.log(`Point d'intérêt sélectionné: ${Ye.localize(e.title)}`),this.currentHotspot=e,this.explorationHistory.push({id:e.id,title:Ye.localize(e.title),timestamp:Date.now()}),this.visualEffects.highlightSelection(e.position),this.visualEffects.flashScreen("rgba(var(--accent-rgb), 0.2)");const t=document.querySelector(".coordinates-display");t&&(t.style.backgroundColor="rgba(var(--accent-rgb), 0.2)",t.style.borderColor="rgba(var(--accent-rgb), 0.8)"),this.contentPanel&&this.contentPanel.update?(this.updateContentPanel(e),this.contentPanel.show()):(console.log("ContentPanel non disponible, affichage des informations dans la console:"),console.log("Titre:",Ye.localize(e.title)),console.log("Description:",Ye.localize(e.description)),console.log("Coordonnées:",e.position)),this.interfaceUI&&this.interfaceUI.setUIVisibility&&this.interfaceUI.setUIVisibility(!1),this.visualEffects.showNotification(Ye.t("notify.exploring",{title:Ye.localize(e.title)}),"info",3e3)}exportHotspot(e,t){Je.download(e,t)&&this.visualEffects.showNotification(Ye.t("notify.exported",{format:t==="bibtex"?"BibTeX":t.toUpperCase(),title:e.title}),"success",2e3)}handleLocaleChange(e){Qe.refresh(),this.layerPanel&&this.layerPanel.refresh(),this.languageSwitcher&&this.languageSwitcher.refresh(),this.notificationHistory&&this.notificationHistory.refresh(),this.globeManager&&(this.globeManager.refreshHotspotLabels(),this.globeManager.updateSatelliteId()),this.comparison&&this.comparison.isOpen&&this.comparison.render(),this.currentHotspot&&this.contentPanel&&this.contentPanel.update&&this.updateContentPanel(this.currentHotspot),this.visualEffects.showNotification(Ye.t("notify.language",{language:Ye.names[e.split("-")[0]]}),"info",2e3)}handleThemeChange(e){this.themeSwitcher&&this.themeSwitcher.refresh(),this.globeManager&&this.globeManager.applyTheme(),this.visualEffects.showNotification(Ye.t("notify.theme",{theme:Ye.has(`theme.${e}`)?Ye.t(`theme.${e}`):e.toUpperCase()}),"info",2e3)}handleMotionChange(e){this.motionToggle&&this.motionToggle.refresh(),e?this.visualEffects.removeBackgroundParticles():this.isExploring&&this.visualEffects.addBackgroundParticles({count:30,container:this.mainContainer}),this.visualEffects.showNotification(Ye.t(e?"notify.motionReduced":"notify.motionFull"),"info",2e3)}generateDetailedInfoHTML(e){if(!e||!e.scientificData)return`<p>${Ye.t("panel.noDetails")}</p>`;const t=e.scientificData;let i=`
             <div class="scientific-data">
-                <strong>Profondeur moyenne:</strong> ${t.depth?typeof t.depth=="object"?`${t.depth.min}-${t.depth.max} m (moy. ${t.depth.avg} m)`:t.depth:"Non disponible"}<br>
-                <strong>Température de l'eau:</strong> ${t.temperature?typeof t.temperature=="object"?`${t.temperature.min}-${t.temperature.max}°C (moy. ${t.temperature.avg}°C)`:t.temperature:"Non disponible"}<br>
-                <strong>Biodiversité:</strong> ${t.biodiversity||"Non classifiée"}<br>
-                <strong>Statut de conservation:</strong> ${t.conservationStatus||"Non déterminé"}<br>
-        `;t.area&&(i+=`<strong>Superficie:</strong> ${t.area}<br>`),t.iceExtent&&(i+=`<strong>Étendue de glace:</strong> ${typeof t.iceExtent=="object"?`Hiver: ${t.iceExtent.winter}, Été: ${t.iceExtent.summer}`:t.iceExtent}<br>`),t.annualInput&&(i+=`<strong>Apport annuel:</strong> ${t.annualInput}<br>`),t.economicValue&&(i+=`<strong>Valeur économique:</strong> ${t.economicValue}<br>`),i+="</div>";let o="";e.detailedInfo&&(o=`
+                <button class="unit-toggle" style="float: right; background: none; border: 1px solid rgba(var(--accent-rgb), 0.5); border-radius: 3px; color: var(--accent-color); font-family: var(--mono-font); font-size: 0.7rem; letter-spacing: 1px; padding: 4px 8px; cursor: pointer;">${Ye.t(Qe.system==="imperial"?"units.imperial":"units.metric")}</button>
+                <strong>${Ye.t("field.averageDepth")}:</strong> ${t.depth?Qe.html(t.depth,"depth"):Ye.t("common.unavailable")}<br>
+                <strong>${Ye.t("field.temperature")}:</strong> ${t.temperature?Qe.html(t.temperature,"temperature"):Ye.t("common.unavailable")}<br>
+                <strong>${Ye.t("field.biodiversity")}:</strong> ${t.biodiversity?ze.escape(t.biodiversity):Ye.t("field.unclassified")}<br>
+                <strong>${Ye.t("field.conservationStatus")}:</strong> ${t.conservationStatus?ze.escape(t.conservationStatus):Ye.t("field.undetermined")}<br>
+        `;t.area&&(i+=`<strong>${Ye.t("field.area")}:</strong> ${Qe.html(t.area,"area")}<br>`),t.iceExtent&&(i+=`<strong>${Ye.t("field.iceExtent")}:</strong> ${typeof t.iceExtent=="object"&&(t.iceExtent.winter||t.iceExtent.summer)?`${Ye.t("field.winter")}: ${Qe.html(t.iceExtent.winter,"area")}, ${Ye.t("field.summer")}: ${Qe.html(t.iceExtent.summer,"area")}`:Qe.html(t.iceExtent,"area")}<br>`),t.annualInput&&(i+=`<strong>${Ye.t("field.annualInput")}:</strong> ${Qe.html(t.annualInput,"annualInput")}<br>`),t.economicValue&&(i+=`<strong>${Ye.t("field.economicValue")}:</strong> ${Qe.html(t.economicValue,"economicValue")}<br>`),i+="</div>";let o="";e.detailedInfo&&(o=`
                 <div class="detailed-text">
-                    ${e.detailedInfo}
+                    ${ze.sanitize(e.detailedInfo,"detailedInfo")}
                 </div>
             `);let n="";return e.evolutionData&&e.evolutionData.length>0&&(n=`
                 <div class="data-visualization">
-                    <h4>Évolution sur ${e.evolutionData[e.evolutionData.length-1].year-e.evolutionData[0].year} ans</h4>
-                    <div class="chart-placeholder" style="width: 100%; height: 200px; background-color: rgba(0, 30, 60, 0.5); border-radius: 5px; display: flex; justify-content: center; align-items: center;">
-                        <span>Graphique de tendance (à implémenter)</span>
-                    </div>
+                    <h4>${Ye.t("panel.evolution",{count:e.evolutionData[e.evolutionData.length-1].year-e.evolutionData[0].year})}</h4>
+                    <div class="trend-chart" style="width: 100%; background-color: rgba(0, 30, 60, 0.5); border-radius: 5px; padding: 16px; box-sizing: border-box;"></div>
                 </div>
             `),`
             ${i}
             ${o}
             ${n}
-        `}handleHotspotExit(){this.contentPanel&&this.contentPanel.hide&&this.contentPanel.hide();const e=document.querySelector(".coordinates-display");e&&(e.style.backgroundColor="rgba(0, 0, 0, 0.7)",e.style.borderColor="rgba(255, 204, 0, 0.3)"),this.interfaceUI&&this.interfaceUI.setUIVisibility&&this.interfaceUI.setUIVisibility(!0),this.visualEffects&&this.visualEffects.showNotification("Retour à l'exploration globale","info",3e3),this.currentHotspot=null}}const j=new me;function ge(){j.init()}function fe(){return j}function be(){console.log("🔍 Vérification de la compatibilité WebGL...");const l=document.createElement("canvas"),e=l.getContext("webgl")||l.getContext("experimental-webgl");if(!e)return console.error("❌ WebGL non supporté"),xe(),!1;console.log("✅ Contexte WebGL créé avec succès"),console.log("📊 Informations WebGL:"),console.log("  - Version:",e.getParameter(e.VERSION)),console.log("  - Vendor:",e.getParameter(e.VENDOR)),console.log("  - Renderer:",e.getParameter(e.RENDERER)),console.log("  - Max Texture Size:",e.getParameter(e.MAX_TEXTURE_SIZE)),console.log("  - Max Vertex Textures:",e.getParameter(e.MAX_VERTEX_TEXTURE_IMAGE_UNITS)),console.log("  - Max Fragment Textures:",e.getParameter(e.MAX_TEXTURE_IMAGE_UNITS));const t=e.getSupportedExtensions();console.log("🔌 Extensions WebGL supportées:",t.length),["OES_texture_float","OES_texture_float_linear","OES_standard_derivatives","WEBGL_depth_texture"].forEach(s=>{t.includes(s)?console.log(`  ✅ ${s}`):console.warn(`  ⚠️  ${s} non supportée (optionnelle)`)});try{console.log("🎨 Test de compilation des shaders...");const s=e.createShader(e.VERTEX_SHADER),a=e.createShader(e.FRAGMENT_SHADER),r=`
+        `}handleOrbitModeChange(e){this.interfaceUI&&this.interfaceUI.setManualControls&&this.interfaceUI.setManualControls(e!=="tle")}handleHotspotExit(){this.contentPanel&&this.contentPanel.hide&&this.contentPanel.hide();const e=document.querySelector(".coordinates-display");e&&(e.style.backgroundColor="rgba(0, 0, 0, 0.7)",e.style.borderColor="rgba(var(--accent-rgb), 0.3)"),this.interfaceUI&&this.interfaceUI.setUIVisibility&&this.interfaceUI.setUIVisibility(!0),this.visualEffects&&this.visualEffects.showNotification(Ye.t("notify.backToGlobe"),"info",3e3),this.currentHotspot=null}}const j=new me;function ge(){j.init()}function fe(){return j}function be(){console.log("🔍 Vérification de la compatibilité WebGL...");const l=document.createElement("canvas"),e=l.getContext("webgl")||l.getContext("experimental-webgl");if(!e)return console.error("❌ WebGL non supporté"),xe(),!1;console.log("✅ Contexte WebGL créé avec succès"),console.log("📊 Informations WebGL:"),console.log("  - Version:",e.getParameter(e.VERSION)),console.log("  - Vendor:",e.getParameter(e.VENDOR)),console.log("  - Renderer:",e.getParameter(e.RENDERER)),console.log("  - Max Texture Size:",e.getParameter(e.MAX_TEXTURE_SIZE)),console.log("  - Max Vertex Textures:",e.getParameter(e.MAX_VERTEX_TEXTURE_IMAGE_UNITS)),console.log("  - Max Fragment Textures:",e.getParameter(e.MAX_TEXTURE_IMAGE_UNITS));const t=e.getSupportedExtensions();console.log("🔌 Extensions WebGL supportées:",t.length),["OES_texture_float","OES_texture_float_linear","OES_standard_derivatives","WEBGL_depth_texture"].forEach(s=>{t.includes(s)?console.log(`  ✅ ${s}`):console.warn(`  ⚠️  ${s} non supportée (optionnelle)`)});try{console.log("🎨 Test de compilation des shaders...");const s=e.createShader(e.VERTEX_SHADER),a=e.createShader(e.FRAGMENT_SHADER),r=`
             attribute vec4 position;
             void main() {
                 gl_Position = position;
@@ -865,43 +1262,38 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
         top: 50%;
         left: 50%;
         transform: translate(-50%, -50%);
-        background-color: rgba(0, 0, 0, 0.95);
-        color: #ffcc00;
+        background-color: rgba(var(--backdrop-rgb), 0.95);
+        color: var(--accent-color);
         padding: 40px;
         border-radius: 12px;
         text-align: center;
-        font-family: 'Roboto Mono', monospace;
+        font-family: var(--mono-font);
         z-index: 10000;
-        border: 2px solid #ffcc00;
+        border: 2px solid var(--accent-color);
         max-width: 600px;
-        box-shadow: 0 0 30px rgba(255, 204, 0, 0.3);
+        box-shadow: 0 0 30px rgba(var(--accent-rgb), 0.3);
         backdrop-filter: blur(10px);
     `,l.innerHTML=`
         <div style="font-size: 3em; margin-bottom: 20px;">⚠️</div>
-        <h2 style="margin-bottom: 20px; color: #ffcc00;">WebGL Non Supporté</h2>
-        <p style="margin-bottom: 20px; line-height: 1.6; color: #e0e0e0;">
-            Votre navigateur ne supporte pas WebGL ou l'accélération matérielle, 
-            requis pour cette expérience immersive 3D.
+        <h2 style="margin-bottom: 20px; color: var(--accent-color);">${Ye.t("error.unsupported.title")}</h2>
+        <p style="margin-bottom: 20px; line-height: 1.6; color: var(--ui-text-soft);">
+            ${Ye.t("error.unsupported.message")}
         </p>
-        <div style="text-align: left; margin: 25px 0; padding: 20px; background: rgba(255, 204, 0, 0.1); border-radius: 8px;">
-            <h3 style="margin-bottom: 15px; color: #ffcc00;">Solutions recommandées:</h3>
-            <ul style="color: #e0e0e0; line-height: 1.8;">
-                <li>🔄 Mettre à jour votre navigateur vers la dernière version</li>
-                <li>⚙️ Activer l'accélération matérielle dans les paramètres</li>
-                <li>🌐 Utiliser Chrome, Firefox, Safari ou Edge récent</li>
-                <li>🖥️ Vérifier que vos pilotes graphiques sont à jour</li>
-                <li>🔌 Désactiver temporairement les extensions bloquant WebGL</li>
+        <div style="text-align: left; margin: 25px 0; padding: 20px; background: rgba(var(--accent-rgb), 0.1); border-radius: 8px;">
+            <h3 style="margin-bottom: 15px; color: var(--accent-color);">${Ye.t("error.unsupported.solutions")}</h3>
+            <ul style="color: var(--ui-text-soft); line-height: 1.8;">
+                ${Ye.t("error.unsupported.tips").map(e=>`<li>${e}</li>`).join("")}
             </ul>
         </div>
         <div style="margin-top: 30px;">
-            <button onclick="location.reload()" style="background: #ffcc00; color: #000; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-family: inherit; margin-right: 10px; font-weight: bold;">
-                🔄 Réessayer
+            <button onclick="location.reload()" style="background: var(--accent-color); color: var(--on-accent); border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-family: inherit; margin-right: 10px; font-weight: bold;">
+                🔄 ${Ye.t("common.retry")}
             </button>
-            <button onclick="window.open('https://get.webgl.org/', '_blank')" style="background: transparent; color: #ffcc00; border: 2px solid #ffcc00; padding: 10px 22px; border-radius: 6px; cursor: pointer; font-family: inherit;">
-                ℹ️ Test WebGL
+            <button onclick="window.open('https://get.webgl.org/', '_blank')" style="background: transparent; color: var(--accent-color); border: 2px solid var(--accent-color); padding: 10px 22px; border-radius: 6px; cursor: pointer; font-family: inherit;">
+                ℹ️ ${Ye.t("error.unsupported.test")}
             </button>
         </div>
-    `,document.body.appendChild(l)}function ye(){if(console.log("🌊 Application Mondes Immergés en cours de chargement..."),!be()){console.error("❌ Initialisation interrompue - WebGL incompatible");return}const l=document.createElement("style");l.textContent=`
+    `,document.body.appendChild(l)}function ye(){if(console.log("🌊 Application Mondes Immergés en cours de chargement..."),Ye.setLocale(Ye.detect(),!1),We.init(),ze.init(),je.install(),je.setTheme(je.detect(),!1),!be()){console.error("❌ Initialisation interrompue - WebGL incompatible");return}const l=document.createElement("style");l.textContent=`
         #main-container, #globe-container, canvas {
             user-select: none !important;
             -webkit-user-select: none !important;
@@ -917,7 +1309,17 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             pointer-events: auto !important;
             cursor: none !important;
         }
-    `,document.head.appendChild(l);const e=document.getElementById("welcome-screen");e&&(e.style.display="none",e.classList.add("hidden"));const t=document.getElementById("main-container");t&&(t.classList.add("hidden"),t.style.opacity="0");let i=0;const o=8,n=()=>{i++;const a=Math.round(i/o*100);console.log(`📦 Ressource ${i}/${o} chargée (${a}%)`);const r=document.querySelector(".progress-bar"),c=document.querySelector(".progress-text");r&&(r.style.width=`${a}%`),c&&(c.textContent=`${a}%`),i>=o&&(console.log("✅ Toutes les ressources chargées - Démarrage de l'application"),we())};["Configuration système","Textures globe","Vidéos des zones","Données géographiques","Interfaces utilisateur","Modèles 3D","Données scientifiques","Effets visuels"].forEach((a,r)=>{const c=150+Math.random()*250;setTimeout(()=>{console.log(`📦 Ressource chargée: ${a}`),n()},c*(r+1))}),ve()}function ve(){const l=document.getElementById("main-container");if(!l||l.querySelector(".starry-background"))return;const e=document.createElement("div");e.className="starry-background",e.style.cssText=`
+        html.reduced-motion *,
+        html.reduced-motion *::before,
+        html.reduced-motion *::after {
+            animation-duration: 0.01ms !important;
+            animation-delay: 0s !important;
+            animation-iteration-count: 1 !important;
+            transition-duration: 0.01ms !important;
+            transition-delay: 0s !important;
+            scroll-behavior: auto !important;
+        }
+    `,document.head.appendChild(l);const e=document.getElementById("welcome-screen");e&&(e.style.display="none",e.classList.add("hidden"));const t=document.getElementById("main-container");t&&(t.classList.add("hidden"),t.style.opacity="0");const s=Le.load();if(s){console.log("↩️  Session précédente trouvée - Chargement direct"),ve(),we(s);return}let i=0;const o=8,n=()=>{i++;const a=Math.round(i/o*100);console.log(`📦 Ressource ${i}/${o} chargée (${a}%)`);const r=document.querySelector(".progress-bar"),c=document.querySelector(".progress-text");r&&(r.style.width=`${a}%`),c&&(c.textContent=`${a}%`),i>=o&&(console.log("✅ Toutes les ressources chargées - Démarrage de l'application"),we())};["Configuration système","Textures globe","Vidéos des zones","Données géographiques","Interfaces utilisateur","Modèles 3D","Données scientifiques","Effets visuels"].forEach((a,r)=>{const c=150+Math.random()*250;setTimeout(()=>{console.log(`📦 Ressource chargée: ${a}`),n()},c*(r+1))}),ve()}function ve(){const l=document.getElementById("main-container");if(!l||l.querySelector(".starry-background"))return;const e=document.createElement("div");e.className="starry-background",e.style.cssText=`
         position: absolute;
         top: 0;
         left: 0;
@@ -935,37 +1337,37 @@ import{R as L,V as U,C as W,a as y,S as _,A as q,D as k,F as A,P as X,W as Y,b a
             border-radius: 50%;
             animation: starTwinkle ${r}s ease-in-out ${c}s infinite;
             pointer-events: none;
-        `,e.appendChild(i)}}function we(){console.log("🚀 Démarrage de l'application...");try{ge();const l=fe();if(!l)throw new Error("Impossible de récupérer l'instance de l'application");console.log("✅ Application initialisée avec succès"),setTimeout(()=>{Me(l)},300)}catch(l){console.error("❌ Erreur lors de l'initialisation de l'application:",l),Ee(l)}}function Ee(l){const e=document.createElement("div");e.style.cssText=`
+        `,e.appendChild(i)}}function we(l){console.log("🚀 Démarrage de l'application...");try{ge();const e=fe();if(!e)throw new Error("Impossible de récupérer l'instance de l'application");console.log("✅ Application initialisée avec succès"),setTimeout(()=>{Me(e,l)},300)}catch(e){console.error("❌ Erreur lors de l'initialisation de l'application:",e),Ee(e)}}function Ee(l){const e=document.createElement("div");e.style.cssText=`
         position: fixed;
         top: 50%;
         left: 50%;
         transform: translate(-50%, -50%);
-        background-color: rgba(0, 0, 0, 0.95);
+        background-color: rgba(var(--backdrop-rgb), 0.95);
         color: #ff6b6b;
         padding: 30px;
         border-radius: 10px;
         text-align: center;
-        font-family: 'Roboto Mono', monospace;
+        font-family: var(--mono-font);
         z-index: 10000;
         border: 2px solid #ff6b6b;
         max-width: 500px;
         box-shadow: 0 0 30px rgba(255, 107, 107, 0.3);
     `,e.innerHTML=`
         <div style="font-size: 2em; margin-bottom: 20px;">💥</div>
-        <h2 style="margin-bottom: 20px;">Erreur d'Application</h2>
+        <h2 style="margin-bottom: 20px;">${Ye.t("error.app.title")}</h2>
         <p style="margin-bottom: 20px; line-height: 1.6;">
-            Une erreur s'est produite lors de l'initialisation de l'application.
+            ${Ye.t("error.app.message")}
         </p>
         <details style="margin: 20px 0; text-align: left;">
-            <summary style="cursor: pointer; margin-bottom: 10px;">Détails techniques</summary>
+            <summary style="cursor: pointer; margin-bottom: 10px;">${Ye.t("error.app.details")}</summary>
             <code style="background: rgba(255, 255, 255, 0.1); padding: 10px; border-radius: 5px; display: block; font-size: 12px; overflow-wrap: break-word;">
                 ${l.message||l}
             </code>
         </details>
         <button onclick="location.reload()" style="background: #ff6b6b; color: #fff; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-family: inherit; margin-top: 10px;">
-            🔄 Recharger la page
+            🔄 ${Ye.t("error.app.reload")}
         </button>
-    `,document.body.appendChild(e)}function Me(l){console.log("🎬 Démarrage de la séquence d'initialisation...");const e=document.getElementById("loading-screen");e?(e.style.opacity="0",e.style.transform="scale(1.1)",setTimeout(()=>{e.classList.add("hidden");const t=document.getElementById("main-container");t&&(t.classList.remove("hidden"),t.style.opacity="1"),console.log("🎭 Conteneur principal rendu visible"),l.startupSequence&&typeof l.startupSequence=="function"?(console.log("🚀 Lancement de la séquence de démarrage..."),l.startupSequence(),setTimeout(()=>{console.log("🌊 Démarrage de l'exploration..."),l.startExploration(!0)},5e3)):(console.log("⚠️  Méthode startupSequence non trouvée, démarrage direct"),l.startExploration(!0))},500)):(console.log("⚠️  Écran de chargement non trouvé, démarrage direct"),l.startExploration(!0))}function Ce(){const l=document.getElementById("loading-screen");if(!l){console.warn("⚠️  Écran de chargement non trouvé");return}if(l.querySelector(".progress-container")){console.log("🔄 Écran de chargement déjà amélioré");return}console.log("✨ Amélioration de l'écran de chargement...");const e=l.querySelector(".spinner");e&&e.remove();try{se.register();const n=document.createElement("l-jelly");n.setAttribute("size","60"),n.setAttribute("speed","0.9"),n.setAttribute("color","#ffcc00"),n.style.cssText=`
+    `,document.body.appendChild(e)}function Me(l,e){const t=document.getElementById("loading-screen");if(e){const i=document.getElementById("main-container");t&&t.classList.add("hidden"),i&&(i.classList.remove("hidden"),i.style.opacity="1"),l.startExploration(!0),l.finalizeStartup(),l.restoreSession(e);return}console.log("🎬 Démarrage de la séquence d'initialisation..."),t?(t.style.opacity="0",t.style.transform="scale(1.1)",setTimeout(()=>{t.classList.add("hidden");const i=document.getElementById("main-container");i&&(i.classList.remove("hidden"),i.style.opacity="1"),console.log("🎭 Conteneur principal rendu visible"),l.startupSequence&&typeof l.startupSequence=="function"?(console.log("🚀 Lancement de la séquence de démarrage..."),l.startupSequence(),setTimeout(()=>{console.log("🌊 Démarrage de l'exploration..."),l.startExploration(!0)},5e3)):(console.log("⚠️  Méthode startupSequence non trouvée, démarrage direct"),l.startExploration(!0))},500)):(console.log("⚠️  Écran de chargement non trouvé, démarrage direct"),l.startExploration(!0))}function Ce(){const l=document.getElementById("loading-screen");if(!l){console.warn("⚠️  Écran de chargement non trouvé");return}if(l.querySelector(".progress-container")){console.log("🔄 Écran de chargement déjà amélioré");return}console.log("✨ Amélioration de l'écran de chargement...");const e=l.querySelector(".spinner");e&&e.remove();try{se.register();const n=document.createElement("l-jelly");n.setAttribute("size","60"),n.setAttribute("speed","0.9"),n.setAttribute("color",je.color("accent-color")),n.style.cssText=`
             margin-bottom: 30px;
             display: block;
         `;const s=l.querySelector("p");s?l.insertBefore(n,s):l.appendChild(n),console.log("✅ Spinner Jelly ajouté avec succès")}catch(n){console.warn("⚠️  Impossible de charger le spinner Jelly, utilisation du spinner CSS par défaut"),console.error("Détails de l'erreur Jelly:",n);const s=document.createElement("div");s.className="spinner";const a=l.querySelector("p");a?l.insertBefore(s,a):l.appendChild(s)}const t=document.createElement("div");t.className="progress-container";const i=document.createElement("div");i.className="progress-bar";const o=document.createElement("div");o.className="progress-text",o.textContent="0%",t.appendChild(i),t.appendChild(o),l.appendChild(t),console.log("📊 Barre de progression ajoutée")}function Se(){console.log("🖱️  Initialisation curseur personnalisé...");const l=document.querySelector(".cursor"),e=document.querySelector(".cursor-follower");if(!l||!e){console.log("⚠️  Éléments curseur non trouvés");return}let t=0,i=0,o=0,n=0,s=0,a=0;document.addEventListener("mousemove",p=>{t=p.clientX,i=p.clientY});function r(){o=t,n=i,l.style.left=o+"px",l.style.top=n+"px",s+=(t-s)*.1,a+=(i-a)*.1,e.style.left=s+"px",e.style.top=a+"px",requestAnimationFrame(r)}document.querySelectorAll("button, a, [data-interactive]").forEach(p=>{p.addEventListener("mouseenter",()=>{l.classList.add("hover"),e.classList.add("hover")}),p.addEventListener("mouseleave",()=>{l.classList.remove("hover"),e.classList.remove("hover")})}),r(),console.log("✅ Curseur personnalisé initialisé avec succès")}document.addEventListener("DOMContentLoaded",()=>{console.log("📄 DOM chargé - Initialisation de l'application"),Ce(),Se(),setTimeout(()=>{console.log("⏰ Début de l'initialisation principale..."),ye()},100)});window.addEventListener("error",l=>{console.error("❌ Erreur globale capturée:",l.error),console.error("  - Message:",l.message),console.error("  - Fichier:",l.filename),console.error("  - Ligne:",l.lineno),console.error("  - Colonne:",l.colno)});window.addEventListener("unhandledrejection",l=>{console.error("❌ Promesse rejetée non gérée:",l.reason),l.preventDefault()});window.addEventListener("error",l=>{l.target!==window&&console.error("❌ Erreur de ressource:",l.target.src||l.target.href)},!0);